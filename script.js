@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { EventEmitter } from 'events';
+import { CONSTANTS } from './src/utils/constants.js';
 
 class ChainLoadTester extends EventEmitter {
     constructor(config) {
@@ -155,12 +156,15 @@ class ChainLoadTester extends EventEmitter {
                 name: 'evm-contracts',
                 endpoint: '/',
                 method: 'POST',
-                data: {
-                    jsonrpc: '2.0',
-                    method: 'eth_getCode',
-                    params: Array.from(this.chainData.evm.accounts).map(addr => [addr, 'latest']),
-                    id: 1
-                },
+                // One JSON-RPC batch with an eth_getCode call per account
+                data: Array.from(this.chainData.evm.accounts)
+                    .slice(0, CONSTANTS.MAX_BATCH_SIZE)
+                    .map((addr, index) => ({
+                        jsonrpc: '2.0',
+                        method: 'eth_getCode',
+                        params: [addr, 'latest'],
+                        id: index
+                    })),
                 handler: this.handleEvmContracts.bind(this)
             }
         ];
@@ -343,6 +347,17 @@ class ChainLoadTester extends EventEmitter {
         console.log(`Chain ID: ${data.default_node_info.network}`);
     }
 
+    // Batch results come back in any order; ids index into the accounts sent
+    async handleEvmContracts(data) {
+        const accounts = Array.from(this.chainData.evm.accounts);
+        for (const { id, result } of Array.isArray(data) ? data : []) {
+            if (result && result !== '0x') {
+                this.chainData.evm.contracts.add(accounts[id]);
+            }
+        }
+        console.log(`Found ${this.chainData.evm.contracts.size} EVM contracts`);
+    }
+
     async handleEvmLatest(data) {
         const blockNum = parseInt(data.result, 16);
         console.log(`Latest EVM block: ${blockNum}`);
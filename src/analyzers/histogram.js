@@ -0,0 +1,105 @@
+// HDR-style log-linear latency histogram. Values below SUB_BUCKETS are stored
+// exactly; above that each power of two is split into SUB_BUCKETS / 2 buckets,
+// bounding relative error to ~1.6% and memory to a few thousand counters
+// regardless of how many samples are recorded.
+const SUB_BUCKETS = 128;
+const SUB_BUCKET_BITS = Math.log2(SUB_BUCKETS);
+
+export const DEFAULT_PERCENTILES = [50, 90, 95, 99, 99.9];
+
+export class LatencyHistogram {
+    constructor() {
+        this.buckets = new Map();
+        this.count = 0;
+        this.sum = 0;
+        this.sumOfSquares = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    static bucketFor(value) {
+        const v = Math.max(0, Math.round(value));
+        const shift = v < SUB_BUCKETS ? 0 : Math.floor(Math.log2(v)) - (SUB_BUCKET_BITS - 1);
+        return SUB_BUCKETS * shift + (v >> shift);
+    }
+
+    // Midpoint of the value range covered by a bucket
+    static valueOf(bucket) {
+        const shift = Math.floor(bucket / SUB_BUCKETS);
+        const lower = (bucket % SUB_BUCKETS) << shift;
+        return lower + ((1 << shift) - 1) / 2;
+    }
+
+    record(value) {
+        if (!Number.isFinite(value)) return;
+
+        const bucket = LatencyHistogram.bucketFor(value);
+        this.buckets.set(bucket, (this.buckets.get(bucket) || 0) + 1);
+        this.count++;
+        this.sum += value;
+        this.sumOfSquares += value * value;
+        this.min = Math.min(this.min, value);
+        this.max = Math.max(this.max, value);
+    }
+
+    merge(other) {
+        for (const [bucket, count] of other.buckets) {
+            this.buckets.set(bucket, (this.buckets.get(bucket) || 0) + count);
+        }
+        this.count += other.count;
+        this.sum += other.sum;
+        this.sumOfSquares += other.sumOfSquares;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        return this;
+    }
+
+    get mean() {
+        return this.count > 0 ? this.sum / this.count : 0;
+    }
+
+    get stddev() {
+        if (this.count === 0) return 0;
+        const variance = this.sumOfSquares / this.count - this.mean * this.mean;
+        return Math.sqrt(Math.max(variance, 0));
+    }
+
+    percentile(p) {
+        if (this.count === 0) return 0;
+
+        const rank = Math.max(1, Math.ceil(p / 100 * this.count));
+        const buckets = Array.from(this.buckets.keys()).sort((a, b) => a - b);
+        let seen = 0;
+        for (const bucket of buckets) {
+            seen += this.buckets.get(bucket);
+            if (seen >= rank) {
+                const value = LatencyHistogram.valueOf(bucket);
+                return Math.min(Math.max(value, this.min), this.max);
+            }
+        }
+        return this.max;
+    }
+
+    summary(percentiles = DEFAULT_PERCENTILES) {
+        if (this.count === 0) {
+            return { count: 0 };
+        }
+
+        const round = value => Math.round(value * 100) / 100;
+        const summary = {
+            count: this.count,
+            min: round(this.min),
+            max: round(this.max),
+            mean: round(this.mean),
+            stddev: round(this.stddev)
+        };
+
+        // Sorting the buckets once per percentile is fine at a few thousand buckets
+        for (const p of percentiles) {
+            summary[`p${String(p).replace('.', '')}`] = round(this.percentile(p));
+        }
+        return summary;
+    }
+}
+
+export default LatencyHistogram;
@@ -1,50 +1,250 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { CONSTANTS } from '../utils/constants.js';
+import { LatencyHistogram } from './histogram.js';
+
+// Windows, in ms, whose peak 429 count is tracked for thresholds like "429s < 5/min"
+export const RATE_LIMIT_WINDOWS = [1000, CONSTANTS.RATE_LIMIT_WINDOW_MS];
+
+// Counts rate-limited responses without keeping a timestamp per hit: per-second
+// counts for the longest window, the running peak of each window, and per-minute
+// totals for the timeline. Peaks have one-second resolution.
+export class RateLimitCounter {
+    constructor(windows = RATE_LIMIT_WINDOWS) {
+        this.windows = windows;
+        this.horizon = Math.ceil(Math.max(...windows) / 1000);
+        this.total = 0;
+        this.seconds = [];
+        this.peaks = new Map(windows.map(windowMs => [windowMs, 0]));
+        this.minutes = new Map();
+    }
+
+    record(now = Date.now()) {
+        this.total++;
+
+        const second = Math.floor(now / 1000);
+        const last = this.seconds[this.seconds.length - 1];
+        if (last && last.second === second) {
+            last.count++;
+        } else {
+            this.seconds.push({ second, count: 1 });
+        }
+        while (second - this.seconds[0].second >= this.horizon) {
+            this.seconds.shift();
+        }
+
+        for (const windowMs of this.windows) {
+            this.peaks.set(windowMs, Math.max(this.peaks.get(windowMs), this.countIn(windowMs, now)));
+        }
+
+        const minute = Math.floor(now / 60000) * 60000;
+        this.minutes.set(minute, (this.minutes.get(minute) || 0) + 1);
+    }
+
+    // Hits in the windowMs ending at `now`; windows longer than the longest
+    // tracked one only see that far back
+    countIn(windowMs, now = Date.now()) {
+        const span = Math.max(Math.ceil(windowMs / 1000), 1);
+        const second = Math.floor(now / 1000);
+        return this.seconds
+            .filter(entry => second - entry.second < span)
+            .reduce((sum, entry) => sum + entry.count, 0);
+    }
+
+    peak(windowMs) {
+        if (!this.peaks.has(windowMs)) {
+            throw new Error(`Rate limit peaks are only tracked for ${this.windows.join(', ')}ms windows`);
+        }
+        return this.peaks.get(windowMs);
+    }
+
+    timeline() {
+        return Object.fromEntries(Array.from(this.minutes, ([minute, count]) => [new Date(minute).toISOString(), count]));
+    }
+}
 
 export class MetricCollector {
-    constructor() {
+    constructor(config = {}) {
+        this.config = {
+            outputDir: '.',
+            ...config
+        };
+
         this.metrics = {
             requestCounts: new Map(),
             latencies: new Map(),
+            overallLatency: new LatencyHistogram(),
             errors: new Map(),
             timestamps: new Map(),
-            rateLimit: {
-                hits: 0,
-                timestamps: []
-            }
+            waitTimes: new Map(),
+            exemplars: new Map(),
+            rateLimits: new Map(),
+            throttle: {
+                delayed: 0,
+                totalWaitMs: 0,
+                maxWaitMs: 0
+            },
+            arrivals: {
+                scheduled: 0,
+                sent: 0,
+                late: 0,
+                dropped: 0,
+                totalLagMs: 0,
+                maxLagMs: 0
+            },
+            batches: {
+                requests: 0,
+                items: 0,
+                failed: 0,
+                rateLimited: 0,
+                unanswered: 0,
+                latency: new LatencyHistogram(),
+                bySize: new Map()
+            },
+            rateLimit: new RateLimitCounter()
         };
         
+        this.sections = new Map();
         this.snapshots = [];
+        this.snapshotSpacingMs = 0;
+        this.phases = [];
+        this.currentPhase = null;
         this.startTime = Date.now();
     }
 
+    // Extra named sections, e.g. WebSocket metrics, included in snapshots and the metrics file
+    addSection(name, summarize) {
+        this.sections.set(name, summarize);
+    }
+
+    summarizeSections() {
+        return Object.fromEntries(Array.from(this.sections, ([name, summarize]) => [name, summarize()]));
+    }
+
+    // Starts attributing requests to a named load-profile phase
+    startPhase(name, target = {}) {
+        this.endPhase();
+
+        this.currentPhase = {
+            name,
+            startTime: Date.now(),
+            endTime: null,
+            target: { ...target },
+            requests: 0,
+            errors: 0,
+            rateLimited: 0,
+            missed: 0,
+            latency: new LatencyHistogram()
+        };
+        this.phases.push(this.currentPhase);
+    }
+
+    endPhase() {
+        if (!this.currentPhase) return;
+
+        this.currentPhase.endTime = Date.now();
+        this.takeSnapshot();
+        this.currentPhase = null;
+    }
+
+    setTarget(target) {
+        if (this.currentPhase) {
+            this.currentPhase.target = { ...target };
+        }
+    }
+
+    summarizePhases() {
+        return this.phases.map(phase => {
+            const durationMs = (phase.endTime || Date.now()) - phase.startTime;
+            return {
+                name: phase.name,
+                startTime: phase.startTime,
+                durationMs,
+                target: phase.target,
+                requests: phase.requests,
+                achievedRps: durationMs > 0 ? Number((phase.requests / durationMs * 1000).toFixed(2)) : 0,
+                errorRate: phase.requests > 0 ? (phase.errors / phase.requests * 100).toFixed(2) : '0.00',
+                rateLimited: phase.rateLimited,
+                missed: phase.missed,
+                averageLatency: Math.round(phase.latency.mean),
+                latency: phase.latency.summary()
+            };
+        });
+    }
+
     recordRequest(endpoint, data) {
-        const { duration, success, error, rateLimited } = data;
+        const { duration, success, rateLimited, waitMs = 0, traceId, error } = data;
         
         // Update request counts
         this.incrementMapValue(this.metrics.requestCounts, endpoint);
         
         // Record latency
         if (!this.metrics.latencies.has(endpoint)) {
-            this.metrics.latencies.set(endpoint, []);
+            this.metrics.latencies.set(endpoint, new LatencyHistogram());
         }
-        this.metrics.latencies.get(endpoint).push(duration);
+        this.metrics.latencies.get(endpoint).record(duration);
+        this.metrics.overallLatency.record(duration);
         
-        // Record timestamp
+        // Record first and last request time
+        const now = Date.now();
         if (!this.metrics.timestamps.has(endpoint)) {
-            this.metrics.timestamps.set(endpoint, []);
+            this.metrics.timestamps.set(endpoint, { first: now, last: now });
         }
-        this.metrics.timestamps.get(endpoint).push(Date.now());
+        this.metrics.timestamps.get(endpoint).last = now;
         
+        // Record time spent waiting on the global rate limiter
+        if (waitMs >= 1) {
+            this.metrics.waitTimes.set(endpoint, (this.metrics.waitTimes.get(endpoint) || 0) + waitMs);
+            this.metrics.throttle.delayed++;
+            this.metrics.throttle.totalWaitMs += waitMs;
+            this.metrics.throttle.maxWaitMs = Math.max(this.metrics.throttle.maxWaitMs, waitMs);
+        }
+
         // Record errors
         if (!success) {
             this.incrementMapValue(this.metrics.errors, endpoint);
         }
+
+        if (traceId) {
+            this.recordExemplar(endpoint, { traceId, duration, success, error, timestamp: now });
+        }
         
+        if (this.currentPhase) {
+            this.currentPhase.requests++;
+            this.currentPhase.latency.record(duration);
+            if (!success) this.currentPhase.errors++;
+            if (rateLimited) this.currentPhase.rateLimited++;
+        }
+
         // Track rate limiting
         if (rateLimited) {
-            this.metrics.rateLimit.hits++;
-            this.metrics.rateLimit.timestamps.push(Date.now());
+            this.metrics.rateLimit.record(now);
+            if (!this.metrics.rateLimits.has(endpoint)) {
+                this.metrics.rateLimits.set(endpoint, new RateLimitCounter());
+            }
+            this.metrics.rateLimits.get(endpoint).record(now);
+        }
+    }
+
+    // Keeps the slowest requests and most recent errors per endpoint with their
+    // trace ids, so they can be looked up in the logs
+    recordExemplar(endpoint, sample) {
+        if (!this.metrics.exemplars.has(endpoint)) {
+            this.metrics.exemplars.set(endpoint, { slowest: [], errors: [] });
+        }
+        const exemplars = this.metrics.exemplars.get(endpoint);
+
+        if (!sample.success) {
+            exemplars.errors.push({ traceId: sample.traceId, error: sample.error, timestamp: sample.timestamp });
+            if (exemplars.errors.length > CONSTANTS.MAX_EXEMPLARS) exemplars.errors.shift();
+            return;
+        }
+
+        const { slowest } = exemplars;
+        if (slowest.length < CONSTANTS.MAX_EXEMPLARS || sample.duration > slowest[slowest.length - 1].duration) {
+            slowest.push({ traceId: sample.traceId, duration: sample.duration, timestamp: sample.timestamp });
+            slowest.sort((a, b) => b.duration - a.duration);
+            slowest.length = Math.min(slowest.length, CONSTANTS.MAX_EXEMPLARS);
         }
     }
 
@@ -55,21 +255,41 @@ export class MetricCollector {
     takeSnapshot() {
         const snapshot = {
             timestamp: Date.now(),
+            phase: this.currentPhase?.name || null,
+            target: this.currentPhase?.target || null,
             metrics: {
                 requestCounts: Object.fromEntries(this.metrics.requestCounts),
                 errorRates: this.calculateErrorRates(),
                 averageLatencies: this.calculateAverageLatencies(),
+                latency: this.calculateLatencyPercentiles(),
+                throttle: this.summarizeThrottle(),
+                arrivals: this.summarizeArrivals(),
+                ...this.summarizeSections(),
                 rateLimit: {
-                    total: this.metrics.rateLimit.hits,
+                    total: this.metrics.rateLimit.total,
                     recentHits: this.getRecentRateLimitHits()
                 }
             }
         };
         
-        this.snapshots.push(snapshot);
+        this.storeSnapshot(snapshot);
         return snapshot;
     }
 
+    // Keeps at most MAX_SNAPSHOTS spread over the whole run: when full, every
+    // other one is dropped and later ones are kept no closer than the new spacing
+    storeSnapshot(snapshot) {
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && snapshot.timestamp - last.timestamp < this.snapshotSpacingMs) return;
+
+        this.snapshots.push(snapshot);
+        if (this.snapshots.length > CONSTANTS.MAX_SNAPSHOTS) {
+            this.snapshots = this.snapshots.filter((_, index) => index % 2 === 0);
+            const span = this.snapshots[this.snapshots.length - 1].timestamp - this.snapshots[0].timestamp;
+            this.snapshotSpacingMs = span / (this.snapshots.length - 1);
+        }
+    }
+
     calculateErrorRates() {
         const errorRates = {};
         for (const [endpoint, count] of this.metrics.requestCounts) {
@@ -81,43 +301,166 @@ export class MetricCollector {
 
     calculateAverageLatencies() {
         const averages = {};
-        for (const [endpoint, latencies] of this.metrics.latencies) {
-            if (latencies.length > 0) {
-                const avg = latencies.reduce((a, b) => a + b, 0) / latencies.length;
-                averages[endpoint] = Math.round(avg);
+        for (const [endpoint, histogram] of this.metrics.latencies) {
+            if (histogram.count > 0) {
+                averages[endpoint] = Math.round(histogram.mean);
             }
         }
         return averages;
     }
 
-    getRecentRateLimitHits(windowMs = 60000) {
-        const now = Date.now();
-        return this.metrics.rateLimit.timestamps.filter(
-            ts => now - ts <= windowMs
-        ).length;
+    calculateLatencyPercentiles() {
+        const endpoints = {};
+        for (const [endpoint, histogram] of this.metrics.latencies) {
+            endpoints[endpoint] = histogram.summary();
+        }
+        return {
+            overall: this.metrics.overallLatency.summary(),
+            endpoints
+        };
+    }
+
+    // Open-model schedule adherence: late arrivals were sent behind schedule,
+    // dropped ones were never sent because too many requests were in flight
+    recordArrival({ lagMs = 0, dropped = false }) {
+        const arrivals = this.metrics.arrivals;
+        arrivals.scheduled++;
+
+        if (dropped) {
+            arrivals.dropped++;
+            if (this.currentPhase) this.currentPhase.missed++;
+            return;
+        }
+
+        arrivals.sent++;
+        arrivals.totalLagMs += lagMs;
+        arrivals.maxLagMs = Math.max(arrivals.maxLagMs, lagMs);
+        if (lagMs > CONSTANTS.SCHEDULE_TOLERANCE_MS) {
+            arrivals.late++;
+            if (this.currentPhase) this.currentPhase.missed++;
+        }
+    }
+
+    summarizeArrivals() {
+        const { scheduled, sent, late, dropped, totalLagMs, maxLagMs } = this.metrics.arrivals;
+        if (scheduled === 0) return null;
+
+        return {
+            scheduled,
+            sent,
+            late,
+            dropped,
+            missedRate: ((late + dropped) / scheduled * 100).toFixed(2),
+            averageLagMs: sent > 0 ? Math.round(totalLagMs / sent) : 0,
+            maxLagMs: Math.round(maxLagMs)
+        };
+    }
+
+    // One batched HTTP request, kept apart from the per-item counts recorded by
+    // recordRequest; grouped by size since providers may throttle large batches
+    recordBatch({ size, duration, success, rateLimited = false, unanswered = 0 }) {
+        const batches = this.metrics.batches;
+        if (!batches.bySize.has(size)) {
+            batches.bySize.set(size, { requests: 0, failed: 0, rateLimited: 0, unanswered: 0, latency: new LatencyHistogram() });
+        }
+
+        for (const stats of [batches, batches.bySize.get(size)]) {
+            stats.requests++;
+            stats.latency.record(duration);
+            if (!success) stats.failed++;
+            if (rateLimited) stats.rateLimited++;
+            stats.unanswered += unanswered;
+        }
+        batches.items += size;
+    }
+
+    summarizeBatches() {
+        const { requests, items, failed, rateLimited, unanswered, latency, bySize } = this.metrics.batches;
+        if (requests === 0) return null;
+
+        return {
+            requests,
+            items,
+            averageSize: Math.round(items / requests),
+            failed,
+            rateLimited,
+            unanswered,
+            latency: latency.summary(),
+            bySize: Object.fromEntries(Array.from(bySize.entries())
+                .sort(([a], [b]) => a - b)
+                .map(([size, stats]) => [size, { ...stats, latency: stats.latency.summary() }]))
+        };
+    }
+
+    summarizeThrottle() {
+        const { delayed, totalWaitMs, maxWaitMs } = this.metrics.throttle;
+        const total = Array.from(this.metrics.requestCounts.values()).reduce((a, b) => a + b, 0);
+        return {
+            delayed,
+            totalWaitMs: Math.round(totalWaitMs),
+            maxWaitMs: Math.round(maxWaitMs),
+            averageWaitMs: total > 0 ? Math.round(totalWaitMs / total) : 0
+        };
+    }
+
+    // Totals for one endpoint, or the whole run when endpoint is null; used by thresholds
+    getScopeStats(endpoint = null) {
+        if (endpoint !== null && !this.metrics.requestCounts.has(endpoint)) {
+            return null;
+        }
+
+        const sum = map => Array.from(map.values()).reduce((a, b) => a + b, 0);
+        const rateLimits = endpoint === null
+            ? this.metrics.rateLimit
+            : this.metrics.rateLimits.get(endpoint) || new RateLimitCounter();
+
+        return {
+            requests: endpoint === null ? sum(this.metrics.requestCounts) : this.metrics.requestCounts.get(endpoint),
+            errors: endpoint === null ? sum(this.metrics.errors) : this.metrics.errors.get(endpoint) || 0,
+            latency: endpoint === null ? this.metrics.overallLatency : this.metrics.latencies.get(endpoint),
+            rateLimited: rateLimits.total,
+            peakRateLimited: windowMs => rateLimits.peak(windowMs)
+        };
+    }
+
+    getRecentRateLimitHits(windowMs = CONSTANTS.RATE_LIMIT_WINDOW_MS) {
+        return this.metrics.rateLimit.countIn(windowMs);
     }
 
     async saveMetrics(filename = `metrics-${Date.now()}.json`) {
-        const metricsPath = path.join('metrics', filename);
+        const metricsDir = path.join(this.config.outputDir, 'metrics');
+        const metricsPath = path.join(metricsDir, filename);
         
         const report = {
             duration: Date.now() - this.startTime,
             totalRequests: Array.from(this.metrics.requestCounts.values())
                 .reduce((a, b) => a + b, 0),
+            latency: this.metrics.overallLatency.summary(),
             endpoints: Array.from(this.metrics.requestCounts.keys()).map(endpoint => ({
                 endpoint,
                 requests: this.metrics.requestCounts.get(endpoint),
                 errors: this.metrics.errors.get(endpoint) || 0,
                 averageLatency: this.calculateAverageLatencies()[endpoint],
-                errorRate: this.calculateErrorRates()[endpoint]
+                latency: this.metrics.latencies.get(endpoint).summary(),
+                errorRate: this.calculateErrorRates()[endpoint],
+                rateLimited: this.metrics.rateLimits.get(endpoint)?.total || 0,
+                waitMs: Math.round(this.metrics.waitTimes.get(endpoint) || 0),
+                slowest: this.metrics.exemplars.get(endpoint)?.slowest || [],
+                recentErrors: this.metrics.exemplars.get(endpoint)?.errors || []
             })),
+            throttle: this.summarizeThrottle(),
+            arrivals: this.summarizeArrivals(),
+            batches: this.summarizeBatches(),
+            phases: this.summarizePhases(),
+            ...this.summarizeSections(),
             rateLimit: {
-                totalHits: this.metrics.rateLimit.hits,
-                timeline: this.metrics.rateLimit.timestamps
+                totalHits: this.metrics.rateLimit.total,
+                timeline: this.metrics.rateLimit.timeline()
             },
             snapshots: this.snapshots
         };
 
+        await fs.mkdir(metricsDir, { recursive: true });
         await fs.writeFile(metricsPath, JSON.stringify(report, null, 2));
         return report;
     }
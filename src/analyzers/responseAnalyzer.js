@@ -0,0 +1,232 @@
+// Methods whose successful responses must carry a non-empty result
+const EXPECTS_DATA = new Set([
+    'eth_blocknumber',
+    'eth_getblockbynumber',
+    'eth_getbalance',
+    'eth_gasprice',
+    'eth_chainid'
+]);
+
+// Pattern leaves that may legitimately differ between responses of one method
+const WILDCARDS = new Set(['NULL', 'EMPTY_ARRAY', 'MAX_DEPTH']);
+
+// Head increases remembered per source; requests in flight longer than this
+// many blocks are not checked for regressions
+const MAX_HEAD_STEPS = 100;
+
+export class ResponseAnalyzer {
+    constructor(config = {}) {
+        this.config = {
+            maxExamples: 5,
+            expectsData: EXPECTS_DATA,
+            // Structural fingerprint function, e.g. CoreTester#extractResponsePattern
+            patternExtractor: null,
+            ...config
+        };
+
+        this.baselines = new Map();
+        // Per source, [observedAt, height] each time the highest head grew
+        this.headSteps = new Map();
+        this.stats = {
+            analyzed: 0,
+            anomalies: 0,
+            byType: new Map(),
+            byMethod: new Map(),
+            examples: new Map()
+        };
+    }
+
+    analyze(response, context = {}) {
+        const body = this.parseRequestBody(response);
+        const method = (body?.method || context.request || 'unknown').toLowerCase();
+        const data = response?.data;
+        const anomalies = [];
+
+        this.stats.analyzed++;
+
+        const flag = (type, details = {}) => anomalies.push({
+            type,
+            method,
+            workerId: context.workerId,
+            traceId: context.traceId,
+            timestamp: Date.now(),
+            ...details
+        });
+
+        if (response?.status === 200 && data?.error) {
+            flag('rpc_error', {
+                code: data.error.code,
+                message: data.error.message
+            });
+        } else if (this.isEmptyResult(method, data)) {
+            flag('empty_result', { result: data?.result ?? null });
+        } else {
+            const height = this.extractHeadHeight(method, body, response);
+            if (height !== null) {
+                const source = response.config?.url || 'default';
+                // Concurrent responses arrive out of order, so a response is only
+                // compared with heads seen before its request was sent
+                const previous = this.headBefore(source, context.sentAt ?? Date.now());
+                if (previous !== undefined && height < previous) {
+                    flag('height_regression', { height, previous, behind: previous - height });
+                }
+                this.recordHead(source, height);
+            }
+
+            const drift = this.checkShape(method, data);
+            if (drift) {
+                flag('shape_drift', drift);
+            }
+        }
+
+        anomalies.forEach(anomaly => this.record(anomaly));
+        return anomalies;
+    }
+
+    parseRequestBody(response) {
+        const data = response?.config?.data;
+        if (!data) return null;
+        if (typeof data !== 'string') return data;
+
+        try {
+            return JSON.parse(data);
+        } catch {
+            return null;
+        }
+    }
+
+    isEmptyResult(method, data) {
+        if (!this.config.expectsData.has(method)) return false;
+        if (!data || typeof data !== 'object') return true;
+        if (!('result' in data)) return false;
+
+        const { result } = data;
+        return result === null
+            || result === undefined
+            || result === ''
+            || result === '0x'
+            || (Array.isArray(result) && result.length === 0);
+    }
+
+    // Only responses that describe the chain head can be compared over time
+    extractHeadHeight(method, body, response) {
+        const data = response?.data;
+
+        if (method === 'eth_blocknumber' && typeof data?.result === 'string') {
+            return parseInt(data.result, 16);
+        }
+        if (method === 'eth_getblockbynumber' && body?.params?.[0] === 'latest' && data?.result?.number) {
+            return parseInt(data.result.number, 16);
+        }
+        if (response?.config?.url?.endsWith('/blocks/latest') && data?.block?.header?.height) {
+            return parseInt(data.block.header.height, 10);
+        }
+        return null;
+    }
+
+    headBefore(source, sentAt) {
+        const steps = this.headSteps.get(source) || [];
+        for (let i = steps.length - 1; i >= 0; i--) {
+            if (steps[i][0] < sentAt) return steps[i][1];
+        }
+        return undefined;
+    }
+
+    recordHead(source, height) {
+        if (!this.headSteps.has(source)) {
+            this.headSteps.set(source, []);
+        }
+        const steps = this.headSteps.get(source);
+        if (steps.length > 0 && height <= steps[steps.length - 1][1]) return;
+
+        steps.push([Date.now(), height]);
+        if (steps.length > MAX_HEAD_STEPS) {
+            steps.shift();
+        }
+    }
+
+    checkShape(method, data) {
+        if (!this.config.patternExtractor) return null;
+
+        const pattern = this.config.patternExtractor(data);
+
+        if (!this.baselines.has(method)) {
+            this.baselines.set(method, pattern);
+            return null;
+        }
+
+        const baseline = this.baselines.get(method);
+        if (baseline === pattern) return null;
+
+        const differences = this.comparePatterns(JSON.parse(baseline), JSON.parse(pattern));
+        return differences.length > 0 ? { differences } : null;
+    }
+
+    comparePatterns(baseline, pattern, path = '$') {
+        if (WILDCARDS.has(baseline) || WILDCARDS.has(pattern)) return [];
+
+        if (Array.isArray(baseline) && Array.isArray(pattern)) {
+            return this.comparePatterns(baseline[0], pattern[0], `${path}[]`);
+        }
+
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (isObject(baseline) && isObject(pattern)) {
+            const keys = new Set([...Object.keys(baseline), ...Object.keys(pattern)]);
+            return Array.from(keys).flatMap(key => {
+                if (!(key in baseline)) return [{ path: `${path}.${key}`, change: 'added' }];
+                if (!(key in pattern)) return [{ path: `${path}.${key}`, change: 'removed' }];
+                return this.comparePatterns(baseline[key], pattern[key], `${path}.${key}`);
+            });
+        }
+
+        if (JSON.stringify(baseline) !== JSON.stringify(pattern)) {
+            return [{ path, change: 'type', expected: baseline, actual: pattern }];
+        }
+        return [];
+    }
+
+    record(anomaly) {
+        this.stats.anomalies++;
+        this.incrementMapValue(this.stats.byType, anomaly.type);
+
+        if (!this.stats.byMethod.has(anomaly.method)) {
+            this.stats.byMethod.set(anomaly.method, new Map());
+        }
+        this.incrementMapValue(this.stats.byMethod.get(anomaly.method), anomaly.type);
+
+        if (!this.stats.examples.has(anomaly.type)) {
+            this.stats.examples.set(anomaly.type, []);
+        }
+        const examples = this.stats.examples.get(anomaly.type);
+        if (examples.length < this.config.maxExamples) {
+            examples.push(anomaly);
+        }
+    }
+
+    incrementMapValue(map, key) {
+        map.set(key, (map.get(key) || 0) + 1);
+    }
+
+    generateReport() {
+        return {
+            analyzed: this.stats.analyzed,
+            anomalies: this.stats.anomalies,
+            anomalyRate: this.stats.analyzed > 0
+                ? (this.stats.anomalies / this.stats.analyzed * 100).toFixed(2)
+                : '0.00',
+            byType: Object.fromEntries(this.stats.byType),
+            byMethod: Object.fromEntries(
+                Array.from(this.stats.byMethod, ([method, counts]) => [method, Object.fromEntries(counts)])
+            ),
+            examples: Object.fromEntries(this.stats.examples),
+            baselines: Object.fromEntries(
+                Array.from(this.baselines, ([method, pattern]) => [method, JSON.parse(pattern)])
+            ),
+            chainHead: Object.fromEntries(
+                Array.from(this.headSteps, ([source, steps]) => [source, steps[steps.length - 1][1]])
+            )
+        };
+    }
+}
+
+export default ResponseAnalyzer;
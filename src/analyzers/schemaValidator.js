@@ -0,0 +1,98 @@
+// Minimal JSON-schema validator covering the keywords used in src/config/schemas.js:
+// type, enum, pattern, minLength, maxLength, properties, required,
+// additionalProperties, items, minItems and anyOf.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : String(key);
+}
+
+export function validateSchema(schema, value, path = '') {
+    if (!schema) return [];
+
+    const errors = [];
+    const fail = (keyword, message) => errors.push({ path: path || '$', keyword, message });
+
+    if (schema.anyOf) {
+        const matched = schema.anyOf.some(option => validateSchema(option, value, path).length === 0);
+        if (!matched) fail('anyOf', 'does not match any allowed schema');
+        return errors;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail('type', `expected ${types.join(' | ')}, got ${typeOf(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        fail('enum', `expected one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail('pattern', `does not match ${schema.pattern}`);
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('minLength', `shorter than ${schema.minLength}`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail('maxLength', `longer than ${schema.maxLength}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail('minItems', `fewer than ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push({ path: joinPath(path, key), keyword: 'required', message: 'missing' });
+            }
+        }
+
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) {
+                errors.push(...validateSchema(propertySchema, value[key], joinPath(path, key)));
+            }
+        }
+
+        if (schema.additionalProperties === false) {
+            const allowed = new Set(Object.keys(schema.properties || {}));
+            for (const key of Object.keys(value)) {
+                if (!allowed.has(key)) {
+                    errors.push({ path: joinPath(path, key), keyword: 'additionalProperties', message: 'unexpected' });
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Collapse array indices so violations aggregate per field rather than per item
+export function normalizeFieldPath(path) {
+    return path.replace(/\[\d+\]/g, '[]');
+}
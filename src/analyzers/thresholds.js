@@ -0,0 +1,162 @@
+import fs from 'fs';
+import chalk from 'chalk';
+import { parseDuration } from '../utils/parsers.js';
+
+const OPERATORS = {
+    '<': (actual, limit) => actual < limit,
+    '<=': (actual, limit) => actual <= limit,
+    '>': (actual, limit) => actual > limit,
+    '>=': (actual, limit) => actual >= limit
+};
+
+const RATE_WINDOWS = {
+    '/s': 1000,
+    '/sec': 1000,
+    '/m': 60000,
+    '/min': 60000
+};
+
+const LATENCY_STATS = ['min', 'max', 'mean'];
+
+// "[method:]metric <op> value", e.g. "eth_getLogs:p95 < 800ms", "error_rate < 1%", "rate_limited < 5/min"
+const EXPRESSION = /^(?:([\w./-]+)\s*:\s*)?([\w.]+)\s*(<=|>=|<|>)\s*(.+)$/;
+
+// p95 -> 95, p999 -> 99.9, p99.9 -> 99.9
+function percentileOf(metric) {
+    const match = metric.match(/^p(\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+
+    const digits = match[1];
+    const value = digits.includes('.') || Number(digits) <= 100
+        ? Number(digits)
+        : Number(`${digits.slice(0, 2)}.${digits.slice(2)}`);
+    return value > 0 && value <= 100 ? value : null;
+}
+
+function parseLimit(metric, raw) {
+    const value = raw.trim();
+
+    if (metric.kind === 'latency') {
+        return { limit: parseDuration(value) };
+    }
+    if (metric.kind === 'error_rate') {
+        const limit = Number(value.replace(/%$/, ''));
+        if (Number.isNaN(limit)) throw new Error(`Invalid error rate: ${value}`);
+        return { limit };
+    }
+    if (metric.kind === 'rate_limited') {
+        const match = value.match(/^(\d+(?:\.\d+)?)\s*(\/\w+)?$/);
+        if (!match || (match[2] && !RATE_WINDOWS[match[2]])) {
+            throw new Error(`Invalid rate limit count: ${value} (expected e.g. 5 or 5/min)`);
+        }
+        return { limit: Number(match[1]), windowMs: match[2] ? RATE_WINDOWS[match[2]] : null };
+    }
+
+    const limit = Number(value);
+    if (Number.isNaN(limit)) throw new Error(`Invalid threshold value: ${value}`);
+    return { limit };
+}
+
+function resolveMetric(name) {
+    const metric = name.toLowerCase();
+    const percentile = percentileOf(metric);
+
+    if (percentile !== null) return { kind: 'latency', stat: 'percentile', percentile };
+    if (LATENCY_STATS.includes(metric)) return { kind: 'latency', stat: metric };
+    if (metric === 'avg' || metric === 'latency') return { kind: 'latency', stat: 'mean' };
+    if (metric === 'error_rate' || metric === 'errors') return { kind: 'error_rate' };
+    if (metric === 'rate_limited' || metric === '429s' || metric === '429') return { kind: 'rate_limited' };
+    if (metric === 'requests') return { kind: 'requests' };
+
+    throw new Error(`Unknown threshold metric: ${name}`);
+}
+
+export function parseThreshold(expression) {
+    const match = String(expression).trim().match(EXPRESSION);
+    if (!match) {
+        throw new Error(`Invalid threshold: ${expression} (expected "[method:]metric <op> value")`);
+    }
+
+    const [, scope, name, operator, raw] = match;
+    const metric = resolveMetric(name);
+    return {
+        expression: String(expression).trim(),
+        scope: scope ? scope.toLowerCase() : null,
+        metric,
+        operator,
+        ...parseLimit(metric, raw)
+    };
+}
+
+// Accepts expressions, already-parsed thresholds or a JSON file holding a list of expressions
+export function buildThresholds(specs = []) {
+    return specs.flatMap(spec => {
+        if (typeof spec !== 'string') return [spec];
+        if (spec.endsWith('.json')) {
+            const data = JSON.parse(fs.readFileSync(spec, 'utf8'));
+            return buildThresholds(data.thresholds || data);
+        }
+        return [parseThreshold(spec)];
+    });
+}
+
+function measure(threshold, stats) {
+    const { metric } = threshold;
+
+    switch (metric.kind) {
+        case 'latency':
+            if (metric.stat === 'percentile') return stats.latency.percentile(metric.percentile);
+            return stats.latency[metric.stat];
+        case 'error_rate':
+            return stats.requests > 0 ? stats.errors / stats.requests * 100 : 0;
+        case 'rate_limited':
+            return threshold.windowMs ? stats.peakRateLimited(threshold.windowMs) : stats.rateLimited;
+        case 'requests':
+            return stats.requests;
+        default:
+            return null;
+    }
+}
+
+// Checks each threshold against a MetricCollector and returns a per-threshold verdict
+export function evaluateThresholds(thresholds, collector) {
+    const results = thresholds.map(threshold => {
+        const stats = collector.getScopeStats(threshold.scope);
+        if (!stats || stats.requests === 0) {
+            return {
+                threshold: threshold.expression,
+                actual: null,
+                passed: false,
+                reason: 'no requests recorded'
+            };
+        }
+
+        const actual = measure(threshold, stats);
+        return {
+            threshold: threshold.expression,
+            actual: Math.round(actual * 100) / 100,
+            passed: OPERATORS[threshold.operator](actual, threshold.limit)
+        };
+    });
+
+    return {
+        passed: results.every(result => result.passed),
+        breached: results.filter(result => !result.passed).length,
+        results
+    };
+}
+
+export function printVerdict(verdict) {
+    console.log(chalk.bold('\nThresholds'));
+    console.table(verdict.results.map(({ threshold, actual, passed, reason }) => ({
+        threshold,
+        actual: actual ?? reason,
+        verdict: passed ? 'pass' : 'FAIL'
+    })));
+
+    if (verdict.passed) {
+        console.log(chalk.green(`All ${verdict.results.length} thresholds passed`));
+    } else {
+        console.log(chalk.red(`${verdict.breached} of ${verdict.results.length} thresholds breached`));
+    }
+}
@@ -1,10 +1,70 @@
-export { requestWeights } from './requestPatterns.js';
+import dotenv from 'dotenv';
+import { parseWeights, parseUpgrades, parseEndpoints, parseThresholds, parseTrafficProfile } from '../utils/parsers.js';
+
 export { testCases } from './testCases.js';
 
+// Load .env before reading process.env below; ESM imports run before the importer's body
+dotenv.config();
+
 export const config = {
     endpoint: process.env.SEI_RPC_ENDPOINT || 'https://archive.sei.hellomoon.io',
+    restEndpoint: process.env.SEI_REST_ENDPOINT || null,
+    tendermintEndpoint: process.env.SEI_TENDERMINT_ENDPOINT || null,
+    evmEndpoint: process.env.SEI_EVM_ENDPOINT || null,
     authToken: process.env.SEI_AUTH_TOKEN,
     logLevel: process.env.LOG_LEVEL || 'info',
     concurrency: parseInt(process.env.TEST_CONCURRENCY, 10) || 5,
-    maxRequestsPerSecond: parseInt(process.env.MAX_REQUESTS_PER_SECOND, 10) || 10
-};
\ No newline at end of file
+    maxRequestsPerSecond: process.env.MAX_REQUESTS_PER_SECOND ? parseInt(process.env.MAX_REQUESTS_PER_SECOND, 10) : 10,
+    burst: parseInt(process.env.MAX_BURST, 10) || null,
+    durationMs: parseInt(process.env.TEST_DURATION_MS, 10) || null,
+    totalRequests: parseInt(process.env.TEST_TOTAL_REQUESTS, 10) || null,
+    drainTimeoutMs: parseInt(process.env.DRAIN_TIMEOUT_MS, 10) || null,
+    mix: null,
+    trafficProfile: process.env.TRAFFIC_PROFILE || null,
+    logRanges: null,
+    profile: process.env.LOAD_PROFILE || null,
+    model: process.env.LOAD_MODEL || 'closed',
+    maxInFlight: parseInt(process.env.MAX_IN_FLIGHT, 10) || null,
+    batchSize: parseInt(process.env.RPC_BATCH_SIZE, 10) || null,
+    idFormat: process.env.RPC_ID_FORMAT || 'monotonic',
+    blockDistribution: process.env.BLOCK_DISTRIBUTION ? parseWeights(process.env.BLOCK_DISTRIBUTION) : null,
+    recentBlocks: parseInt(process.env.RECENT_BLOCKS, 10) || null,
+    earliestHeight: parseInt(process.env.EARLIEST_BLOCK, 10) || null,
+    wsEndpoint: process.env.SEI_WS_ENDPOINT || null,
+    subscriptions: process.env.WS_SUBSCRIPTIONS ? parseInt(process.env.WS_SUBSCRIPTIONS, 10) : null,
+    subscriptionMix: process.env.WS_SUBSCRIPTION_MIX ? parseWeights(process.env.WS_SUBSCRIPTION_MIX, false) : null,
+    corpus: process.env.CORPUS_FILE || null,
+    contracts: process.env.CONTRACT_LIMIT ? parseInt(process.env.CONTRACT_LIMIT, 10) : null,
+    contractTimeoutMs: parseInt(process.env.CONTRACT_QUERY_TIMEOUT_MS, 10) || null,
+    samples: parseInt(process.env.ARCHIVE_SAMPLES, 10) || null,
+    upgrades: process.env.SEI_UPGRADES ? parseUpgrades(process.env.SEI_UPGRADES) : [],
+    endpoints: process.env.SEI_COMPARE_ENDPOINTS ? parseEndpoints(process.env.SEI_COMPARE_ENDPOINTS) : [],
+    maxLag: process.env.MAX_HEAD_LAG ? parseInt(process.env.MAX_HEAD_LAG, 10) : null,
+    seed: process.env.TEST_SEED || null,
+    thresholds: process.env.THRESHOLDS ? parseThresholds(process.env.THRESHOLDS) : [],
+    outputDir: process.env.OUTPUT_DIR || '.'
+};
+
+// Merge command-line overrides on top of the .env-derived defaults
+export function buildConfig(overrides = {}) {
+    const defined = Object.entries(overrides).filter(([, value]) => value !== undefined);
+    return applyTrafficProfile({
+        ...config,
+        ...Object.fromEntries(defined)
+    });
+}
+
+// A traffic profile supplies the mix and parameter distributions not set explicitly
+function applyTrafficProfile(merged) {
+    if (!merged.trafficProfile) return merged;
+
+    const profile = parseTrafficProfile(merged.trafficProfile);
+    const parameters = profile.parameters || {};
+    return {
+        ...merged,
+        mix: merged.mix ?? profile.methods,
+        blockDistribution: merged.blockDistribution ?? parameters.blockDistribution ?? null,
+        recentBlocks: merged.recentBlocks ?? parameters.recentBlocks ?? null,
+        logRanges: merged.logRanges ?? parameters.logRanges ?? null
+    };
+}
@@ -0,0 +1,156 @@
+// src/config/schemas.js
+
+// Reusable field schemas
+export const HEX_QUANTITY = { type: 'string', pattern: '^0x(0|[1-9a-fA-F][0-9a-fA-F]*)$' };
+export const HEX_DATA = { type: 'string', pattern: '^0x([0-9a-fA-F]{2})*$' };
+export const HASH_32 = { type: 'string', pattern: '^0x[0-9a-fA-F]{64}$' };
+export const ADDRESS = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+export const DECIMAL_STRING = { type: 'string', pattern: '^\\d+$' };
+
+// Wraps a result schema in a JSON-RPC 2.0 success envelope
+export function rpcResult(result) {
+    return {
+        type: 'object',
+        required: ['jsonrpc', 'id', 'result'],
+        properties: {
+            jsonrpc: { enum: ['2.0'] },
+            result
+        }
+    };
+}
+
+export const LOG = {
+    type: 'object',
+    required: ['address', 'topics', 'data', 'blockNumber', 'transactionHash', 'logIndex'],
+    properties: {
+        address: ADDRESS,
+        topics: { type: 'array', items: HASH_32 },
+        data: HEX_DATA,
+        blockNumber: HEX_QUANTITY,
+        blockHash: HASH_32,
+        transactionHash: HASH_32,
+        transactionIndex: HEX_QUANTITY,
+        logIndex: HEX_QUANTITY,
+        removed: { type: 'boolean' }
+    }
+};
+
+export const BLOCK = {
+    type: 'object',
+    required: ['number', 'hash', 'parentHash', 'timestamp', 'transactions'],
+    properties: {
+        number: HEX_QUANTITY,
+        hash: HASH_32,
+        parentHash: HASH_32,
+        timestamp: HEX_QUANTITY,
+        gasUsed: HEX_QUANTITY,
+        gasLimit: HEX_QUANTITY,
+        transactions: {
+            type: 'array',
+            items: {
+                anyOf: [
+                    HASH_32,
+                    {
+                        type: 'object',
+                        required: ['hash', 'from'],
+                        properties: { hash: HASH_32, from: ADDRESS }
+                    }
+                ]
+            }
+        }
+    }
+};
+
+export const RECEIPT = {
+    type: ['object', 'null'],
+    properties: {
+        transactionHash: HASH_32,
+        blockNumber: HEX_QUANTITY,
+        blockHash: HASH_32,
+        from: ADDRESS,
+        to: { type: ['string', 'null'], pattern: ADDRESS.pattern },
+        status: { enum: ['0x0', '0x1'] },
+        gasUsed: HEX_QUANTITY,
+        logs: { type: 'array', items: LOG }
+    }
+};
+
+export const COSMOS_BLOCK = {
+    type: 'object',
+    required: ['block_id', 'block'],
+    properties: {
+        block: {
+            type: 'object',
+            required: ['header'],
+            properties: {
+                header: {
+                    type: 'object',
+                    required: ['chain_id', 'height', 'time'],
+                    properties: {
+                        chain_id: { type: 'string', minLength: 1 },
+                        height: DECIMAL_STRING,
+                        time: { type: 'string' }
+                    }
+                }
+            }
+        }
+    }
+};
+
+export const COSMOS_TX = {
+    type: 'object',
+    required: ['tx', 'tx_response'],
+    properties: {
+        tx_response: {
+            type: 'object',
+            required: ['height', 'txhash', 'code'],
+            properties: { height: DECIMAL_STRING }
+        }
+    }
+};
+
+export const TENDERMINT_ABCI_QUERY = rpcResult({
+    type: 'object',
+    required: ['response'],
+    properties: {
+        response: {
+            type: 'object',
+            properties: {
+                code: { type: 'integer' },
+                value: { type: ['string', 'null'] },
+                height: DECIMAL_STRING
+            }
+        }
+    }
+});
+
+// Tendermint's /block result has the same shape as the REST block response
+export const TENDERMINT_BLOCK = rpcResult(COSMOS_BLOCK);
+
+export const TENDERMINT_BLOCK_RESULTS = rpcResult({
+    type: 'object',
+    required: ['height'],
+    properties: {
+        height: DECIMAL_STRING,
+        txs_results: { type: ['array', 'null'] }
+    }
+});
+
+export const TENDERMINT_TX_SEARCH = rpcResult({
+    type: 'object',
+    required: ['txs', 'total_count'],
+    properties: {
+        txs: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['hash', 'height'],
+                properties: {
+                    hash: { type: 'string', pattern: '^[0-9A-F]{64}$' },
+                    height: DECIMAL_STRING
+                }
+            }
+        },
+        total_count: DECIMAL_STRING
+    }
+});
@@ -1,18 +1,59 @@
+import { rpcResult, COSMOS_BLOCK, HEX_QUANTITY } from './schemas.js';
+
 export const testCases = {
   basic: {
       chainQueries: [
-          { name: 'getLatestBlock', path: '/cosmos/base/tendermint/v1beta1/blocks/latest' },
-          { name: 'getChainId', path: '/cosmos/base/tendermint/v1beta1/node_info' }
+          {
+              name: 'getLatestBlock',
+              path: '/cosmos/base/tendermint/v1beta1/blocks/latest',
+              schema: COSMOS_BLOCK
+          },
+          {
+              name: 'getChainId',
+              path: '/cosmos/base/tendermint/v1beta1/node_info',
+              schema: {
+                  type: 'object',
+                  required: ['default_node_info'],
+                  properties: {
+                      default_node_info: {
+                          type: 'object',
+                          required: ['network'],
+                          properties: { network: { type: 'string', minLength: 1 } }
+                      }
+                  }
+              }
+          }
       ],
       evmQueries: [
-          { name: 'getBlockNumber', method: 'eth_blockNumber' },
-          { name: 'getGasPrice', method: 'eth_gasPrice' }
+          { name: 'getBlockNumber', method: 'eth_blockNumber', schema: rpcResult(HEX_QUANTITY) },
+          { name: 'getGasPrice', method: 'eth_gasPrice', schema: rpcResult(HEX_QUANTITY) }
       ]
   },
   complex: {
       contractInteractions: [
-          { name: 'listContracts', path: '/cosmwasm/wasm/v1/code' },
-          { name: 'getContract', path: '/cosmwasm/wasm/v1/contract/{address}' }
+          {
+              name: 'listContracts',
+              path: '/cosmwasm/wasm/v1/code',
+              schema: {
+                  type: 'object',
+                  required: ['code_infos', 'pagination'],
+                  properties: { code_infos: { type: 'array' } }
+              }
+          },
+          {
+              name: 'getContract',
+              path: '/cosmwasm/wasm/v1/contract/{address}',
+              schema: {
+                  type: 'object',
+                  required: ['address', 'contract_info'],
+                  properties: {
+                      contract_info: {
+                          type: 'object',
+                          required: ['code_id', 'creator']
+                      }
+                  }
+              }
+          }
       ],
       oracleQueries: [
           { name: 'getPrices', path: '/seiprotocol/seichain/oracle/prices' }
@@ -1,6 +1,22 @@
 import winston from 'winston';
 import path from 'path';
 
+// Console-only logger for components that run outside a tester, such as the
+// discover command; testers pass their own logger instead
+export function createConsoleLogger(level = 'info') {
+    return winston.createLogger({
+        level,
+        transports: [
+            new winston.transports.Console({
+                format: winston.format.combine(
+                    winston.format.colorize(),
+                    winston.format.simple()
+                )
+            })
+        ]
+    });
+}
+
 export class Logger {
     constructor(config = {}) {
         this.config = {
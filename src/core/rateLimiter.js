@@ -0,0 +1,126 @@
+import { performance } from 'perf_hooks';
+
+// Token bucket shared by all workers. Tokens refill continuously at `rate` per
+// second up to `burst`; waiters are served FIFO so no worker can starve another.
+// The bucket starts with a single token unless a burst is set explicitly, so
+// the first second doesn't send a full bucket on top of the target rate.
+export class TokenBucket {
+    constructor(config = {}) {
+        this.waiters = [];
+        this.timer = null;
+        this.stats = {
+            acquired: 0,
+            delayed: 0,
+            totalWaitMs: 0,
+            maxWaitMs: 0
+        };
+
+        this.setRate(config.rate, config.burst);
+        this.tokens = config.burst > 0 ? this.capacity : 1;
+    }
+
+    // A rate of 0 (or none) disables limiting; burst defaults to one second of tokens
+    setRate(rate, burst) {
+        if (this.lastRefill !== undefined) this.refill();
+
+        this.rate = rate > 0 ? rate : Infinity;
+        const size = burst > 0 ? burst : this.rate;
+        this.capacity = Number.isFinite(size) ? Math.max(size, 1) : 1;
+        this.tokens = Math.min(this.tokens ?? this.capacity, this.capacity);
+        this.lastRefill = performance.now();
+
+        // Reschedule pending waiters against the new rate
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.drain();
+    }
+
+    get unlimited() {
+        return this.rate === Infinity;
+    }
+
+    refill() {
+        const now = performance.now();
+        const elapsed = now - this.lastRefill;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate / 1000);
+        this.lastRefill = now;
+    }
+
+    // Resolves with the number of milliseconds spent waiting for a token
+    acquire() {
+        if (this.unlimited) {
+            this.record(0);
+            return Promise.resolve(0);
+        }
+
+        return new Promise(resolve => {
+            this.waiters.push({ resolve, queuedAt: performance.now() });
+            this.drain();
+        });
+    }
+
+    drain() {
+        if (this.waiters.length === 0) return;
+
+        if (this.unlimited) {
+            this.waiters.splice(0).forEach(waiter => this.release(waiter));
+            return;
+        }
+
+        this.refill();
+        while (this.waiters.length > 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            this.release(this.waiters.shift());
+        }
+
+        if (this.waiters.length > 0 && !this.timer) {
+            const delay = (1 - this.tokens) * 1000 / this.rate;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, Math.max(Math.ceil(delay), 1));
+        }
+    }
+
+    release(waiter) {
+        const waited = performance.now() - waiter.queuedAt;
+        this.record(waited);
+        waiter.resolve(waited);
+    }
+
+    record(waitMs) {
+        this.stats.acquired++;
+        if (waitMs >= 1) {
+            this.stats.delayed++;
+            this.stats.totalWaitMs += waitMs;
+            this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+        }
+    }
+
+    // Releases every pending waiter immediately; used when a run is shutting down
+    close() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.waiters.splice(0).forEach(waiter => this.release(waiter));
+    }
+
+    getStats() {
+        return {
+            rate: this.unlimited ? null : this.rate,
+            burst: this.capacity,
+            acquired: this.stats.acquired,
+            delayed: this.stats.delayed,
+            totalWaitMs: Math.round(this.stats.totalWaitMs),
+            maxWaitMs: Math.round(this.stats.maxWaitMs),
+            averageWaitMs: this.stats.acquired > 0
+                ? Math.round(this.stats.totalWaitMs / this.stats.acquired)
+                : 0
+        };
+    }
+}
+
+export default TokenBucket;
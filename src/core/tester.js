@@ -3,6 +3,10 @@ import axios from 'axios';
 import winston from 'winston';
 import path from 'path';
 import fs from 'fs/promises';
+import { validateSchema, normalizeFieldPath } from '../analyzers/schemaValidator.js';
+import { LatencyHistogram } from '../analyzers/histogram.js';
+import { CONSTANTS } from '../utils/constants.js';
+import { createTraceId } from '../utils/ids.js';
 
 class CoreTester extends EventEmitter {
     constructor(config) {
@@ -12,11 +16,18 @@ class CoreTester extends EventEmitter {
             logLevel: 'info',
             responseLogging: true,
             metricsEnabled: true,
+            outputDir: '.',
             ...config
         };
 
         this.setupLogger();
         this.setupMetrics();
+
+        this.batchSize = Math.max(this.config.batchSize || 1, 1);
+        if (this.batchSize > CONSTANTS.MAX_BATCH_SIZE) {
+            this.logger.warn(`Batch size ${this.batchSize} exceeds the maximum, using ${CONSTANTS.MAX_BATCH_SIZE}`);
+            this.batchSize = CONSTANTS.MAX_BATCH_SIZE;
+        }
         
         this.responses = {
             successful: new Map(),
@@ -34,7 +45,7 @@ class CoreTester extends EventEmitter {
             ),
             transports: [
                 new winston.transports.File({
-                    filename: path.join('logs', `${this.config.mode}-${Date.now()}.log`)
+                    filename: this.outputPath('logs', `${this.config.mode}-${Date.now()}.log`)
                 }),
                 new winston.transports.Console({
                     format: winston.format.combine(
@@ -55,8 +66,10 @@ class CoreTester extends EventEmitter {
                 successful: 0,
                 failed: 0
             },
-            latencies: [],
+            latencies: new LatencyHistogram(),
+            endpoints: new Map(),
             patterns: new Map(),
+            schema: new Map(),
             rateLimit: {
                 hits: 0,
                 resets: []
@@ -64,18 +77,27 @@ class CoreTester extends EventEmitter {
         };
     }
 
+    // Every request carries a trace id header; it is set on the response (or
+    // the error) as `traceId` so callers can attach it to what they record
     async makeRequest(endpoint, options = {}) {
+        const traceId = options.headers?.[CONSTANTS.TRACE_HEADER] || createTraceId();
         const startTime = Date.now();
-        
+
+        if (this.config.responseLogging) {
+            this.logRequest(endpoint, options, traceId);
+        }
+
         try {
             const response = await axios({
                 ...options,
                 url: endpoint,
                 headers: {
-                    'Authorization': `Bearer ${this.config.authToken}`,
-                    ...options.headers
+                    ...this.authHeaders(endpoint),
+                    ...options.headers,
+                    [CONSTANTS.TRACE_HEADER]: traceId
                 }
             });
+            response.traceId = traceId;
 
             const latency = Date.now() - startTime;
             
@@ -83,17 +105,139 @@ class CoreTester extends EventEmitter {
             return response;
 
         } catch (error) {
+            error.traceId = traceId;
             const latency = Date.now() - startTime;
             await this.handleError(endpoint, error, latency);
             throw error;
         }
     }
 
+    // makeRequest passes the endpoint so subclasses can withhold the token from some hosts
+    authHeaders() {
+        return this.config.authToken
+            ? { 'Authorization': `Bearer ${this.config.authToken}` }
+            : {};
+    }
+
+    outputPath(...segments) {
+        return path.join(this.config.outputDir, ...segments);
+    }
+
+    // Base URL of an API surface (rest, tendermint or evm)
+    endpointFor(surface) {
+        return this.config[CONSTANTS.SURFACE_ENDPOINTS[surface]] || this.config.endpoint;
+    }
+
+    // Turn a {method, type, params, path, surface, headers} request descriptor into a request.
+    // Without a surface, POSTs are EVM JSON-RPC and GETs are Cosmos REST paths.
+    // `base` overrides the surface's configured base URL.
+    buildRequestOptions(request, base = null) {
+        const surface = request.surface || (request.method === 'POST' ? 'evm' : 'rest');
+        base = base || this.endpointFor(surface);
+
+        if (request.method === 'POST') {
+            return {
+                url: base,
+                options: { method: 'POST', data: request.params }
+            };
+        }
+
+        return {
+            url: `${base}${request.path || `/${request.type}`}`,
+            options: { method: 'GET', params: request.params, headers: request.headers }
+        };
+    }
+
+    async sendRequest(request, base = null) {
+        const { url, options } = this.buildRequestOptions(request, base);
+        const response = await this.makeRequest(url, options);
+
+        if (request.schema) {
+            response.validation = this.validateResponse(request.type || url, request.schema, response);
+        }
+        return response;
+    }
+
+    // Sends JSON-RPC request descriptors for one surface as a single batch.
+    // Resolves with the HTTP response and one item per request, matched by id;
+    // an item whose sub-response is missing carries an error instead.
+    async sendBatch(requests, surface = requests[0]?.surface || 'evm') {
+        // Ids only have to be unique within the batch, so repeats (the same
+        // request sent twice) are renumbered by position
+        const seen = new Set();
+        const body = requests.map((request, index) => {
+            const id = seen.has(request.params.id) ? `${request.params.id}-${index}` : request.params.id;
+            seen.add(id);
+            return { ...request.params, id };
+        });
+
+        const response = await this.makeRequest(this.endpointFor(surface), { method: 'POST', data: body });
+
+        // A batch rejected as a whole comes back as a single error object
+        const results = Array.isArray(response.data) ? response.data : [];
+        const byId = new Map(results.map(result => [result?.id, result]));
+        const rejection = Array.isArray(response.data)
+            ? 'No response for this id in the batch'
+            : response.data?.error?.message || 'Batch response is not an array';
+
+        return {
+            response,
+            items: requests.map((request, index) => {
+                const data = byId.get(body[index].id);
+                if (!data) {
+                    return { request, error: new Error(rejection) };
+                }
+
+                const item = {
+                    request,
+                    response: { ...response, config: { ...response.config, data: body[index] }, data }
+                };
+                if (request.schema) {
+                    item.response.validation = this.validateResponse(request.type, request.schema, item.response);
+                }
+                return item;
+            })
+        };
+    }
+
+    validateResponse(key, schema, response) {
+        // JSON-RPC error objects are not results, so there is no schema to check,
+        // but the response is not a valid one either
+        if (response.data?.error) {
+            return { valid: false, skipped: true, errors: [], rpcError: response.data.error.message };
+        }
+
+        const errors = validateSchema(schema, response.data);
+
+        if (!this.metrics.schema.has(key)) {
+            this.metrics.schema.set(key, { validated: 0, invalid: 0, fields: new Map() });
+        }
+        const stats = this.metrics.schema.get(key);
+        stats.validated++;
+
+        if (errors.length > 0) {
+            stats.invalid++;
+            for (const error of errors) {
+                const field = normalizeFieldPath(error.path);
+                if (!stats.fields.has(field)) {
+                    stats.fields.set(field, {});
+                }
+                const counts = stats.fields.get(field);
+                counts[error.keyword] = (counts[error.keyword] || 0) + 1;
+            }
+
+            this.logger.warn('Schema validation failed', { request: key, errors: errors.slice(0, 5) });
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
     async handleSuccess(endpoint, response, latency) {
         // Update metrics
         this.metrics.requests.total++;
         this.metrics.requests.successful++;
-        this.metrics.latencies.push(latency);
+        this.metrics.latencies.record(latency);
+        this.recordEndpointLatency(endpoint, latency, true);
 
         // Log response if enabled
         if (this.config.responseLogging) {
@@ -107,20 +251,44 @@ class CoreTester extends EventEmitter {
         if (!this.responses.successful.has(endpoint)) {
             this.responses.successful.set(endpoint, []);
         }
-        this.responses.successful.get(endpoint).push({
+        this.storeResponse(this.responses.successful.get(endpoint), {
+            traceId: response.traceId,
             timestamp: Date.now(),
             latency,
             data: response.data
         });
     }
 
+    recordEndpointLatency(endpoint, latency, success) {
+        if (!this.metrics.endpoints.has(endpoint)) {
+            this.metrics.endpoints.set(endpoint, {
+                successful: 0,
+                failed: 0,
+                latency: new LatencyHistogram()
+            });
+        }
+        const stats = this.metrics.endpoints.get(endpoint);
+        stats[success ? 'successful' : 'failed']++;
+        stats.latency.record(latency);
+    }
+
+    // Keep only the most recent responses so long runs don't grow without bound
+    storeResponse(list, entry) {
+        list.push(entry);
+        if (list.length > CONSTANTS.MAX_STORED_RESPONSES) {
+            list.shift();
+        }
+    }
+
     async handleError(endpoint, error, latency) {
         // Update metrics
         this.metrics.requests.total++;
         this.metrics.requests.failed++;
+        this.recordEndpointLatency(endpoint, latency, false);
 
         // Log error
         this.logger.error({
+            traceId: error.traceId,
             endpoint,
             error: {
                 message: error.message,
@@ -134,7 +302,8 @@ class CoreTester extends EventEmitter {
         if (!this.responses.failed.has(endpoint)) {
             this.responses.failed.set(endpoint, []);
         }
-        this.responses.failed.get(endpoint).push({
+        this.storeResponse(this.responses.failed.get(endpoint), {
+            traceId: error.traceId,
             timestamp: Date.now(),
             latency,
             error: {
@@ -210,9 +379,20 @@ class CoreTester extends EventEmitter {
         }
     }
 
+    logRequest(endpoint, options, traceId) {
+        this.logger.debug('Request', {
+            traceId,
+            endpoint,
+            method: options.method,
+            params: options.params,
+            data: options.data
+        });
+    }
+
     async logResponse(endpoint, response, latency) {
         const logData = {
             timestamp: new Date().toISOString(),
+            traceId: response.traceId,
             endpoint,
             method: response.config.method,
             status: response.status,
@@ -222,24 +402,28 @@ class CoreTester extends EventEmitter {
         };
 
         await fs.appendFile(
-            path.join('logs', `responses-${Date.now()}.json`),
+            this.outputPath('logs', `responses-${Date.now()}.json`),
             JSON.stringify(logData) + '\n'
         );
     }
 
-    async generateReport() {
+    async generateReport(sections = {}) {
         const report = {
             mode: this.config.mode,
             duration: this.metrics.endTime - this.metrics.startTime,
             requests: this.metrics.requests,
             averageLatency: this.calculateAverageLatency(),
+            latency: this.metrics.latencies.summary(),
             patterns: Object.fromEntries(this.metrics.patterns),
             errorRate: this.calculateErrorRate(),
-            endpoints: this.summarizeEndpoints()
+            endpoints: this.summarizeEndpoints(),
+            schemaValidation: this.summarizeSchemaValidation(),
+            ...sections
         };
 
+        await fs.mkdir(this.outputPath('reports'), { recursive: true });
         await fs.writeFile(
-            path.join('reports', `report-${Date.now()}.json`),
+            this.outputPath('reports', `report-${Date.now()}.json`),
             JSON.stringify(report, null, 2)
         );
 
@@ -247,8 +431,41 @@ class CoreTester extends EventEmitter {
     }
 
     calculateAverageLatency() {
-        if (this.metrics.latencies.length === 0) return 0;
-        return this.metrics.latencies.reduce((a, b) => a + b, 0) / this.metrics.latencies.length;
+        return this.metrics.latencies.mean;
+    }
+
+    calculateErrorRate() {
+        if (this.metrics.requests.total === 0) return 0;
+        return (this.metrics.requests.failed / this.metrics.requests.total * 100).toFixed(2);
+    }
+
+    summarizeSchemaValidation() {
+        const requests = {};
+        let validated = 0;
+        let invalid = 0;
+
+        for (const [key, stats] of this.metrics.schema) {
+            validated += stats.validated;
+            invalid += stats.invalid;
+            requests[key] = {
+                validated: stats.validated,
+                invalid: stats.invalid,
+                violations: Object.fromEntries(stats.fields)
+            };
+        }
+
+        return { validated, invalid, requests };
+    }
+
+    summarizeEndpoints() {
+        return Array.from(this.metrics.endpoints, ([endpoint, stats]) => ({
+            endpoint,
+            successful: stats.successful,
+            failed: stats.failed,
+            averageLatency: Math.round(stats.latency.mean),
+            latency: stats.latency.summary()
+        }));
     }
+}
 
-    calculate
+export { CoreTester };
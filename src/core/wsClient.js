@@ -0,0 +1,120 @@
+import { EventEmitter } from 'events';
+import { performance } from 'perf_hooks';
+import WebSocket from 'ws';
+import { CONSTANTS } from '../utils/constants.js';
+
+// JSON-RPC over a single WebSocket connection. Responses are matched to calls
+// by id; eth_subscription pushes are emitted as 'notification' events.
+export class WsRpcClient extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            url: '',
+            authToken: null,
+            timeout: CONSTANTS.TIMEOUT,
+            ...config
+        };
+
+        this.socket = null;
+        this.connecting = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    // Resolves with the time taken to complete the handshake in ms
+    connect() {
+        const startTime = performance.now();
+
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.config.url, {
+                headers: this.config.authToken
+                    ? { 'Authorization': `Bearer ${this.config.authToken}` }
+                    : {},
+                handshakeTimeout: this.config.timeout
+            });
+            this.connecting = socket;
+
+            socket.once('open', () => {
+                this.connecting = null;
+                this.socket = socket;
+                resolve(performance.now() - startTime);
+            });
+            // Errors before open reject the connect; later ones are followed by 'close'
+            socket.on('error', error => {
+                if (!this.socket) reject(error);
+            });
+            socket.on('message', data => this.handleMessage(data));
+            socket.on('close', (code, reason) => {
+                if (this.connecting === socket) this.connecting = null;
+                this.socket = null;
+                this.rejectPending(new Error(`WebSocket closed (${code})`));
+                this.emit('close', { code, reason: reason.toString() });
+            });
+        });
+    }
+
+    call(method, params = []) {
+        if (!this.socket) {
+            return Promise.reject(new Error('WebSocket is not connected'));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`${method} timed out after ${this.config.timeout}ms`));
+            }, this.config.timeout);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.socket.send(JSON.stringify({ jsonrpc: '2.0', method, params, id }));
+        });
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch {
+            this.emit('invalid', data.toString());
+            return;
+        }
+
+        if (message.method === 'eth_subscription') {
+            this.emit('notification', message.params.subscription, message.params.result);
+            return;
+        }
+
+        const pending = this.pending.get(message.id);
+        if (!pending) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(pending.timer);
+        if (message.error) {
+            const error = new Error(message.error.message);
+            error.code = message.error.code;
+            pending.reject(error);
+        } else {
+            pending.resolve(message.result);
+        }
+    }
+
+    rejectPending(error) {
+        for (const { reject, timer } of this.pending.values()) {
+            clearTimeout(timer);
+            reject(error);
+        }
+        this.pending.clear();
+    }
+
+    // A connect still in its handshake is aborted, which rejects its promise
+    close() {
+        if (this.connecting) {
+            this.connecting.terminate();
+        }
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
+
+export default WsRpcClient;
@@ -0,0 +1,70 @@
+// Bech32 (BIP-173) decoding, enough to validate addresses found in tx payloads
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+// Candidate addresses embedded in arbitrary text, e.g. JSON contract messages
+export const BECH32_PATTERN = /\b[a-z]{1,20}1[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{38,}\b/g;
+
+function polymod(values) {
+    let checksum = 1;
+    for (const value of values) {
+        const top = checksum >> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        for (let i = 0; i < 5; i++) {
+            if ((top >> i) & 1) checksum ^= GENERATOR[i];
+        }
+    }
+    return checksum;
+}
+
+function expandPrefix(prefix) {
+    return [
+        ...Array.from(prefix, char => char.charCodeAt(0) >> 5),
+        0,
+        ...Array.from(prefix, char => char.charCodeAt(0) & 31)
+    ];
+}
+
+// 5-bit groups to bytes; returns null on non-zero padding
+function fromWords(words) {
+    let accumulator = 0;
+    let bits = 0;
+    const bytes = [];
+
+    for (const word of words) {
+        accumulator = (accumulator << 5) | word;
+        bits += 5;
+        while (bits >= 8) {
+            bits -= 8;
+            bytes.push((accumulator >> bits) & 0xff);
+        }
+    }
+    if (bits >= 5 || ((accumulator << (8 - bits)) & 0xff)) return null;
+    return Uint8Array.from(bytes);
+}
+
+// Returns { prefix, data } for a valid bech32 string, otherwise null
+export function decodeBech32(address) {
+    if (typeof address !== 'string' || address.length > 90 || address !== address.toLowerCase()) {
+        return null;
+    }
+
+    const separator = address.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > address.length) return null;
+
+    const prefix = address.slice(0, separator);
+    const words = [];
+    for (const char of address.slice(separator + 1)) {
+        const word = CHARSET.indexOf(char);
+        if (word === -1) return null;
+        words.push(word);
+    }
+
+    if (polymod([...expandPrefix(prefix), ...words]) !== 1) return null;
+
+    const data = fromWords(words.slice(0, -6));
+    return data ? { prefix, data } : null;
+}
+
+export default decodeBech32;
@@ -0,0 +1,257 @@
+import axios from 'axios';
+import path from 'path';
+import { CONSTANTS } from '../utils/constants.js';
+import { createConsoleLogger } from '../core/logger.js';
+import { nextId, createTraceId } from '../utils/ids.js';
+import { ChainCorpus } from './corpus.js';
+import { decodeCosmosTx, extractFromCosmosTx } from './cosmosTx.js';
+import { extractFromEvmBlock, extractFromTransferLogs, TRANSFER_TOPIC } from './evmTx.js';
+
+const toHex = value => '0x' + value.toString(16);
+
+// Builds a corpus of real chain data (heights, tx hashes, addresses, denoms,
+// contracts and tokens) from recent blocks for the test modes to draw on
+export class ChainDiscovery {
+    constructor(config = {}) {
+        this.config = {
+            endpoint: '',
+            restEndpoint: null,
+            evmEndpoint: null,
+            authToken: null,
+            outputDir: '.',
+            blocks: 10,
+            concurrency: 5,
+            maxCodes: 10,
+            maxCodeChecks: 20,
+            timeout: CONSTANTS.TIMEOUT,
+            ...config
+        };
+        this.logger = this.config.logger || createConsoleLogger(this.config.logLevel);
+
+        this.corpus = new ChainCorpus();
+        this.blocks = new Map();
+        this.stats = {
+            blocks: 0,
+            cosmosTxs: 0,
+            evmTxs: 0,
+            undecodable: 0
+        };
+    }
+
+    async run() {
+        await this.performInitialDiscovery();
+        await this.analyzeBlocks();
+        await this.analyzeTransactions();
+        await this.discoverContracts();
+        return this.corpus;
+    }
+
+    async performInitialDiscovery() {
+        const queries = [
+            {
+                name: 'latest-block',
+                endpoint: '/cosmos/base/tendermint/v1beta1/blocks/latest',
+                handler: data => {
+                    this.corpus.latestHeight = parseInt(data.block.header.height, 10);
+                }
+            },
+            {
+                name: 'chain-id',
+                endpoint: '/cosmos/base/tendermint/v1beta1/node_info',
+                handler: data => {
+                    this.corpus.chainId = data.default_node_info.network;
+                }
+            },
+            {
+                name: 'evm-latest',
+                endpoint: '',
+                surface: 'evm',
+                method: 'POST',
+                data: { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 1 },
+                handler: data => {
+                    this.corpus.evmHeight = parseInt(data.result, 16);
+                }
+            }
+        ];
+
+        for (const query of queries) {
+            try {
+                const response = await this.makeRequest(query);
+                query.handler(response.data);
+            } catch (error) {
+                this.logger.warn(`Discovery query ${query.name} failed`, { error: error.message, traceId: error.traceId });
+            }
+        }
+    }
+
+    // Fetches the most recent blocks from both the Cosmos and EVM sides
+    async analyzeBlocks() {
+        const head = this.corpus.latestHeight || this.corpus.evmHeight;
+        if (!head) {
+            this.logger.warn('Skipping block analysis: chain head unknown');
+            return;
+        }
+
+        const heights = [];
+        for (let height = head; height > Math.max(head - this.config.blocks, 0); height--) {
+            heights.push(height);
+        }
+
+        for (let i = 0; i < heights.length; i += this.config.concurrency) {
+            await Promise.all(heights.slice(i, i + this.config.concurrency).map(height => this.fetchBlockData(height)));
+        }
+    }
+
+    async fetchBlockData(height) {
+        const [cosmos, evm] = await Promise.all([
+            this.makeRequest({ endpoint: `/cosmos/base/tendermint/v1beta1/blocks/${height}` })
+                .then(response => response.data.block)
+                .catch(error => {
+                    this.logger.warn('Failed to fetch block', { height, error: error.message, traceId: error.traceId });
+                    return null;
+                }),
+            this.rpc('eth_getBlockByNumber', [toHex(height), true])
+                .catch(error => {
+                    this.logger.warn('Failed to fetch EVM block', { height, error: error.message, traceId: error.traceId });
+                    return null;
+                })
+        ]);
+
+        if (!cosmos && !evm) return;
+
+        this.stats.blocks++;
+        this.corpus.add('heights', height);
+        this.blocks.set(height, { txs: cosmos?.data?.txs || [] });
+
+        if (evm) {
+            this.stats.evmTxs += evm.transactions?.length || 0;
+            this.corpus.merge(extractFromEvmBlock(evm));
+        }
+    }
+
+    // Decodes the protobuf txs collected by analyzeBlocks
+    async analyzeTransactions() {
+        for (const block of this.blocks.values()) {
+            for (const encoded of block.txs) {
+                try {
+                    this.corpus.merge(extractFromCosmosTx(decodeCosmosTx(encoded)));
+                    this.stats.cosmosTxs++;
+                } catch (error) {
+                    this.stats.undecodable++;
+                }
+            }
+        }
+    }
+
+    async discoverContracts() {
+        await this.discoverWasmContracts();
+        await this.discoverTokenTransfers();
+        await this.classifyEvmAccounts();
+    }
+
+    // Newest contracts of the most recently stored codes
+    async discoverWasmContracts() {
+        try {
+            const codes = await this.makeRequest({
+                endpoint: '/cosmwasm/wasm/v1/code',
+                params: { 'pagination.limit': this.config.maxCodes, 'pagination.reverse': true }
+            });
+
+            for (const code of codes.data.code_infos || []) {
+                const contracts = await this.makeRequest({
+                    endpoint: `/cosmwasm/wasm/v1/code/${code.code_id}/contracts`,
+                    params: { 'pagination.limit': 10, 'pagination.reverse': true }
+                });
+                this.corpus.add('contracts', contracts.data.contracts || []);
+            }
+        } catch (error) {
+            this.logger.warn('Failed to list wasm contracts', { error: error.message, traceId: error.traceId });
+        }
+    }
+
+    // ERC20 tokens and holders from Transfer events in the analyzed range
+    async discoverTokenTransfers() {
+        const heights = this.corpus.get('heights');
+        if (heights.length === 0) return;
+
+        try {
+            const logs = await this.rpc('eth_getLogs', [{
+                fromBlock: toHex(Math.min(...heights)),
+                toBlock: toHex(Math.max(...heights)),
+                topics: [TRANSFER_TOPIC]
+            }]);
+            this.corpus.merge(extractFromTransferLogs(logs || []));
+        } catch (error) {
+            this.logger.warn('Failed to read EVM transfer logs', { error: error.message, traceId: error.traceId });
+        }
+    }
+
+    // Moves EVM addresses that turn out to hold code into evmContracts
+    async classifyEvmAccounts() {
+        const candidates = this.corpus.get('evmAccounts').slice(0, this.config.maxCodeChecks);
+
+        for (const address of candidates) {
+            try {
+                const code = await this.rpc('eth_getCode', [address, 'latest']);
+                if (code && code !== '0x') {
+                    this.corpus.remove('evmAccounts', address);
+                    this.corpus.add('evmContracts', address);
+                }
+            } catch (error) {
+                this.logger.warn('Failed to check EVM account code', { address, error: error.message, traceId: error.traceId });
+                return;
+            }
+        }
+    }
+
+    // Queries are Cosmos REST paths unless they name another surface. The
+    // timeout keeps one unresponsive node from stalling discovery. Like the
+    // testers, every request carries a trace id, set as `traceId` on the
+    // response or error.
+    async makeRequest(query) {
+        const base = this.config[CONSTANTS.SURFACE_ENDPOINTS[query.surface || 'rest']] || this.config.endpoint;
+        const traceId = createTraceId();
+        try {
+            const response = await axios({
+                method: query.method || 'GET',
+                url: base + query.endpoint,
+                timeout: this.config.timeout,
+                headers: {
+                    ...(this.config.authToken && { 'Authorization': `Bearer ${this.config.authToken}` }),
+                    [CONSTANTS.TRACE_HEADER]: traceId
+                },
+                data: query.data,
+                params: query.params
+            });
+            response.traceId = traceId;
+            return response;
+        } catch (error) {
+            error.traceId = traceId;
+            throw error;
+        }
+    }
+
+    // JSON-RPC call against the EVM endpoint; resolves with the result or throws the RPC error
+    async rpc(method, params = []) {
+        const response = await this.makeRequest({
+            endpoint: '',
+            surface: 'evm',
+            method: 'POST',
+            data: { jsonrpc: '2.0', method, params, id: nextId() }
+        });
+        if (response.data.error) {
+            throw Object.assign(new Error(`${method}: ${response.data.error.message}`), { traceId: response.traceId });
+        }
+        return response.data.result;
+    }
+
+    // Saves as the next version of a named corpus, or a timestamped file without a name
+    async save(name) {
+        const dir = path.join(this.config.outputDir, 'discovery');
+        return name
+            ? this.corpus.saveVersion(dir, name)
+            : this.corpus.save(path.join(dir, `discovery-${Date.now()}.json`));
+    }
+}
+
+export default ChainDiscovery;
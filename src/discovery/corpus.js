@@ -0,0 +1,136 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Bumped when the file layout changes incompatibly
+export const CORPUS_FORMAT = 1;
+
+// Named corpora are saved as <name>.v<version>.json so earlier versions stay replayable
+const NAMED_FILE = /^(.+)\.v(\d+)\.json$/;
+
+// Everything discovery collects; bech32 values are Cosmos-side, evm* values are 0x-prefixed
+export const CORPUS_KEYS = [
+    'heights',
+    'txHashes',
+    'evmTxHashes',
+    'accounts',
+    'validators',
+    'contracts',
+    'cw20',
+    'denoms',
+    'evmAccounts',
+    'evmContracts',
+    'erc20'
+];
+
+// Empty per-transaction extraction result, merged into a corpus by ChainCorpus.merge
+export function createExtraction() {
+    return Object.fromEntries(CORPUS_KEYS.map(key => [key, []]));
+}
+
+export class ChainCorpus {
+    constructor(data = {}) {
+        if (data.format > CORPUS_FORMAT) {
+            throw new Error(`Corpus format ${data.format} is newer than supported format ${CORPUS_FORMAT}`);
+        }
+
+        this.name = data.name ?? null;
+        this.version = data.version ?? null;
+        this.chainId = data.chainId ?? null;
+        this.latestHeight = data.latestHeight ?? null;
+        this.evmHeight = data.evmHeight ?? null;
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.entries = new Map(CORPUS_KEYS.map(key => [key, new Set(data[key] || [])]));
+    }
+
+    add(key, values) {
+        const set = this.entries.get(key);
+        if (!set) throw new Error(`Unknown corpus key: ${key}`);
+
+        for (const value of [].concat(values)) {
+            if (value !== null && value !== undefined && value !== '') set.add(value);
+        }
+    }
+
+    remove(key, value) {
+        this.entries.get(key)?.delete(value);
+    }
+
+    merge(extraction) {
+        for (const key of CORPUS_KEYS) {
+            if (extraction[key]) this.add(key, extraction[key]);
+        }
+        return this;
+    }
+
+    get(key) {
+        return Array.from(this.entries.get(key) || []);
+    }
+
+    counts() {
+        return Object.fromEntries(CORPUS_KEYS.map(key => [key, this.entries.get(key).size]));
+    }
+
+    toJSON() {
+        return {
+            format: CORPUS_FORMAT,
+            name: this.name,
+            version: this.version,
+            chainId: this.chainId,
+            latestHeight: this.latestHeight,
+            evmHeight: this.evmHeight,
+            createdAt: this.createdAt,
+            counts: this.counts(),
+            ...Object.fromEntries(CORPUS_KEYS.map(key => [key, this.get(key)]))
+        };
+    }
+
+    async save(file) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(this, null, 2));
+        return file;
+    }
+
+    // Saves as the next version of a named corpus in dir
+    async saveVersion(dir, name) {
+        const versions = await ChainCorpus.listVersions(dir, name);
+        this.name = name;
+        this.version = (versions.at(-1) || 0) + 1;
+        return this.save(path.join(dir, `${name}.v${this.version}.json`));
+    }
+
+    static async listVersions(dir, name) {
+        const files = await fs.readdir(dir).catch(() => []);
+        return files
+            .map(file => file.match(NAMED_FILE))
+            .filter(match => match && match[1] === name)
+            .map(match => Number(match[2]))
+            .sort((a, b) => a - b);
+    }
+
+    // Accepts a file path, "name" (latest version) or "name@version" under dir
+    static async resolve(spec, dir) {
+        if (spec.endsWith('.json')) return spec;
+
+        const [name, version] = spec.split('@');
+        const versions = await ChainCorpus.listVersions(dir, name);
+        const selected = version ? Number(version) : versions.at(-1);
+        if (!versions.includes(selected)) {
+            throw new Error(`Corpus ${spec} not found in ${dir} (available versions: ${versions.join(', ') || 'none'})`);
+        }
+        return path.join(dir, `${name}.v${selected}.json`);
+    }
+
+    static async load(file) {
+        return new ChainCorpus(JSON.parse(await fs.readFile(file, 'utf8')));
+    }
+
+    // Resolves a corpus spec against <outputDir>/discovery and loads it
+    static async open(spec, outputDir = '.') {
+        const file = await ChainCorpus.resolve(spec, path.join(outputDir, 'discovery'));
+        const corpus = await ChainCorpus.load(file);
+        corpus.file = file;
+        return corpus;
+    }
+}
+
+export default ChainCorpus;
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import {
+    decodeMessage, tryDecodeMessage, asPrintableString, getField, getFields, getString, WIRE_TYPES
+} from './protobuf.js';
+import { decodeBech32, BECH32_PATTERN } from './bech32.js';
+import { createExtraction } from './corpus.js';
+
+const MSG_EXECUTE_CONTRACT = '/cosmwasm.wasm.v1.MsgExecuteContract';
+const EVM_ADDRESS_PATTERN = /\b0x[0-9a-fA-F]{40}\b/g;
+const DENOM_PATTERN = /^[a-zA-Z][a-zA-Z0-9/:._-]{2,127}$/;
+const MAX_DEPTH = 8;
+
+// Execute messages only a CW20 token contract accepts
+export const CW20_EXECUTE_MESSAGES = [
+    'transfer', 'transfer_from', 'send', 'send_from', 'burn', 'burn_from',
+    'mint', 'increase_allowance', 'decrease_allowance'
+];
+
+// Decodes a base64 TxRaw as found in Cosmos block data. The hash matches the
+// one reported by /cosmos/tx/v1beta1/txs/{hash}.
+export function decodeCosmosTx(encoded) {
+    const raw = Buffer.from(encoded, 'base64');
+    const txRaw = decodeMessage(raw);
+    const body = decodeMessage(getField(txRaw, 1) || new Uint8Array());
+
+    return {
+        hash: crypto.createHash('sha256').update(raw).digest('hex').toUpperCase(),
+        messages: getFields(body, 1).map(any => {
+            const fields = decodeMessage(any);
+            return {
+                typeUrl: getString(fields, 1),
+                value: getField(fields, 2) || new Uint8Array()
+            };
+        }),
+        memo: getString(body, 2) || '',
+        authInfo: getField(txRaw, 2) || null
+    };
+}
+
+// Pulls addresses, denoms and contracts out of a decoded tx. Message types are
+// walked generically so new modules are covered without a schema for each one.
+export function extractFromCosmosTx(tx) {
+    const found = createExtraction();
+    found.txHashes.push(tx.hash);
+
+    for (const message of tx.messages) {
+        walk(message.value, found);
+        if (message.typeUrl === MSG_EXECUTE_CONTRACT) {
+            classifyExecute(message.value, found);
+        }
+    }
+    if (tx.authInfo) {
+        walk(tx.authInfo, found);
+    }
+    classifyString(tx.memo, found);
+
+    return found;
+}
+
+function walk(bytes, found, depth = 0) {
+    const text = asPrintableString(bytes);
+    if (text) {
+        classifyString(text, found);
+        return;
+    }
+
+    const fields = depth < MAX_DEPTH ? tryDecodeMessage(bytes) : null;
+    if (!fields) return;
+
+    const coin = asCoin(fields);
+    if (coin) {
+        found.denoms.push(coin.denom);
+        return;
+    }
+
+    for (const { wireType, value } of fields) {
+        if (wireType === WIRE_TYPES.LENGTH_DELIMITED) {
+            walk(value, found, depth + 1);
+        }
+    }
+}
+
+// cosmos.base.v1beta1.Coin: { 1: denom, 2: amount as a decimal string }
+function asCoin(fields) {
+    if (fields.length !== 2 || fields[0].field !== 1 || fields[1].field !== 2) return null;
+    if (fields[0].wireType !== WIRE_TYPES.LENGTH_DELIMITED || fields[1].wireType !== WIRE_TYPES.LENGTH_DELIMITED) {
+        return null;
+    }
+
+    const denom = asPrintableString(fields[0].value);
+    const amount = asPrintableString(fields[1].value);
+    if (!denom || !amount || !DENOM_PATTERN.test(denom) || !/^\d+$/.test(amount)) return null;
+    return { denom, amount };
+}
+
+function classifyString(text, found) {
+    if (!text) return;
+
+    for (const candidate of text.match(BECH32_PATTERN) || []) {
+        const decoded = decodeBech32(candidate);
+        if (!decoded) continue;
+
+        if (decoded.prefix.endsWith('valoper')) {
+            found.validators.push(candidate);
+        } else if (decoded.data.length === 32) {
+            // Contract addresses are derived from a 32-byte hash, accounts from 20 bytes
+            found.contracts.push(candidate);
+        } else if (decoded.data.length === 20) {
+            found.accounts.push(candidate);
+        }
+    }
+
+    for (const address of text.match(EVM_ADDRESS_PATTERN) || []) {
+        found.evmAccounts.push(address.toLowerCase());
+    }
+}
+
+// MsgExecuteContract: { 1: sender, 2: contract, 3: msg (JSON bytes), 5: funds }
+function classifyExecute(bytes, found) {
+    const fields = tryDecodeMessage(bytes);
+    const contract = fields && asPrintableString(getField(fields, 2) || new Uint8Array());
+    const msg = fields && asPrintableString(getField(fields, 3) || new Uint8Array());
+    if (!contract || !msg) return;
+
+    try {
+        const [action] = Object.keys(JSON.parse(msg));
+        if (CW20_EXECUTE_MESSAGES.includes(action)) {
+            found.cw20.push(contract);
+        }
+    } catch {
+        // Not JSON; the generic walk has already picked up any addresses
+    }
+}
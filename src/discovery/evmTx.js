@@ -0,0 +1,51 @@
+import { createExtraction } from './corpus.js';
+
+// keccak256("Transfer(address,address,uint256)")
+export const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+const topicToAddress = topic => '0x' + topic.slice(-40).toLowerCase();
+
+// Accounts, contracts and tx hashes from a block fetched with full transactions.
+// Token standards can't be told apart by call selector (ERC721 shares transferFrom
+// and approve), so ERC20s only come from extractFromTransferLogs.
+export function extractFromEvmBlock(block) {
+    const found = createExtraction();
+
+    for (const tx of block.transactions || []) {
+        if (typeof tx === 'string') {
+            found.evmTxHashes.push(tx);
+            continue;
+        }
+
+        found.evmTxHashes.push(tx.hash);
+        found.evmAccounts.push(tx.from?.toLowerCase());
+        if (!tx.to) continue;
+
+        const to = tx.to.toLowerCase();
+        // A call carrying input data targets a contract; a plain transfer targets an account
+        if (tx.input && tx.input !== '0x') {
+            found.evmContracts.push(to);
+        } else {
+            found.evmAccounts.push(to);
+        }
+    }
+
+    return found;
+}
+
+// ERC20 Transfer logs index from and to; ERC721 also indexes the token id,
+// so only three-topic logs identify a fungible token
+export function extractFromTransferLogs(logs = []) {
+    const found = createExtraction();
+
+    for (const log of logs) {
+        if (log.topics?.[0] !== TRANSFER_TOPIC || log.topics.length !== 3) continue;
+
+        const token = log.address.toLowerCase();
+        found.erc20.push(token);
+        found.evmContracts.push(token);
+        found.evmAccounts.push(topicToAddress(log.topics[1]), topicToAddress(log.topics[2]));
+    }
+
+    return found;
+}
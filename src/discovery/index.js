@@ -0,0 +1,3 @@
+export { ChainDiscovery } from './chainDiscovery.js';
+export { ChainCorpus } from './corpus.js';
+export { ParameterProvider } from './parameterProvider.js';
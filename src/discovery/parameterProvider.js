@@ -0,0 +1,262 @@
+import { ChainDiscovery } from './chainDiscovery.js';
+import { ChainCorpus } from './corpus.js';
+import { extractFromEvmBlock } from './evmTx.js';
+
+const toHex = value => '0x' + value.toString(16);
+
+// Share of sampled heights taken from the chain head, the last `recentBlocks`
+// blocks, and everything older than that
+export const BLOCK_BUCKETS = ['latest', 'recent', 'archive'];
+export const DEFAULT_BLOCK_DISTRIBUTION = { recent: 80, archive: 20 };
+
+// Key of `weights` picked in proportion to its weight, or null if all are 0
+function pickWeighted(weights, random) {
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let remaining = random() * total;
+    for (const [key, weight] of entries) {
+        if (remaining < weight) return key;
+        remaining -= weight;
+    }
+    return null;
+}
+
+// Supplies request templates with real block heights, tx hashes, addresses and
+// contracts sampled from the chain, refreshed periodically as the head moves.
+export class ParameterProvider {
+    constructor(config = {}) {
+        // Unset options (null from the environment) fall back to the defaults below
+        const defined = Object.entries(config).filter(([, value]) => value !== null && value !== undefined);
+        this.config = {
+            blockDistribution: DEFAULT_BLOCK_DISTRIBUTION,
+            recentBlocks: 1000,
+            earliestHeight: 1,
+            sampleBlocks: 10,
+            maxLogRange: 10,
+            txSearchBlocks: 50,
+            poolSize: 500,
+            refreshIntervalMs: 60000,
+            replay: false,
+            ...Object.fromEntries(defined)
+        };
+        this.random = this.config.random || Math.random;
+
+        const unknown = Object.keys(this.config.blockDistribution)
+            .filter(bucket => !BLOCK_BUCKETS.includes(bucket));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown block distribution bucket: ${unknown.join(', ')} (expected ${BLOCK_BUCKETS.join(', ')})`);
+        }
+        // Log range sizes as weights keyed by each size bucket's upper bound, e.g. { "1": 60, "100": 40 }
+        this.logRangeBounds = this.config.logRanges
+            ? Object.keys(this.config.logRanges).map(Number).sort((a, b) => a - b)
+            : null;
+        if (this.logRangeBounds?.some(bound => !Number.isInteger(bound) || bound < 1)) {
+            throw new Error(`Invalid log range bucket: ${Object.keys(this.config.logRanges).join(', ')} (expected block counts)`);
+        }
+
+        this.discovery = new ChainDiscovery(config);
+        this.logger = this.discovery.logger;
+        this.latestHeight = null;
+        this.pools = {
+            txHashes: [],
+            addresses: [],
+            contracts: [],
+            blockHashes: [],
+            cosmosTxHashes: []
+        };
+        this.sampledBlocks = 0;
+        this.corpus = null;
+        this.timer = null;
+    }
+
+    async start() {
+        if (this.config.corpus) {
+            this.corpus = await ChainCorpus.open(this.config.corpus, this.config.outputDir);
+            this.seed(this.corpus);
+        }
+
+        // Replay draws only from the corpus so every run sees identical pools
+        if (this.config.replay) {
+            if (!this.corpus) throw new Error('Replay requires a corpus');
+            this.latestHeight = this.corpus.latestHeight ?? this.corpus.evmHeight;
+            return;
+        }
+
+        await this.refresh();
+        await this.findTransactions();
+        this.timer = setInterval(() => this.refresh(), this.config.refreshIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Re-reads the chain head and samples blocks across the configured distribution.
+    // The head block itself is collected too, so block hashes are never empty.
+    async refresh() {
+        try {
+            const head = await this.discovery.rpc('eth_getBlockByNumber', ['latest', true]);
+            this.latestHeight = parseInt(head.number, 16);
+            this.collect(head);
+        } catch (error) {
+            this.logger.warn('Failed to refresh chain head', { error: error.message });
+            return false;
+        }
+
+        const blocks = await Promise.all(
+            Array.from({ length: this.config.sampleBlocks }, () => {
+                // Live sampling isn't reproducible anyway, so keep it off the seeded stream
+                const { height } = this.pickHeight(Math.random);
+                return this.discovery.rpc('eth_getBlockByNumber', [toHex(height), true]).catch(() => null);
+            })
+        );
+
+        for (const block of blocks.filter(Boolean)) {
+            this.collect(block);
+        }
+        return true;
+    }
+
+    // Walks back from the head, up to txSearchBlocks blocks, until the pools hold
+    // a transaction; random samples on a quiet chain can all be empty blocks
+    async findTransactions() {
+        if (this.latestHeight === null) return;
+
+        const lowest = Math.max(this.latestHeight - this.config.txSearchBlocks, this.config.earliestHeight);
+        for (let height = this.latestHeight - 1; height >= lowest && this.pools.txHashes.length === 0; height--) {
+            const block = await this.discovery.rpc('eth_getBlockByNumber', [toHex(height), true]).catch(() => null);
+            if (block) this.collect(block);
+        }
+    }
+
+    // Preloads the pools from a discovery corpus so sampling doesn't start empty
+    seed(corpus) {
+        corpus.get('evmTxHashes').forEach(hash => this.addToPool('txHashes', hash));
+        corpus.get('evmAccounts').forEach(address => this.addToPool('addresses', address));
+        corpus.get('evmContracts').forEach(address => this.addToPool('contracts', address));
+        // Cosmos tx hashes only come from a corpus; EVM blocks don't carry them
+        corpus.get('txHashes').forEach(hash => this.addToPool('cosmosTxHashes', hash));
+    }
+
+    collect(block) {
+        this.sampledBlocks++;
+        this.addToPool('blockHashes', block.hash);
+
+        const found = extractFromEvmBlock(block);
+        found.evmTxHashes.forEach(hash => this.addToPool('txHashes', hash));
+        found.evmAccounts.forEach(address => this.addToPool('addresses', address));
+        found.evmContracts.forEach(address => this.addToPool('contracts', address));
+    }
+
+    // Pools keep the most recent poolSize distinct values
+    addToPool(name, value) {
+        const pool = this.pools[name];
+        if (!value || pool.includes(value)) return;
+
+        pool.push(value);
+        if (pool.length > this.config.poolSize) {
+            pool.shift();
+        }
+    }
+
+    pickBucket(random = this.random) {
+        return pickWeighted(this.config.blockDistribution, random) || 'latest';
+    }
+
+    // A size from the logRanges buckets, uniform within the bucket picked
+    pickLogRange(random = this.random) {
+        const bound = Number(pickWeighted(this.config.logRanges, random) ?? this.logRangeBounds[0]);
+        const lower = this.logRangeBounds.filter(upper => upper < bound).pop() ?? 0;
+        return lower + 1 + Math.floor(random() * (bound - lower));
+    }
+
+    pickHeight(random = this.random) {
+        const bucket = this.pickBucket(random);
+        const latest = this.latestHeight;
+        const { recentBlocks, earliestHeight } = this.config;
+        const recentStart = Math.max(latest - recentBlocks, earliestHeight);
+
+        if (bucket === 'recent') {
+            return { bucket, height: recentStart + Math.floor(random() * (latest - recentStart + 1)) };
+        }
+        if (bucket === 'archive') {
+            return { bucket, height: earliestHeight + Math.floor(random() * (recentStart - earliestHeight + 1)) };
+        }
+        return { bucket, height: latest };
+    }
+
+    // A pooled value, or undefined when the pool is empty; methods skip the draw then
+    pick(name, random = this.random) {
+        const pool = this.pools[name];
+        return pool.length > 0 ? pool[Math.floor(random() * pool.length)] : undefined;
+    }
+
+    // Block parameter for methods that take one; 'latest' until the head is known
+    blockTag() {
+        if (this.latestHeight === null) return 'latest';
+
+        const { bucket, height } = this.pickHeight();
+        return bucket === 'latest' ? 'latest' : toHex(height);
+    }
+
+    // Decimal height for Tendermint and Cosmos methods; null (meaning latest) until the head is known
+    height() {
+        if (this.latestHeight === null) return null;
+
+        const { bucket, height } = this.pickHeight();
+        return bucket === 'latest' ? null : height;
+    }
+
+    // [fromBlock, toBlock] spanning at most maxLogRange blocks, or a size drawn from logRanges
+    blockRange(maxSpan = this.config.maxLogRange) {
+        if (this.latestHeight === null) return ['latest', 'latest'];
+
+        const { height } = this.pickHeight();
+        const span = this.logRangeBounds ? this.pickLogRange() - 1 : Math.floor(this.random() * maxSpan);
+        const from = Math.max(height - span, this.config.earliestHeight);
+        return [toHex(from), toHex(height)];
+    }
+
+    txHash() {
+        return this.pick('txHashes');
+    }
+
+    blockHash() {
+        return this.pick('blockHashes');
+    }
+
+    cosmosTxHash() {
+        return this.pick('cosmosTxHashes');
+    }
+
+    address() {
+        return this.pick('addresses') || this.pick('contracts');
+    }
+
+    contract(random = this.random) {
+        return this.pick('contracts', random) || this.pick('addresses', random);
+    }
+
+    describe() {
+        return {
+            corpus: this.corpus
+                ? { name: this.corpus.name, version: this.corpus.version, file: this.corpus.file }
+                : null,
+            replay: this.config.replay,
+            latestHeight: this.latestHeight,
+            blockDistribution: this.config.blockDistribution,
+            recentBlocks: this.config.recentBlocks,
+            logRanges: this.config.logRanges || null,
+            sampledBlocks: this.sampledBlocks,
+            txHashes: this.pools.txHashes.length,
+            addresses: this.pools.addresses.length,
+            contracts: this.pools.contracts.length,
+            blockHashes: this.pools.blockHashes.length,
+            cosmosTxHashes: this.pools.cosmosTxHashes.length
+        };
+    }
+}
+
+export default ParameterProvider;
@@ -0,0 +1,116 @@
+// Minimal protobuf wire-format reader. Decodes a message into its raw fields
+// without a schema; callers interpret field numbers themselves.
+
+const WIRE_TYPES = {
+    VARINT: 0,
+    FIXED64: 1,
+    LENGTH_DELIMITED: 2,
+    FIXED32: 5
+};
+
+function readVarint(bytes, offset) {
+    let value = 0n;
+    let shift = 0n;
+    let position = offset;
+
+    while (position < bytes.length) {
+        const byte = bytes[position++];
+        value |= BigInt(byte & 0x7f) << shift;
+        if ((byte & 0x80) === 0) {
+            return { value, offset: position };
+        }
+        shift += 7n;
+        if (shift > 63n) break;
+    }
+    throw new Error('Malformed varint');
+}
+
+// Returns [{ field, wireType, value }]; length-delimited values are Uint8Arrays,
+// varints are BigInts. Throws unless the whole buffer parses cleanly.
+export function decodeMessage(bytes) {
+    const fields = [];
+    let offset = 0;
+
+    while (offset < bytes.length) {
+        const tag = readVarint(bytes, offset);
+        offset = tag.offset;
+        const field = Number(tag.value >> 3n);
+        const wireType = Number(tag.value & 7n);
+        if (field === 0) throw new Error('Invalid field number 0');
+
+        let value;
+        switch (wireType) {
+            case WIRE_TYPES.VARINT: {
+                const varint = readVarint(bytes, offset);
+                value = varint.value;
+                offset = varint.offset;
+                break;
+            }
+            case WIRE_TYPES.FIXED64:
+                if (offset + 8 > bytes.length) throw new Error('Truncated fixed64');
+                value = bytes.subarray(offset, offset + 8);
+                offset += 8;
+                break;
+            case WIRE_TYPES.LENGTH_DELIMITED: {
+                const length = readVarint(bytes, offset);
+                const start = length.offset;
+                const end = start + Number(length.value);
+                if (end > bytes.length) throw new Error('Truncated length-delimited field');
+                value = bytes.subarray(start, end);
+                offset = end;
+                break;
+            }
+            case WIRE_TYPES.FIXED32:
+                if (offset + 4 > bytes.length) throw new Error('Truncated fixed32');
+                value = bytes.subarray(offset, offset + 4);
+                offset += 4;
+                break;
+            default:
+                throw new Error(`Unsupported wire type ${wireType}`);
+        }
+
+        fields.push({ field, wireType, value });
+    }
+
+    return fields;
+}
+
+// Like decodeMessage but returns null instead of throwing
+export function tryDecodeMessage(bytes) {
+    try {
+        return bytes.length > 0 ? decodeMessage(bytes) : null;
+    } catch {
+        return null;
+    }
+}
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// Decodes bytes as text only if they are valid UTF-8 without control characters
+export function asPrintableString(bytes) {
+    try {
+        const text = utf8.decode(bytes);
+        const printable = text.length > 0 && Array.from(text).every(char => {
+            const code = char.charCodeAt(0);
+            return code >= 0x20 && code !== 0x7f;
+        });
+        return printable ? text : null;
+    } catch {
+        return null;
+    }
+}
+
+export function getField(fields, number) {
+    return fields.find(entry => entry.field === number)?.value;
+}
+
+export function getFields(fields, number) {
+    return fields.filter(entry => entry.field === number).map(entry => entry.value);
+}
+
+export function getString(fields, number) {
+    const value = getField(fields, number);
+    return value instanceof Uint8Array ? utf8.decode(value) : undefined;
+}
+
+export { WIRE_TYPES };
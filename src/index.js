@@ -1,22 +1,209 @@
-import { config } from './config/index.js';
-import { LoadTester } from './modes/load/index.js';
-import { ExhaustiveTester } from './modes/exhaustive/index.js';
-import dotenv from 'dotenv';
+#!/usr/bin/env node
+import { Command, Option } from 'commander';
+import { buildConfig } from './config/index.js';
+import {
+    parseDuration, parseInteger, parseMix, parseThreshold, parseBlockDistribution, parseSubscriptionMix, parseUpgrades,
+    parseEndpoints
+} from './utils/parsers.js';
+import { CONSTANTS } from './utils/constants.js';
+import { ID_FORMATS } from './utils/ids.js';
+import { loadMethods } from './methods/index.js';
 
-dotenv.config();
+// Connection and output options shared by every subcommand that talks to a node
+function withCommonOptions(command) {
+    return command
+        .option('-e, --endpoint <url>', 'RPC endpoint (overrides SEI_RPC_ENDPOINT)')
+        .option('--rest-endpoint <url>', 'Cosmos REST (LCD) base URL, defaults to --endpoint (overrides SEI_REST_ENDPOINT)')
+        .option('--tendermint-endpoint <url>', 'Tendermint RPC base URL, defaults to --endpoint (overrides SEI_TENDERMINT_ENDPOINT)')
+        .option('--evm-endpoint <url>', 'EVM JSON-RPC base URL, defaults to --endpoint (overrides SEI_EVM_ENDPOINT)')
+        .option('-t, --auth-token <token>', 'bearer token (overrides SEI_AUTH_TOKEN)')
+        .option('-o, --output-dir <dir>', 'directory for logs, metrics and reports (overrides OUTPUT_DIR)')
+        .option('-l, --log-level <level>', 'log level (overrides LOG_LEVEL)');
+}
+
+function toConfig(options) {
+    return buildConfig({
+        endpoint: options.endpoint,
+        restEndpoint: options.restEndpoint,
+        tendermintEndpoint: options.tendermintEndpoint,
+        evmEndpoint: options.evmEndpoint,
+        authToken: options.authToken,
+        outputDir: options.outputDir,
+        logLevel: options.logLevel,
+        concurrency: options.concurrency,
+        maxRequestsPerSecond: options.rps,
+        burst: options.burst,
+        durationMs: options.duration,
+        totalRequests: options.requests,
+        mix: options.mix,
+        trafficProfile: options.trafficProfile,
+        profile: options.profile,
+        model: options.model,
+        maxInFlight: options.maxInFlight,
+        batchSize: options.batchSize,
+        idFormat: options.idFormat,
+        thresholds: options.threshold,
+        blockDistribution: options.blockDistribution,
+        recentBlocks: options.recentBlocks,
+        earliestHeight: options.earliestBlock,
+        wsEndpoint: options.wsEndpoint,
+        subscriptions: options.subscriptions,
+        subscriptionMix: options.subscriptionMix,
+        corpus: options.corpus,
+        contracts: options.contracts,
+        contractTimeoutMs: options.contractTimeout,
+        samples: options.samples,
+        upgrades: options.upgrades,
+        endpoints: options.endpoints,
+        maxLag: options.maxLag,
+        seed: options.seed,
+        blocks: options.blocks
+    });
+}
+
+const MODES = {
+    load: async () => (await import('./modes/load/index.js')).LoadTester,
+    exhaustive: async () => (await import('./modes/exhaustive/index.js')).ExhaustiveTester,
+    archive: async () => (await import('./modes/archive/index.js')).ArchiveTester,
+    multi: async () => (await import('./modes/multi/index.js')).MultiEndpointTester
+};
+
+async function runMode(mode, options) {
+    const config = toConfig(options);
+
+    // Only load the selected mode so one mode's dependencies can't break the other
+    const Tester = await MODES[mode]();
+    await loadMethods();
 
-async function main() {
-    const mode = process.argv[2] || 'load';
-    const Tester = mode === 'exhaustive' ? ExhaustiveTester : LoadTester;
-    
     const tester = new Tester(config);
-    
-    try {
-        await tester.start();
-    } catch (error) {
-        console.error('Test failed:', error);
-        process.exit(1);
+    const report = await tester.start();
+
+    // Let the process exit on its own so logs and reports finish flushing
+    if (report?.thresholds && !report.thresholds.passed) {
+        process.exitCode = CONSTANTS.EXIT_CODES.THRESHOLD_BREACHED;
     }
 }
 
-main().catch(console.error);
\ No newline at end of file
+const program = new Command();
+
+program
+    .name('sei-network-testing')
+    .description('Comprehensive testing framework for Sei Network endpoints');
+
+withCommonOptions(program.command('load', { isDefault: true }))
+    .description('run a load test using the weighted request mix')
+    .option('-c, --concurrency <n>', 'number of concurrent workers (overrides TEST_CONCURRENCY)', parseInteger)
+    .option('-r, --rps <n>', 'target requests per second (overrides MAX_REQUESTS_PER_SECOND)', parseInteger)
+    .option('-b, --burst <n>', 'requests allowed above the target rate in a burst (overrides MAX_BURST)', parseInteger)
+    .option('-d, --duration <time>', 'stop after this long, e.g. 30s, 5m, 2h', parseDuration)
+    .option('-n, --requests <n>', 'stop after this many requests', parseInteger)
+    .option('-m, --mix <mix>', 'method weights as "method=weight,..." or a JSON file', parseMix)
+    .option('--traffic-profile <file>', 'replay a profile from the import command: its mix, block depths and log range sizes, unless set explicitly (overrides TRAFFIC_PROFILE)')
+    .option('-p, --profile <profile>', 'load profile: ramp, step, spike, soak or a JSON file (overrides LOAD_PROFILE)')
+    .addOption(new Option('--model <model>', 'closed: workers wait for responses; open: fixed arrival rate (overrides LOAD_MODEL)')
+        .choices(['closed', 'open']))
+    .option('--max-in-flight <n>', 'open model: drop arrivals beyond this many pending requests (overrides MAX_IN_FLIGHT)', parseInteger)
+    .addOption(new Option('--id-format <format>', 'JSON-RPC ids: sequential numbers or UUIDs (overrides RPC_ID_FORMAT)')
+        .choices(ID_FORMATS))
+    .option('--batch-size <n>', `send JSON-RPC calls in batches of this many, at most ${CONSTANTS.MAX_BATCH_SIZE} (overrides RPC_BATCH_SIZE)`, parseInteger)
+    .option('--block-distribution <weights>', 'where sampled block heights fall: "latest=N,recent=N,archive=N" (overrides BLOCK_DISTRIBUTION)', parseBlockDistribution)
+    .option('--recent-blocks <n>', 'how many blocks behind the head count as recent (overrides RECENT_BLOCKS)', parseInteger)
+    .option('--earliest-block <n>', 'oldest height the node serves, e.g. on pruned nodes (overrides EARLIEST_BLOCK)', parseInteger)
+    .option('--ws-endpoint <url>', 'WebSocket endpoint for eth_subscribe (overrides SEI_WS_ENDPOINT; defaults to the EVM endpoint with ws://)')
+    .option('--subscriptions <n>', 'concurrent WebSocket subscriptions held open; 0 disables (overrides WS_SUBSCRIPTIONS)', parseInteger)
+    .option('--subscription-mix <weights>', 'subscription types, e.g. "newHeads=6,logs=3,newPendingTransactions=1" (overrides WS_SUBSCRIPTION_MIX)', parseSubscriptionMix)
+    .option('--corpus <corpus>', 'seed request parameters from a discovery corpus: a file, "name" or "name@version" (overrides CORPUS_FILE)')
+    .option('--seed <seed>', 'seed the request stream; with --corpus the stream is identical on every run (overrides TEST_SEED)')
+    .option('--threshold <expr>', 'fail with exit code 2 unless "[method:]metric <op> value" holds, e.g. "eth_getLogs:p95<800ms"; repeatable, or a JSON file (overrides THRESHOLDS)', parseThreshold)
+    .action(options => runMode('load', options));
+
+withCommonOptions(program.command('exhaustive'))
+    .description('run every test case and request template with valid, boundary and malformed input')
+    .option('--corpus <corpus>', 'take test parameters from a discovery corpus: a file, "name" or "name@version" (overrides CORPUS_FILE)')
+    .option('--contracts <n>', `CosmWasm contracts to discover and fuzz, newest code first; 0 disables, default ${CONSTANTS.DEFAULT_CONTRACTS} (overrides CONTRACT_LIMIT)`, parseInteger)
+    .option('--contract-timeout <time>', 'count a contract query as timed out after this long, e.g. 10s (overrides CONTRACT_QUERY_TIMEOUT_MS)', parseDuration)
+    .action(options => runMode('exhaustive', options));
+
+withCommonOptions(program.command('archive'))
+    .description('profile latency and errors by historical depth, from the head back to the earliest block')
+    .option('-c, --concurrency <n>', 'probes in flight at once (overrides TEST_CONCURRENCY)', parseInteger)
+    .option('-r, --rps <n>', 'maximum probes per second (overrides MAX_REQUESTS_PER_SECOND)', parseInteger)
+    .option('--samples <n>', 'heights sampled per depth bucket (overrides ARCHIVE_SAMPLES)', parseInteger)
+    .option('--earliest-block <n>', 'oldest height the node serves (overrides EARLIEST_BLOCK)', parseInteger)
+    .option('--upgrades <list>', 'upgrade boundaries to probe as "name" (looked up on chain) or "name=height", comma-separated (overrides SEI_UPGRADES)', parseUpgrades)
+    .option('--corpus <corpus>', 'take eth_getBalance and eth_call targets from a discovery corpus (overrides CORPUS_FILE)')
+    .option('--seed <seed>', 'seed height sampling so runs against different nodes probe the same heights (overrides TEST_SEED)')
+    .action(options => runMode('archive', options));
+
+withCommonOptions(program.command('multi'))
+    .description('send the same request stream to several endpoints and compare latency, errors, results and head lag')
+    .option('--endpoints <list>', 'endpoints to compare as "url" or "name=url", comma-separated; the auth token is only sent to --endpoint (overrides SEI_COMPARE_ENDPOINTS)', parseEndpoints)
+    .option('-c, --concurrency <n>', 'requests in flight at once, each sent to every endpoint (overrides TEST_CONCURRENCY)', parseInteger)
+    .option('-r, --rps <n>', 'requests per second, each sent to every endpoint (overrides MAX_REQUESTS_PER_SECOND)', parseInteger)
+    .option('-d, --duration <time>', 'stop after this long, e.g. 30s, 5m, 2h', parseDuration)
+    .option('-n, --requests <n>', 'stop after this many requests', parseInteger)
+    .option('-m, --mix <mix>', 'method weights as "method=weight,..." or a JSON file', parseMix)
+    .option('--traffic-profile <file>', 'replay a profile from the import command: its mix, block depths and log range sizes, unless set explicitly (overrides TRAFFIC_PROFILE)')
+    .addOption(new Option('--id-format <format>', 'JSON-RPC ids: sequential numbers or UUIDs (overrides RPC_ID_FORMAT)')
+        .choices(ID_FORMATS))
+    .option('--block-distribution <weights>', 'where sampled block heights fall: "latest=N,recent=N,archive=N" (overrides BLOCK_DISTRIBUTION)', parseBlockDistribution)
+    .option('--recent-blocks <n>', 'how many blocks behind the head count as recent (overrides RECENT_BLOCKS)', parseInteger)
+    .option('--earliest-block <n>', 'oldest height every endpoint serves (overrides EARLIEST_BLOCK)', parseInteger)
+    .option('--max-lag <n>', `flag an endpoint more than this many blocks behind the highest head, default ${CONSTANTS.DEFAULT_MAX_HEAD_LAG} (overrides MAX_HEAD_LAG)`, parseInteger)
+    .option('--corpus <corpus>', 'seed request parameters from a discovery corpus: a file, "name" or "name@version" (overrides CORPUS_FILE)')
+    .option('--seed <seed>', 'seed the request stream (overrides TEST_SEED)')
+    .action(options => runMode('multi', options));
+
+withCommonOptions(program.command('discover'))
+    .description('decode recent blocks into a corpus of heights, txs, addresses, denoms and contracts under <output-dir>/discovery')
+    .option('--blocks <n>', 'number of recent blocks to analyze', parseInteger)
+    .option('--name <name>', 'save as the next version of a named corpus, <name>.v<N>.json')
+    .action(async options => {
+        const { ChainDiscovery } = await import('./discovery/index.js');
+        const discovery = new ChainDiscovery(toConfig(options));
+        const corpus = await discovery.run();
+        console.log({ chainId: corpus.chainId, latestHeight: corpus.latestHeight, ...discovery.stats });
+        console.table(corpus.counts());
+        console.log(`Saved to ${await discovery.save(options.name)}`);
+    });
+
+program.command('import')
+    .description('derive a traffic profile (method weights, block depths, log range sizes) from access logs or JSON-RPC request dumps')
+    .argument('<files...>', 'nginx or JSON access logs, or JSON-RPC request dumps, oldest first; .gz files are decompressed')
+    .option('-o, --output-dir <dir>', 'directory for the profile, saved under <output-dir>/mixes (overrides OUTPUT_DIR)')
+    .option('--name <name>', 'save as <name>.json instead of a timestamped file')
+    .option('--recent-blocks <n>', 'how many blocks behind the head count as recent, default 1000', parseInteger)
+    .action(async (files, options) => {
+        const { TrafficImporter, printProfile } = await import('./tools/trafficImporter.js');
+        await loadMethods();
+        const importer = new TrafficImporter({ recentBlocks: options.recentBlocks });
+        for (const file of files) {
+            await importer.importFile(file);
+        }
+        const profile = importer.buildProfile();
+        printProfile(profile);
+        const file = await importer.save(profile, buildConfig({ outputDir: options.outputDir }).outputDir, options.name);
+        console.log(`Saved to ${file}; replay it with: load --traffic-profile ${file}`);
+    });
+
+program.command('analyze')
+    .description('summarize a saved metrics file or report')
+    .argument('<file>', 'metrics or report JSON file')
+    .action(async file => {
+        const { analyzeResults } = await import('./tools/analyzer.js');
+        await analyzeResults(file);
+    });
+
+program.command('compare')
+    .description('compare two saved metrics files or reports side by side')
+    .argument('<baseline>', 'baseline metrics or report JSON file')
+    .argument('<candidate>', 'candidate metrics or report JSON file')
+    .action(async (baseline, candidate) => {
+        const { compareResults } = await import('./tools/comparator.js');
+        await compareResults(baseline, candidate);
+    });
+
+program.parseAsync(process.argv).catch(error => {
+    console.error('Test failed:', error);
+    process.exit(CONSTANTS.EXIT_CODES.ERROR);
+});
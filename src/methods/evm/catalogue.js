@@ -0,0 +1,99 @@
+// src/methods/evm/catalogue.js
+import {
+    rpcResult, HEX_QUANTITY, HEX_DATA, HASH_32, ADDRESS, BLOCK
+} from '../../config/schemas.js';
+import { jsonRpc, hasMissingValue } from '../shared.js';
+
+// EVM JSON-RPC methods that need no more than a call with fixed arguments, by
+// namespace. Methods the load test samples, or that need their own parameter
+// sets, have a module of their own instead. `params` builds realistic
+// arguments from the evmValues of the exhaustive mode (see buildEvmValues in
+// modes/exhaustive/parameterSets.js):
+//   latest, recent   block numbers as hex quantities
+//   blockHash        hash of the latest block
+//   txHash           a transaction in the latest block
+//   address          an account that has sent transactions, or the zero address
+//   contract         a deployed EVM contract from --corpus, or the zero address
+//   seiAddress       a bech32 account, for the association methods
+// Methods without `params` take none. `probe` marks calls that are expected to
+// fail on their arguments and only show whether the method is enabled.
+
+const transfer = v => ({ from: v.address, to: v.address, value: '0x0' });
+
+const CATALOGUE = {
+    eth: [
+        { method: 'eth_chainId', schema: rpcResult(HEX_QUANTITY) },
+        { method: 'eth_gasPrice', schema: rpcResult(HEX_QUANTITY) },
+        { method: 'eth_maxPriorityFeePerGas', schema: rpcResult(HEX_QUANTITY) },
+        { method: 'eth_feeHistory', params: v => ['0xa', v.latest, [25, 50, 75]] },
+        { method: 'eth_syncing' },
+        { method: 'eth_accounts', schema: rpcResult({ type: 'array' }) },
+        { method: 'eth_getCode', params: v => [v.contract, v.latest], schema: rpcResult(HEX_DATA) },
+        { method: 'eth_getStorageAt', params: v => [v.contract, '0x0', v.latest], schema: rpcResult(HEX_DATA) },
+        { method: 'eth_getProof', params: v => [v.contract, [], v.latest] },
+        { method: 'eth_estimateGas', params: v => [transfer(v)], schema: rpcResult(HEX_QUANTITY) },
+        { method: 'eth_createAccessList', params: v => [transfer(v), v.latest] },
+        { method: 'eth_getBlockByHash', params: v => [v.blockHash, false], schema: rpcResult(BLOCK) },
+        { method: 'eth_getBlockTransactionCountByNumber', params: v => [v.recent], schema: rpcResult(HEX_QUANTITY) },
+        { method: 'eth_getBlockTransactionCountByHash', params: v => [v.blockHash], schema: rpcResult(HEX_QUANTITY) },
+        { method: 'eth_getTransactionByHash', params: v => [v.txHash] },
+        { method: 'eth_getTransactionByBlockNumberAndIndex', params: v => [v.recent, '0x0'] },
+        { method: 'eth_getTransactionByBlockHashAndIndex', params: v => [v.blockHash, '0x0'] },
+        { method: 'eth_getUncleCountByBlockNumber', params: v => [v.recent] },
+        { method: 'eth_getUncleByBlockNumberAndIndex', params: v => [v.recent, '0x0'] },
+        { method: 'eth_newFilter', params: v => [{ fromBlock: v.recent, toBlock: 'latest' }], schema: rpcResult(HEX_QUANTITY) },
+        { method: 'eth_newBlockFilter', schema: rpcResult(HEX_QUANTITY) },
+        { method: 'eth_newPendingTransactionFilter', schema: rpcResult(HEX_QUANTITY) },
+        // An unknown filter id still tells enabled (filter not found) from disabled (method not found)
+        { method: 'eth_getFilterChanges', params: () => ['0x1'], probe: true },
+        { method: 'eth_uninstallFilter', params: () => ['0x1'], probe: true },
+        // Not a decodable transaction, so nothing is ever broadcast
+        { method: 'eth_sendRawTransaction', params: () => ['0x00'], probe: true }
+    ],
+    net: [
+        { method: 'net_version' },
+        { method: 'net_listening' },
+        { method: 'net_peerCount', schema: rpcResult(HEX_QUANTITY) }
+    ],
+    web3: [
+        { method: 'web3_clientVersion', schema: rpcResult({ type: 'string', minLength: 1 }) },
+        { method: 'web3_sha3', params: () => ['0x68656c6c6f'], schema: rpcResult(HASH_32) }
+    ],
+    debug: [
+        { method: 'debug_traceTransaction', params: v => [v.txHash, { tracer: 'callTracer' }] },
+        { method: 'debug_traceCall', params: v => [{ to: v.contract, data: '0x' }, v.latest, { tracer: 'callTracer' }] }
+    ],
+    txpool: [
+        { method: 'txpool_content' },
+        { method: 'txpool_contentFrom', params: v => [v.address] },
+        { method: 'txpool_inspect' },
+        { method: 'txpool_status' }
+    ],
+    sei: [
+        { method: 'sei_getEVMAddress', params: v => [v.seiAddress], schema: rpcResult(ADDRESS) },
+        { method: 'sei_getBlockByHash', params: v => [v.blockHash, false], schema: rpcResult(BLOCK) },
+        { method: 'sei_getBlockByNumberExcludeTraceFail', params: v => [v.recent, false], schema: rpcResult(BLOCK) },
+        { method: 'sei_getBlockTransactionCountByNumber', params: v => [v.recent], schema: rpcResult(HEX_QUANTITY) },
+        { method: 'sei_getTransactionReceiptExcludeTraceFail', params: v => [v.txHash] },
+        { method: 'sei_getCosmosTx', params: v => [v.txHash] }
+    ]
+};
+
+// Only argument-free methods can be drawn under load; the rest skip their draws
+function catalogueMethod({ method, params, schema, probe = false }) {
+    return {
+        name: method.toLowerCase(),
+        method: 'POST',
+        surface: 'evm',
+        schema,
+        probe,
+        sampleArgs: () => (params ? null : []),
+        parameterSets: ({ evmValues }) => {
+            const args = params ? params(evmValues) : [];
+            return hasMissingValue(args) ? {} : { [probe ? 'probe' : 'valid']: [args] };
+        },
+        createParams: (...args) => jsonRpc(method, args)
+    };
+}
+
+export default Object.values(CATALOGUE).flat().map(catalogueMethod);
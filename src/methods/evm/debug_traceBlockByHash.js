@@ -0,0 +1,17 @@
+import { rpcResult } from '../../config/schemas.js';
+import { jsonRpc, sampled, digest, ZERO_HASH } from '../shared.js';
+
+export default {
+    name: 'debug_traceblockbyhash',
+    method: 'POST',
+    surface: 'evm',
+    schema: rpcResult({ type: 'array' }),
+    sampleArgs: p => sampled(p.blockHash(), {}),
+    parameterSets: ({ blockHash }) => ({
+        valid: blockHash ? [[blockHash, {}]] : [],
+        boundary: [[ZERO_HASH, {}]],
+        malformed: [['0x1234', {}]]
+    }),
+    consistency: { pinned: () => true, value: data => data.result && digest(data.result) },
+    createParams: (blockHash, options = {}) => jsonRpc('debug_traceBlockByHash', [blockHash, options])
+};
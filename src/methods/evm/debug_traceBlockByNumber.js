@@ -0,0 +1,18 @@
+import { rpcResult } from '../../config/schemas.js';
+import { jsonRpc, pinnedToBlock, digest } from '../shared.js';
+
+export default {
+    name: 'debug_traceblockbynumber',
+    method: 'POST',
+    surface: 'evm',
+    weight: 6,
+    schema: rpcResult({ type: 'array' }),
+    sampleArgs: p => [p.blockTag(), {}],
+    parameterSets: ({ recent }) => ({
+        valid: [[recent, {}]],
+        boundary: [[recent, { tracer: 'callTracer' }]],
+        malformed: [['not-a-block', {}]]
+    }),
+    consistency: { pinned: pinnedToBlock, value: data => data.result && digest(data.result) },
+    createParams: (blockNumber, options = {}) => jsonRpc('debug_traceBlockByNumber', [blockNumber, options])
+};
@@ -0,0 +1,16 @@
+import { rpcResult, HEX_QUANTITY } from '../../config/schemas.js';
+import { jsonRpc } from '../shared.js';
+
+export default {
+    name: 'eth_blocknumber',
+    method: 'POST',
+    surface: 'evm',
+    weight: 7,
+    schema: rpcResult(HEX_QUANTITY),
+    parameterSets: () => ({
+        valid: [[]],
+        boundary: [],
+        malformed: []
+    }),
+    createParams: () => jsonRpc('eth_blockNumber', [])
+};
@@ -0,0 +1,21 @@
+import { rpcResult, HEX_DATA } from '../../config/schemas.js';
+import { jsonRpc, pinnedToBlock, ZERO_ADDRESS } from '../shared.js';
+
+export default {
+    name: 'eth_call',
+    method: 'POST',
+    surface: 'evm',
+    weight: 10,
+    schema: rpcResult(HEX_DATA),
+    sampleArgs: p => {
+        const to = p.contract();
+        return to ? [{ to, data: '0x' }, p.blockTag()] : null;
+    },
+    parameterSets: () => ({
+        valid: [[{ to: ZERO_ADDRESS, data: '0x' }, 'latest']],
+        boundary: [[{ to: ZERO_ADDRESS, data: '0x' }, 'earliest']],
+        malformed: [[{ to: '0x123' }, 'latest']]
+    }),
+    consistency: { pinned: pinnedToBlock, value: data => data.result },
+    createParams: (txObject, blockNumber = 'latest') => jsonRpc('eth_call', [txObject, blockNumber])
+};
@@ -0,0 +1,18 @@
+import { rpcResult, HEX_QUANTITY } from '../../config/schemas.js';
+import { jsonRpc, sampled, pinnedToBlock, ZERO_ADDRESS } from '../shared.js';
+
+export default {
+    name: 'eth_getbalance',
+    method: 'POST',
+    surface: 'evm',
+    weight: 5,
+    schema: rpcResult(HEX_QUANTITY),
+    sampleArgs: p => sampled(p.address(), p.blockTag()),
+    parameterSets: () => ({
+        valid: [[ZERO_ADDRESS, 'latest']],
+        boundary: [[ZERO_ADDRESS, 'earliest']],
+        malformed: [['0xnot-an-address', 'latest']]
+    }),
+    consistency: { pinned: pinnedToBlock, value: data => data.result },
+    createParams: (address, blockNumber = 'latest') => jsonRpc('eth_getBalance', [address, blockNumber])
+};
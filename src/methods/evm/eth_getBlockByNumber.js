@@ -0,0 +1,18 @@
+import { rpcResult, BLOCK } from '../../config/schemas.js';
+import { jsonRpc, toHex, pinnedToBlock } from '../shared.js';
+
+export default {
+    name: 'eth_getblockbynumber',
+    method: 'POST',
+    surface: 'evm',
+    weight: 15,
+    schema: rpcResult(BLOCK),
+    sampleArgs: p => [p.blockTag()],
+    parameterSets: ({ latest, recent }) => ({
+        valid: [['latest'], [recent]],
+        boundary: [['earliest'], ['0x1'], [toHex(latest)]],
+        malformed: [['not-a-block'], [-1]]
+    }),
+    consistency: { pinned: pinnedToBlock, value: data => data.result?.hash },
+    createParams: (blockNumber = 'latest') => jsonRpc('eth_getBlockByNumber', [blockNumber, true])
+};
@@ -0,0 +1,20 @@
+import { rpcResult, RECEIPT } from '../../config/schemas.js';
+import { jsonRpc, pinnedToBlock, digest } from '../shared.js';
+
+export default {
+    name: 'eth_getblockreceipts',
+    method: 'POST',
+    surface: 'evm',
+    schema: rpcResult({ type: 'array', items: RECEIPT }),
+    sampleArgs: p => [p.blockTag()],
+    parameterSets: ({ recent }) => ({
+        valid: [['latest'], [recent]],
+        boundary: [['earliest'], ['0x1']],
+        malformed: [['not-a-block']]
+    }),
+    consistency: {
+        pinned: pinnedToBlock,
+        value: data => data.result && digest(data.result.map(receipt => `${receipt.transactionHash}:${receipt.status}`))
+    },
+    createParams: (blockNumber = 'latest') => jsonRpc('eth_getBlockReceipts', [blockNumber])
+};
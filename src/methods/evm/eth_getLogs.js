@@ -0,0 +1,21 @@
+import { rpcResult, LOG } from '../../config/schemas.js';
+import { jsonRpc, toHex, pinnedToBlock, logIds } from '../shared.js';
+
+export default {
+    name: 'eth_getlogs',
+    method: 'POST',
+    surface: 'evm',
+    weight: 12,
+    schema: rpcResult({ type: 'array', items: LOG }),
+    sampleArgs: p => p.blockRange(),
+    parameterSets: ({ latest }) => ({
+        valid: [[toHex(Math.max(latest - 10, 1)), toHex(latest)]],
+        boundary: [[toHex(latest), toHex(latest)], ['0x1', '0x1']],
+        malformed: [['0xzz', 'latest']]
+    }),
+    consistency: { pinned: pinnedToBlock, value: data => data.result && logIds(data.result) },
+    createParams: (fromBlock, toBlock) => jsonRpc('eth_getLogs', [{
+        fromBlock: fromBlock || 'latest',
+        toBlock: toBlock || 'latest'
+    }])
+};
@@ -0,0 +1,17 @@
+import { rpcResult, HEX_QUANTITY } from '../../config/schemas.js';
+import { jsonRpc, sampled, pinnedToBlock, ZERO_ADDRESS } from '../shared.js';
+
+export default {
+    name: 'eth_gettransactioncount',
+    method: 'POST',
+    surface: 'evm',
+    schema: rpcResult(HEX_QUANTITY),
+    sampleArgs: p => sampled(p.address(), p.blockTag()),
+    parameterSets: ({ evmAddress }) => ({
+        valid: [[evmAddress || ZERO_ADDRESS, 'latest']],
+        boundary: [[ZERO_ADDRESS, 'earliest']],
+        malformed: [['0xnot-an-address', 'latest']]
+    }),
+    consistency: { pinned: pinnedToBlock, value: data => data.result },
+    createParams: (address, blockParam = 'latest') => jsonRpc('eth_getTransactionCount', [address, blockParam])
+};
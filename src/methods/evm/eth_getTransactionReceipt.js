@@ -0,0 +1,21 @@
+import { rpcResult, RECEIPT } from '../../config/schemas.js';
+import { jsonRpc, sampled, ZERO_HASH } from '../shared.js';
+
+export default {
+    name: 'eth_gettransactionreceipt',
+    method: 'POST',
+    surface: 'evm',
+    weight: 7,
+    schema: rpcResult(RECEIPT),
+    sampleArgs: p => sampled(p.txHash()),
+    parameterSets: ({ txHash }) => ({
+        valid: txHash ? [[txHash]] : [],
+        boundary: [[ZERO_HASH]],
+        malformed: [['0x1234']]
+    }),
+    consistency: {
+        pinned: () => true,
+        value: data => data.result && `${data.result.blockHash}:${data.result.status}:${data.result.gasUsed}`
+    },
+    createParams: (txHash) => jsonRpc('eth_getTransactionReceipt', [txHash])
+};
@@ -0,0 +1,18 @@
+import { rpcResult, HEX_DATA } from '../../config/schemas.js';
+import { jsonRpc } from '../shared.js';
+
+export default {
+    name: 'eth_subscribe',
+    method: 'POST',
+    surface: 'evm',
+    weight: 11,
+    // Held open over WebSocket by the load tester rather than sent as HTTP requests
+    transport: 'ws',
+    schema: rpcResult(HEX_DATA),
+    parameterSets: () => ({
+        valid: [['newHeads']],
+        boundary: [['newPendingTransactions']],
+        malformed: [['notASubscription']]
+    }),
+    createParams: (type = 'newHeads') => jsonRpc('eth_subscribe', [type])
+};
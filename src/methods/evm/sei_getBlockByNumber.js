@@ -0,0 +1,17 @@
+import { rpcResult, BLOCK } from '../../config/schemas.js';
+import { jsonRpc, toHex, pinnedToBlock } from '../shared.js';
+
+export default {
+    name: 'sei_getblockbynumber',
+    method: 'POST',
+    surface: 'evm',
+    schema: rpcResult(BLOCK),
+    sampleArgs: p => [p.blockTag()],
+    parameterSets: ({ latest, recent }) => ({
+        valid: [['latest'], [recent]],
+        boundary: [['earliest'], [toHex(latest), true]],
+        malformed: [['not-a-block']]
+    }),
+    consistency: { pinned: pinnedToBlock, value: data => data.result?.hash },
+    createParams: (blockNumber = 'latest', fullTransactions = false) => jsonRpc('sei_getBlockByNumber', [blockNumber, fullTransactions])
+};
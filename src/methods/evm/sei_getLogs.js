@@ -0,0 +1,21 @@
+import { rpcResult, LOG } from '../../config/schemas.js';
+import { jsonRpc, toHex, pinnedToBlock, logIds } from '../shared.js';
+
+export default {
+    name: 'sei_getlogs',
+    method: 'POST',
+    surface: 'evm',
+    weight: 8,
+    schema: rpcResult({ type: 'array', items: LOG }),
+    sampleArgs: p => {
+        const [fromBlock, toBlock] = p.blockRange();
+        return [{ fromBlock, toBlock }];
+    },
+    parameterSets: ({ latest, recent }) => ({
+        valid: [[{ fromBlock: recent, toBlock: toHex(latest) }]],
+        boundary: [[{ fromBlock: toHex(latest), toBlock: toHex(latest) }]],
+        malformed: [[{ fromBlock: 'not-a-block' }]]
+    }),
+    consistency: { pinned: pinnedToBlock, value: data => data.result && logIds(data.result) },
+    createParams: (filter = {}) => jsonRpc('sei_getLogs', [filter])
+};
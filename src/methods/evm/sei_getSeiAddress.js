@@ -0,0 +1,18 @@
+import { rpcResult } from '../../config/schemas.js';
+import { jsonRpc, sampled, ZERO_ADDRESS } from '../shared.js';
+
+export default {
+    name: 'sei_getseiaddress',
+    method: 'POST',
+    surface: 'evm',
+    schema: rpcResult({ type: 'string', pattern: '^sei1' }),
+    sampleArgs: p => sampled(p.address()),
+    // Sending an EVM transaction associates the sender; the zero address never is
+    parameterSets: ({ evmAddress }) => ({
+        valid: evmAddress ? [[evmAddress]] : [],
+        boundary: [[ZERO_ADDRESS]],
+        malformed: [['0xnot-an-address']]
+    }),
+    consistency: { pinned: () => true, value: data => data.result },
+    createParams: (address) => jsonRpc('sei_getSeiAddress', [address])
+};
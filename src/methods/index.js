@@ -0,0 +1,119 @@
+// src/methods/index.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const METHODS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Fields every method module has to define
+const REQUIRED = ['name', 'method', 'surface', 'createParams'];
+
+// Every request method the modes send. Each method is a module in a surface
+// directory (evm/, tendermint/, rest/) whose default export carries the fields
+// below. A module may instead export a list of them, for families of methods
+// that differ only in data (evm/catalogue.js, rest/catalogue.js).
+// - name: the method's key in mixes, metrics and reports, lowercased
+// - method, surface: HTTP method and the API surface whose base URL it goes to
+// - createParams(...args): the JSON-RPC body or query parameters
+// - createPath(...args): the request path, for REST methods
+// - schema: what a successful response must look like
+// - weight: share of the default load mix; methods without one are only sent when --mix names them
+// - transport: 'ws' for methods the load test holds open over WebSocket
+// - sampleArgs(parameterProvider): createParams() arguments under load, or null
+//   to skip the draw while the provider has no value for them (see sampled())
+// - parameterSets(state): valid, boundary, malformed and probe argument lists
+//   for the exhaustive mode, from discovered chain state plus `latest` (a
+//   height), `recent` (the block before it, as hex), and the `pathValues` and
+//   `evmValues` of modes/exhaustive/parameterSets.js
+// - probe: the method can only be called with arguments it rejects, so the
+//   exhaustive mode just checks that it is enabled
+// - module, placeholders, paginated, discovers: REST catalogue metadata; see rest/catalogue.js
+// - consistency: { pinned(body), value(data) } for the multi mode, on methods
+//   whose result is fixed once the queried height exists
+export class MethodRegistry {
+    constructor() {
+        this.methods = new Map();
+        this.loading = null;
+    }
+
+    register(definition) {
+        const missing = REQUIRED.filter(field => definition?.[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Method ${definition?.name || '(unnamed)'} is missing ${missing.join(', ')}`);
+        }
+
+        const name = definition.name.toLowerCase();
+        if (this.methods.has(name)) {
+            throw new Error(`Method ${name} is already registered`);
+        }
+        this.methods.set(name, { ...definition, name });
+        return this;
+    }
+
+    // Imports the method modules once; later calls share the first load
+    load(dir = METHODS_DIR) {
+        this.loading ??= this.importAll(dir);
+        return this.loading;
+    }
+
+    async importAll(dir) {
+        const files = fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .flatMap(entry => fs.readdirSync(path.join(dir, entry.name))
+                .filter(file => file.endsWith('.js'))
+                .map(file => path.join(dir, entry.name, file)))
+            .sort();
+
+        for (const file of files) {
+            const module = await import(pathToFileURL(file).href);
+            try {
+                [].concat(module.default).forEach(definition => this.register(definition));
+            } catch (error) {
+                throw new Error(`${path.relative(dir, file)}: ${error.message}`);
+            }
+        }
+        return this;
+    }
+
+    has(name) {
+        return this.methods.has(String(name).toLowerCase());
+    }
+
+    get(name) {
+        const definition = this.methods.get(String(name).toLowerCase());
+        if (!definition) {
+            throw new Error(`Unknown method: ${name}`);
+        }
+        return definition;
+    }
+
+    list() {
+        return Array.from(this.methods.values());
+    }
+
+    // The default traffic mix: every method that declares a weight
+    defaultMix() {
+        return Object.fromEntries(this.list()
+            .filter(definition => definition.weight > 0)
+            .map(definition => [definition.name, definition.weight]));
+    }
+
+    // A request as CoreTester.sendRequest takes it
+    createRequest(name, ...args) {
+        const definition = this.get(name);
+        return {
+            method: definition.method,
+            type: definition.name,
+            surface: definition.surface,
+            ...(definition.createPath && { path: definition.createPath(...args) }),
+            params: definition.createParams(...args),
+            schema: definition.schema
+        };
+    }
+}
+
+export const methodRegistry = new MethodRegistry();
+
+export const loadMethods = () => methodRegistry.load();
+
+export default methodRegistry;
@@ -0,0 +1,140 @@
+// src/methods/requestQueue.js
+
+import crypto from 'crypto';
+import { createRandom } from '../utils/random.js';
+import { createIdGenerator } from '../utils/ids.js';
+import { methodRegistry } from './index.js';
+
+// Draws `totalRequests` method names in proportion to their weights
+export function generateRequestSequence(totalRequests, weights, random = Math.random) {
+    const sequence = [];
+    const methods = Object.entries(weights);
+    const totalWeight = methods.reduce((sum, [, weight]) => sum + weight, 0);
+
+    for (let i = 0; i < totalRequests; i++) {
+        let remaining = random() * totalWeight;
+        for (const [method, weight] of methods) {
+            if (remaining < weight) {
+                sequence.push(method);
+                break;
+            }
+            remaining -= weight;
+        }
+    }
+
+    return sequence;
+}
+
+// Request queue generator with realistic distribution
+export class RequestQueueGenerator {
+    constructor(config = {}) {
+        this.config = {
+            batchSize: 100,
+            batchDelayMs: 100,
+            ...config
+        };
+        this.registry = this.config.registry || methodRegistry;
+        this.weights = this.onlySurface(
+            this.excludeTransport(
+                this.checkMix(this.config.weights || this.registry.defaultMix()),
+                this.config.excludeTransport
+            ),
+            this.config.surface
+        );
+        this.parameters = this.config.parameters || null;
+        this.seeded = this.config.seed !== null && this.config.seed !== undefined;
+        this.random = this.config.random || createRandom(this.config.seed);
+        this.generated = 0;
+        this.skipped = new Map();
+        // Seeded streams draw UUIDs from the seeded source so they repeat too
+        this.nextId = createIdGenerator(this.config.idFormat, this.seeded ? this.random : null);
+        this.digest = crypto.createHash('sha256');
+    }
+
+    // Unknown methods fail here rather than silently dropping their share of the mix
+    checkMix(weights) {
+        const unknown = Object.keys(weights).filter(method => !this.registry.has(method));
+        if (unknown.length > 0) {
+            const known = this.registry.list().map(definition => definition.name);
+            throw new Error(`Unknown method in mix: ${unknown.join(', ')} (known: ${known.join(', ')})`);
+        }
+        return weights;
+    }
+
+    excludeTransport(weights, transport) {
+        if (!transport) return weights;
+        return Object.fromEntries(Object.entries(weights)
+            .filter(([method]) => this.registry.get(method).transport !== transport));
+    }
+
+    // Keeps only the methods served on one surface, e.g. when each endpoint is a single URL
+    onlySurface(weights, surface) {
+        if (!surface) return weights;
+        const kept = Object.fromEntries(Object.entries(weights)
+            .filter(([method]) => this.registry.get(method).surface === surface));
+        if (Object.keys(kept).length === 0) {
+            throw new Error(`The mix has no ${surface} methods`);
+        }
+        return kept;
+    }
+
+    // Draws whose method had no parameters to sample are skipped and counted,
+    // so a batch may come back shorter than `size`
+    generateBatch(size = this.config.batchSize) {
+        const sequence = generateRequestSequence(size, this.weights, this.random);
+        return sequence.flatMap(method => {
+            const definition = this.registry.get(method);
+            const args = this.parameters && definition.sampleArgs
+                ? definition.sampleArgs(this.parameters)
+                : [];
+            if (args === null) {
+                this.skipped.set(method, (this.skipped.get(method) || 0) + 1);
+                return [];
+            }
+
+            const request = this.registry.createRequest(method, ...args);
+            // Ids come from the stream, so a seeded stream's bytes are identical
+            if (request.params?.id !== undefined) {
+                request.params.id = this.nextId();
+            }
+
+            this.generated++;
+            this.digest.update(JSON.stringify(request.path ? [method, request.path, request.params] : [method, request.params]));
+            return [request];
+        });
+    }
+
+    // Fingerprint of everything generated so far; equal digests mean identical streams
+    describe() {
+        return {
+            seed: this.config.seed ?? null,
+            generated: this.generated,
+            skipped: Object.fromEntries(this.skipped),
+            digest: this.digest.copy().digest('hex')
+        };
+    }
+
+    // Yields until maxRequests have been produced or isStopped() returns true
+    async *generateQueue({ maxRequests = Infinity, isStopped = () => false } = {}) {
+        let produced = 0;
+
+        while (produced < maxRequests && !isStopped()) {
+            const size = Math.min(this.config.batchSize, maxRequests - produced);
+            const batch = this.generateBatch(size);
+            if (batch.length === 0 && size >= this.config.batchSize) {
+                throw new Error(`No parameters to sample for any method in the mix: ${Object.keys(this.weights).join(', ')}`);
+            }
+            for (const request of batch) {
+                if (isStopped()) return;
+                produced++;
+                yield request;
+            }
+            // Optional delay between batches
+            if (this.config.batchDelayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.config.batchDelayMs));
+            }
+        }
+    }
+}
+
+export default RequestQueueGenerator;
@@ -0,0 +1,234 @@
+// src/methods/rest/catalogue.js
+import { hasMissingValue, PLACEHOLDER } from '../shared.js';
+
+// Cosmos REST (LCD) endpoints of the modules a Sei node runs, grouped by
+// module. Paths follow the google.api.http options in each module's query
+// proto. Entries carry:
+// - path: with {placeholder} segments filled from discovered chain state
+// - params: query parameters, which may also hold placeholders
+// - paginated: the endpoint takes pagination.* and returns `pagination`
+// - returns: top-level response field that must be present
+// - discovers: placeholder values harvested from the response, so later
+//   entries can address real validators, proposals, channels...
+
+// Response must carry `field`; paginated lists must also be arrays with a pagination object
+function responseSchema({ returns, paginated }) {
+    if (!returns) return undefined;
+    return {
+        type: 'object',
+        required: paginated ? [returns, 'pagination'] : [returns],
+        properties: paginated ? { [returns]: { type: 'array' } } : {}
+    };
+}
+
+const first = (list, field) => data => data[list]?.[0]?.[field] ?? null;
+
+const CATALOGUE = {
+    bank: [
+        { name: 'balances', path: '/cosmos/bank/v1beta1/balances/{account}', paginated: true, returns: 'balances' },
+        { name: 'balanceByDenom', path: '/cosmos/bank/v1beta1/balances/{account}/by_denom', params: { denom: '{denom}' }, returns: 'balance' },
+        { name: 'spendableBalances', path: '/cosmos/bank/v1beta1/spendable_balances/{account}', paginated: true, returns: 'balances' },
+        {
+            name: 'totalSupply',
+            path: '/cosmos/bank/v1beta1/supply',
+            paginated: true,
+            returns: 'supply',
+            discovers: { denom: first('supply', 'denom') }
+        },
+        { name: 'supplyOf', path: '/cosmos/bank/v1beta1/supply/by_denom', params: { denom: '{denom}' }, returns: 'amount' },
+        { name: 'params', path: '/cosmos/bank/v1beta1/params', returns: 'params' },
+        { name: 'denomsMetadata', path: '/cosmos/bank/v1beta1/denoms_metadata', paginated: true, returns: 'metadatas' },
+        { name: 'denomMetadata', path: '/cosmos/bank/v1beta1/denoms_metadata/{denom}', returns: 'metadata' },
+        { name: 'denomOwners', path: '/cosmos/bank/v1beta1/denom_owners/{denom}', paginated: true, returns: 'denom_owners' }
+    ],
+    auth: [
+        {
+            name: 'accounts',
+            path: '/cosmos/auth/v1beta1/accounts',
+            paginated: true,
+            returns: 'accounts',
+            // Module accounts nest their address under base_account
+            discovers: {
+                account: data => data.accounts?.map(account => account.address || account.base_account?.address)
+                    .find(Boolean) ?? null
+            }
+        },
+        { name: 'account', path: '/cosmos/auth/v1beta1/accounts/{account}', returns: 'account' },
+        { name: 'params', path: '/cosmos/auth/v1beta1/params', returns: 'params' },
+        { name: 'moduleAccounts', path: '/cosmos/auth/v1beta1/module_accounts', returns: 'accounts' }
+    ],
+    staking: [
+        {
+            name: 'validators',
+            path: '/cosmos/staking/v1beta1/validators',
+            params: { status: 'BOND_STATUS_BONDED' },
+            paginated: true,
+            returns: 'validators',
+            discovers: { validator: first('validators', 'operator_address') }
+        },
+        { name: 'validator', path: '/cosmos/staking/v1beta1/validators/{validator}', returns: 'validator' },
+        {
+            name: 'validatorDelegations',
+            path: '/cosmos/staking/v1beta1/validators/{validator}/delegations',
+            paginated: true,
+            returns: 'delegation_responses',
+            discovers: {
+                delegator: data => data.delegation_responses?.[0]?.delegation?.delegator_address ?? null
+            }
+        },
+        { name: 'validatorUnbondingDelegations', path: '/cosmos/staking/v1beta1/validators/{validator}/unbonding_delegations', paginated: true, returns: 'unbonding_responses' },
+        { name: 'delegatorDelegations', path: '/cosmos/staking/v1beta1/delegations/{delegator}', paginated: true, returns: 'delegation_responses' },
+        { name: 'delegation', path: '/cosmos/staking/v1beta1/validators/{validator}/delegations/{delegator}', returns: 'delegation_response' },
+        { name: 'delegatorUnbondingDelegations', path: '/cosmos/staking/v1beta1/delegators/{delegator}/unbonding_delegations', paginated: true, returns: 'unbonding_responses' },
+        { name: 'redelegations', path: '/cosmos/staking/v1beta1/delegators/{delegator}/redelegations', paginated: true, returns: 'redelegation_responses' },
+        { name: 'delegatorValidators', path: '/cosmos/staking/v1beta1/delegators/{delegator}/validators', paginated: true, returns: 'validators' },
+        { name: 'historicalInfo', path: '/cosmos/staking/v1beta1/historical_info/{height}', returns: 'hist' },
+        { name: 'pool', path: '/cosmos/staking/v1beta1/pool', returns: 'pool' },
+        { name: 'params', path: '/cosmos/staking/v1beta1/params', returns: 'params' }
+    ],
+    distribution: [
+        { name: 'params', path: '/cosmos/distribution/v1beta1/params', returns: 'params' },
+        { name: 'outstandingRewards', path: '/cosmos/distribution/v1beta1/validators/{validator}/outstanding_rewards', returns: 'rewards' },
+        { name: 'commission', path: '/cosmos/distribution/v1beta1/validators/{validator}/commission', returns: 'commission' },
+        { name: 'slashes', path: '/cosmos/distribution/v1beta1/validators/{validator}/slashes', paginated: true, returns: 'slashes' },
+        { name: 'delegationTotalRewards', path: '/cosmos/distribution/v1beta1/delegators/{delegator}/rewards', returns: 'total' },
+        { name: 'delegationRewards', path: '/cosmos/distribution/v1beta1/delegators/{delegator}/rewards/{validator}', returns: 'rewards' },
+        { name: 'delegatorValidators', path: '/cosmos/distribution/v1beta1/delegators/{delegator}/validators', returns: 'validators' },
+        { name: 'withdrawAddress', path: '/cosmos/distribution/v1beta1/delegators/{delegator}/withdraw_address', returns: 'withdraw_address' },
+        { name: 'communityPool', path: '/cosmos/distribution/v1beta1/community_pool', returns: 'pool' }
+    ],
+    gov: [
+        {
+            name: 'proposals',
+            path: '/cosmos/gov/v1beta1/proposals',
+            paginated: true,
+            returns: 'proposals',
+            discovers: { proposalId: first('proposals', 'proposal_id') }
+        },
+        { name: 'proposal', path: '/cosmos/gov/v1beta1/proposals/{proposalId}', returns: 'proposal' },
+        { name: 'votes', path: '/cosmos/gov/v1beta1/proposals/{proposalId}/votes', paginated: true, returns: 'votes' },
+        { name: 'deposits', path: '/cosmos/gov/v1beta1/proposals/{proposalId}/deposits', paginated: true, returns: 'deposits' },
+        { name: 'tally', path: '/cosmos/gov/v1beta1/proposals/{proposalId}/tally', returns: 'tally' },
+        { name: 'votingParams', path: '/cosmos/gov/v1beta1/params/voting', returns: 'voting_params' },
+        { name: 'depositParams', path: '/cosmos/gov/v1beta1/params/deposit', returns: 'deposit_params' },
+        { name: 'tallyParams', path: '/cosmos/gov/v1beta1/params/tallying', returns: 'tally_params' }
+    ],
+    slashing: [
+        { name: 'params', path: '/cosmos/slashing/v1beta1/params', returns: 'params' },
+        {
+            name: 'signingInfos',
+            path: '/cosmos/slashing/v1beta1/signing_infos',
+            paginated: true,
+            returns: 'info',
+            discovers: { consAddress: first('info', 'address') }
+        },
+        { name: 'signingInfo', path: '/cosmos/slashing/v1beta1/signing_infos/{consAddress}', returns: 'val_signing_info' }
+    ],
+    mint: [
+        { name: 'params', path: '/seichain/mint/v1beta1/params', returns: 'params' },
+        { name: 'minter', path: '/seichain/mint/v1beta1/minter' }
+    ],
+    ibcTransfer: [
+        {
+            name: 'denomTraces',
+            path: '/ibc/apps/transfer/v1/denom_traces',
+            paginated: true,
+            returns: 'denom_traces',
+            discovers: {
+                denomTrace: data => {
+                    const trace = data.denom_traces?.[0];
+                    return trace ? `${trace.path}/${trace.base_denom}` : null;
+                }
+            }
+        },
+        { name: 'denomHash', path: '/ibc/apps/transfer/v1/denom_hashes/{denomTrace}', returns: 'hash' },
+        { name: 'params', path: '/ibc/apps/transfer/v1/params', returns: 'params' }
+    ],
+    ibcChannel: [
+        {
+            name: 'channels',
+            path: '/ibc/core/channel/v1/channels',
+            paginated: true,
+            returns: 'channels',
+            discovers: {
+                channelId: first('channels', 'channel_id'),
+                portId: first('channels', 'port_id')
+            }
+        },
+        { name: 'channel', path: '/ibc/core/channel/v1/channels/{channelId}/ports/{portId}', returns: 'channel' },
+        { name: 'channelClientState', path: '/ibc/core/channel/v1/channels/{channelId}/ports/{portId}/client_state', returns: 'identified_client_state' },
+        { name: 'packetCommitments', path: '/ibc/core/channel/v1/channels/{channelId}/ports/{portId}/packet_commitments', paginated: true, returns: 'commitments' }
+    ],
+    tokenfactory: [
+        { name: 'params', path: '/sei-protocol/seichain/tokenfactory/params', returns: 'params' },
+        { name: 'denomsFromCreator', path: '/sei-protocol/seichain/tokenfactory/denoms_from_creator/{account}', returns: 'denoms' },
+        { name: 'authorityMetadata', path: '/sei-protocol/seichain/tokenfactory/denoms/{denom}/authority_metadata', returns: 'authority_metadata' }
+    ],
+    evm: [
+        { name: 'seiAddress', path: '/sei-protocol/seichain/evm/sei_address', params: { evm_address: '{evmAddress}' }, returns: 'sei_address' },
+        { name: 'evmAddress', path: '/sei-protocol/seichain/evm/evm_address', params: { sei_address: '{account}' }, returns: 'evm_address' },
+        { name: 'pointerVersion', path: '/sei-protocol/seichain/evm/pointer_version', params: { pointer_type: 'ERC20' }, returns: 'version' },
+        { name: 'pointer', path: '/sei-protocol/seichain/evm/pointer', params: { pointer_type: 'NATIVE', pointee: '{denom}' }, returns: 'exists' }
+    ],
+    epoch: [
+        { name: 'epoch', path: '/sei-protocol/seichain/epoch/epoch', returns: 'epoch' },
+        { name: 'params', path: '/sei-protocol/seichain/epoch/params', returns: 'params' }
+    ],
+    oracle: [
+        { name: 'exchangeRates', path: '/sei-protocol/sei-chain/oracle/denoms/exchange_rates', returns: 'denom_oracle_exchange_rate_pairs' },
+        { name: 'actives', path: '/sei-protocol/sei-chain/oracle/denoms/actives', returns: 'actives' },
+        { name: 'voteTargets', path: '/sei-protocol/sei-chain/oracle/denoms/vote_targets', returns: 'vote_targets' },
+        { name: 'priceSnapshotHistory', path: '/sei-protocol/sei-chain/oracle/denoms/price_snapshot_history', returns: 'price_snapshots' },
+        { name: 'twaps', path: '/sei-protocol/sei-chain/oracle/denoms/twaps', params: { lookback_seconds: 3600 }, returns: 'oracle_twaps' },
+        { name: 'feederDelegation', path: '/sei-protocol/sei-chain/oracle/validators/{validator}/feeder', returns: 'feeder_addr' },
+        { name: 'missCounter', path: '/sei-protocol/sei-chain/oracle/validators/{validator}/miss', returns: 'miss_counter' },
+        { name: 'params', path: '/sei-protocol/sei-chain/oracle/params', returns: 'params' }
+    ]
+};
+
+const snakeCase = name => name.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+
+// Each entry becomes a registry method named <module>_<entry name>, e.g.
+// staking_validator_delegations. Its createPath/createParams arguments are the
+// entry's placeholders in order of appearance, optionally followed by extra
+// query parameters. Entries with placeholders can't be drawn under load.
+function catalogueMethod(module, { name, path, params = {}, paginated = false, returns, discovers, schema }) {
+    const templates = [path, ...Object.values(params)];
+    const placeholders = [...new Set(templates.flatMap(template => Array.from(String(template).matchAll(PLACEHOLDER), ([, key]) => key)))];
+    const fill = (template, args) => String(template).replace(PLACEHOLDER, (_, key) => args[placeholders.indexOf(key)]);
+    const pick = values => placeholders.map(key => values[key]);
+
+    return {
+        name: `${module}_${snakeCase(name)}`,
+        method: 'GET',
+        surface: 'rest',
+        module,
+        placeholders,
+        paginated,
+        discovers,
+        schema: schema ?? responseSchema({ returns, paginated }),
+        sampleArgs: () => (placeholders.length > 0 ? null : []),
+        // Paginated entries also get a one-item page and invalid pagination;
+        // entries with placeholders also get malformed placeholder values
+        parameterSets: ({ pathValues }) => {
+            const valid = pick(pathValues.valid);
+            const found = !hasMissingValue(valid);
+            return {
+                valid: found ? [valid] : [],
+                boundary: found && paginated ? [[...valid, { 'pagination.limit': 1, 'pagination.count_total': true }]] : [],
+                malformed: [
+                    ...(found && paginated ? [[...valid, { 'pagination.limit': 'invalid' }]] : []),
+                    ...(placeholders.length > 0 ? [pick(pathValues.malformed)] : [])
+                ]
+            };
+        },
+        createPath: (...args) => fill(path, args),
+        createParams: (...args) => ({
+            ...Object.fromEntries(Object.entries(params).map(([key, value]) => [key, fill(value, args)])),
+            ...args[placeholders.length]
+        })
+    };
+}
+
+export default Object.entries(CATALOGUE)
+    .flatMap(([module, entries]) => entries.map(entry => catalogueMethod(module, entry)));
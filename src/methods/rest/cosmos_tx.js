@@ -0,0 +1,21 @@
+import { COSMOS_TX } from '../../config/schemas.js';
+import { sampled, ZERO_HASH } from '../shared.js';
+
+// Cosmos tx hashes are upper-case hex without a 0x prefix
+const ZERO_TX_HASH = ZERO_HASH.slice(2).toUpperCase();
+
+export default {
+    name: 'cosmos_tx',
+    method: 'GET',
+    surface: 'rest',
+    schema: COSMOS_TX,
+    sampleArgs: p => sampled(p.cosmosTxHash()),
+    parameterSets: ({ cosmosTxHash }) => ({
+        valid: cosmosTxHash ? [[cosmosTxHash]] : [],
+        boundary: [[ZERO_TX_HASH]],
+        malformed: [['not-a-hash']]
+    }),
+    consistency: { pinned: () => true, value: data => data.tx_response && `${data.tx_response.height}:${data.tx_response.code}` },
+    createPath: (hash) => `/cosmos/tx/v1beta1/txs/${hash}`,
+    createParams: () => ({})
+};
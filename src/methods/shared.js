@@ -0,0 +1,63 @@
+// src/methods/shared.js
+import crypto from 'crypto';
+import { nextId } from '../utils/ids.js';
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+export const ZERO_HASH = '0x' + '0'.repeat(64);
+
+export const toHex = value => '0x' + value.toString(16);
+
+// sampleArgs result: the arguments, or null when the provider had no value for
+// one of them yet, which skips the draw rather than sending a broken request
+export const sampled = (...args) => (args.includes(undefined) ? null : args);
+
+const isMissing = value => value === null || value === undefined;
+
+// True when built arguments hold a value discovery didn't find, at any depth
+export function hasMissingValue(value) {
+    if (isMissing(value)) return true;
+    if (Array.isArray(value)) return value.some(hasMissingValue);
+    if (typeof value === 'object') return Object.values(value).some(hasMissingValue);
+    return false;
+}
+
+// {placeholder} segments in REST path and query parameter templates
+export const PLACEHOLDER = /\{(\w+)\}/g;
+
+// True when any {placeholder} in the templates has no discovered value
+export function hasUnfilledPlaceholder(templates, values) {
+    return templates.some(template => Array.from(String(template).matchAll(PLACEHOLDER))
+        .some(([, name]) => isMissing(values[name])));
+}
+
+export const jsonRpc = (method, params) => ({
+    jsonrpc: '2.0',
+    method,
+    params,
+    id: nextId()
+});
+
+// abci_query takes its data as hex. Bytes and plain strings are encoded;
+// 0x-prefixed strings are taken as already hex and sent unchanged.
+export function toHexBytes(data = '') {
+    if (typeof data === 'string' && data.startsWith('0x')) {
+        return data.slice(2);
+    }
+    return Buffer.from(data).toString('hex');
+}
+
+// Tendermint heights are decimal strings; omitting one means the latest block
+export const heightParams = height => (height === null || height === undefined || height === 'latest'
+    ? {}
+    : { height: String(height) });
+
+// Block tags whose meaning moves with the head; results for them may differ legitimately
+const MOVING_TAG = /"(latest|pending|safe|finalized)"/;
+
+export const digest = value => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+// `pinned` checks for the multi mode: whether a request body names a fixed block
+export const pinnedToBlock = body => !MOVING_TAG.test(JSON.stringify(body.params));
+export const pinnedToHeight = body => Boolean(body.params?.height) && body.params.height !== '0';
+
+export const logIds = logs => digest(logs.map(log => `${log.transactionHash}:${log.logIndex}`));
@@ -0,0 +1,23 @@
+import { TENDERMINT_ABCI_QUERY } from '../../config/schemas.js';
+import { jsonRpc, toHexBytes, pinnedToHeight } from '../shared.js';
+
+export default {
+    name: 'abci_query',
+    method: 'POST',
+    surface: 'tendermint',
+    weight: 10,
+    schema: TENDERMINT_ABCI_QUERY,
+    sampleArgs: p => ['/cosmos.bank.v1beta1.Query/TotalSupply', '', p.height()],
+    parameterSets: ({ latest }) => ({
+        valid: [['/cosmos.bank.v1beta1.Query/TotalSupply', ''], ['/app/version']],
+        boundary: [['/cosmos.bank.v1beta1.Query/TotalSupply', '0x00'], ['/app/version', '', latest]],
+        malformed: [['/not.a.Service/Method', 'zz'], ['/app/version', '0xzz']]
+    }),
+    consistency: { pinned: pinnedToHeight, value: data => data.result?.response?.value },
+    createParams: (path = '/app/version', data, height = 0, prove = false) => jsonRpc('abci_query', {
+        path,
+        data: toHexBytes(data),
+        height: String(height ?? 0),
+        prove
+    })
+};
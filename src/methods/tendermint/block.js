@@ -0,0 +1,17 @@
+import { TENDERMINT_BLOCK } from '../../config/schemas.js';
+import { jsonRpc, heightParams, pinnedToHeight } from '../shared.js';
+
+export default {
+    name: 'block',
+    method: 'POST',
+    surface: 'tendermint',
+    schema: TENDERMINT_BLOCK,
+    sampleArgs: p => [p.height()],
+    parameterSets: ({ latest }) => ({
+        valid: [[], [latest - 1]],
+        boundary: [[1], [latest]],
+        malformed: [['not-a-height'], [-1]]
+    }),
+    consistency: { pinned: pinnedToHeight, value: data => data.result?.block_id?.hash },
+    createParams: (height) => jsonRpc('block', heightParams(height))
+};
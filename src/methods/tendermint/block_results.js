@@ -0,0 +1,17 @@
+import { TENDERMINT_BLOCK_RESULTS } from '../../config/schemas.js';
+import { jsonRpc, heightParams, pinnedToHeight, digest } from '../shared.js';
+
+export default {
+    name: 'block_results',
+    method: 'POST',
+    surface: 'tendermint',
+    schema: TENDERMINT_BLOCK_RESULTS,
+    sampleArgs: p => [p.height()],
+    parameterSets: ({ latest }) => ({
+        valid: [[], [latest - 1]],
+        boundary: [[1], [latest]],
+        malformed: [['not-a-height']]
+    }),
+    consistency: { pinned: pinnedToHeight, value: data => data.result && digest(data.result.txs_results) },
+    createParams: (height) => jsonRpc('block_results', heightParams(height))
+};
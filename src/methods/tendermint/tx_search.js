@@ -0,0 +1,30 @@
+import { TENDERMINT_TX_SEARCH } from '../../config/schemas.js';
+import { jsonRpc } from '../shared.js';
+
+export default {
+    name: 'tx_search',
+    method: 'POST',
+    surface: 'tendermint',
+    schema: TENDERMINT_TX_SEARCH,
+    // Without a sampled height the default query would search every block, so the draw is skipped
+    sampleArgs: p => {
+        const height = p.height();
+        return height === null || height === undefined ? null : [`tx.height=${height}`];
+    },
+    parameterSets: ({ latest }) => ({
+        valid: [[`tx.height=${latest - 1}`]],
+        boundary: [[`tx.height=${latest - 1}`, 1, 1]],
+        malformed: [['not a query'], [`tx.height=${latest - 1}`, 0, 0]]
+    }),
+    consistency: {
+        pinned: body => /tx\.height=\d+/.test(body.params?.query || ''),
+        value: data => data.result?.total_count
+    },
+    createParams: (query = 'tx.height>0', page = 1, perPage = 30) => jsonRpc('tx_search', {
+        query,
+        prove: false,
+        page: String(page),
+        per_page: String(perPage),
+        order_by: 'desc'
+    })
+};
@@ -0,0 +1,239 @@
+import { CoreTester } from '../../core/tester.js';
+import { methodRegistry } from '../../methods/index.js';
+import { COSMOS_BLOCK } from '../../config/schemas.js';
+import { ChainCorpus } from '../../discovery/corpus.js';
+import { LatencyHistogram } from '../../analyzers/histogram.js';
+import { TokenBucket } from '../../core/rateLimiter.js';
+import { createRandom } from '../../utils/random.js';
+import { ZERO_ADDRESS } from '../../methods/shared.js';
+import { buildDepthBuckets, buildUpgradeBuckets, sampleHeights } from './heightBuckets.js';
+
+const toHex = value => '0x' + value.toString(16);
+
+// Error messages kept per bucket and method, most frequent first
+const MAX_ERROR_MESSAGES = 5;
+
+// Requests sent at every sampled height
+const PROBES = {
+    'eth_getBlockByNumber': (height) => methodRegistry.createRequest('eth_getblockbynumber', toHex(height)),
+    'eth_getBalance': (height, targets) => methodRegistry.createRequest('eth_getbalance', targets.address, toHex(height)),
+    'eth_call': (height, targets) => methodRegistry.createRequest('eth_call', { to: targets.contract, data: '0x' }, toHex(height)),
+    'debug_traceBlockByNumber': (height) => methodRegistry.createRequest('debug_traceblockbynumber', toHex(height), {}),
+    'cosmos_block': (height) => ({
+        method: 'GET',
+        type: 'cosmos_block',
+        surface: 'rest',
+        path: `/cosmos/base/tendermint/v1beta1/blocks/${height}`,
+        schema: COSMOS_BLOCK
+    })
+};
+
+// Measures how latency and errors change with historical depth by probing
+// the same methods at heights from the head back to the earliest block
+export class ArchiveTester extends CoreTester {
+    constructor(config) {
+        super({
+            ...config,
+            mode: 'archive'
+        });
+
+        this.random = createRandom(this.config.seed);
+        this.rateLimiter = new TokenBucket({
+            rate: this.config.maxRequestsPerSecond,
+            burst: this.config.burst
+        });
+        this.head = null;
+        this.buckets = [];
+        this.targets = { address: ZERO_ADDRESS, contract: ZERO_ADDRESS };
+        this.results = new Map();
+    }
+
+    async start() {
+        this.metrics.startTime = Date.now();
+        this.logger.info('Starting archive test', {
+            evm: this.endpointFor('evm'),
+            rest: this.endpointFor('rest')
+        });
+
+        let report;
+        try {
+            await this.discoverHead();
+            await this.loadTargets();
+            await this.planBuckets();
+            await this.runProbes();
+        } catch (error) {
+            this.logger.error('Archive test failed', error);
+            throw error;
+        } finally {
+            this.metrics.endTime = Date.now();
+            report = await this.generateReport();
+        }
+        return report;
+    }
+
+    async discoverHead() {
+        const response = await this.sendRequest(methodRegistry.createRequest('eth_blocknumber')).catch(() => null);
+        this.head = response?.data?.result ? parseInt(response.data.result, 16) : null;
+
+        if (!this.head) {
+            const latest = await this.sendRequest({
+                method: 'GET',
+                surface: 'rest',
+                path: '/cosmos/base/tendermint/v1beta1/blocks/latest'
+            });
+            this.head = parseInt(latest.data.block.header.height, 10);
+        }
+        this.logger.info('Chain head', { head: this.head });
+    }
+
+    // Accounts and contracts that exist give eth_getBalance and eth_call real work
+    async loadTargets() {
+        if (!this.config.corpus) return;
+
+        const corpus = await ChainCorpus.open(this.config.corpus, this.config.outputDir);
+        this.targets.address = corpus.get('evmAccounts')[0] || this.targets.address;
+        this.targets.contract = corpus.get('erc20')[0] || corpus.get('evmContracts')[0] || this.targets.contract;
+    }
+
+    async planBuckets() {
+        const earliest = this.config.earliestHeight || 1;
+        const upgrades = [];
+
+        for (const upgrade of this.config.upgrades || []) {
+            const height = upgrade.height ?? await this.resolveUpgrade(upgrade.name);
+            if (height) {
+                upgrades.push({ name: upgrade.name, height });
+            } else {
+                this.logger.warn(`Upgrade ${upgrade.name} has no applied height, skipping`);
+            }
+        }
+
+        this.buckets = [
+            ...buildDepthBuckets(this.head, earliest),
+            ...buildUpgradeBuckets(upgrades, this.head, earliest)
+        ].map(bucket => ({
+            ...bucket,
+            heights: sampleHeights(bucket, this.config.samples || 5, this.random, earliest)
+        }));
+        this.logger.info('Height buckets', this.buckets.map(({ name, from, to }) => ({ name, from, to })));
+    }
+
+    // Height at which a named upgrade was applied, from the upgrade module
+    async resolveUpgrade(name) {
+        const response = await this.sendRequest({
+            method: 'GET',
+            surface: 'rest',
+            path: `/cosmos/upgrade/v1beta1/applied_plan/${encodeURIComponent(name)}`
+        }).catch(() => null);
+        return parseInt(response?.data?.height, 10) || null;
+    }
+
+    // Probes run in a seeded random order so no bucket benefits from a cache warmed by its neighbours
+    async runProbes() {
+        const tasks = [];
+        for (const bucket of this.buckets) {
+            for (const height of bucket.heights) {
+                for (const name of Object.keys(PROBES)) {
+                    tasks.push({ bucket: bucket.name, height, name });
+                }
+            }
+        }
+        for (let i = tasks.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [tasks[i], tasks[j]] = [tasks[j], tasks[i]];
+        }
+
+        const concurrency = this.config.concurrency || 1;
+        let next = 0;
+        const worker = async () => {
+            while (next < tasks.length) {
+                const task = tasks[next++];
+                await this.rateLimiter.acquire();
+                await this.probe(task);
+            }
+        };
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        this.rateLimiter.close();
+    }
+
+    async probe({ bucket, height, name }) {
+        const startTime = Date.now();
+        try {
+            const response = await this.sendRequest(PROBES[name](height, this.targets));
+            // Pruned heights usually come back as a JSON-RPC error with HTTP 200
+            this.record(bucket, name, Date.now() - startTime, response.data?.error?.message);
+        } catch (error) {
+            const message = error.response?.data?.error?.message || error.response?.data?.message || error.message;
+            this.record(bucket, name, Date.now() - startTime, message);
+        }
+    }
+
+    // Latency covers successful responses only, so fast rejections of pruned heights don't flatter a bucket
+    record(bucket, name, latency, error) {
+        if (!this.results.has(bucket)) {
+            this.results.set(bucket, new Map());
+        }
+        const methods = this.results.get(bucket);
+        if (!methods.has(name)) {
+            methods.set(name, { requests: 0, errors: 0, latency: new LatencyHistogram(), messages: new Map() });
+        }
+        const stats = methods.get(name);
+        stats.requests++;
+
+        if (error) {
+            stats.errors++;
+            stats.messages.set(error, (stats.messages.get(error) || 0) + 1);
+        } else {
+            stats.latency.record(latency);
+        }
+    }
+
+    summarizeBuckets() {
+        return this.buckets.map(({ name, from, to, heights }) => ({
+            name,
+            from,
+            to,
+            heights,
+            methods: Object.fromEntries(Object.keys(PROBES).map(method => {
+                const stats = this.results.get(name)?.get(method);
+                if (!stats) return [method, null];
+                return [method, {
+                    requests: stats.requests,
+                    errors: stats.errors,
+                    errorRate: (stats.errors / stats.requests * 100).toFixed(2),
+                    latency: stats.latency.summary(),
+                    topErrors: Object.fromEntries(Array.from(stats.messages.entries())
+                        .sort(([, a], [, b]) => b - a)
+                        .slice(0, MAX_ERROR_MESSAGES))
+                }];
+            }))
+        }));
+    }
+
+    // One row per bucket, one "p50 / error rate" cell per method
+    printBuckets(buckets) {
+        console.table(Object.fromEntries(buckets.map(bucket => [
+            bucket.name,
+            Object.fromEntries(Object.entries(bucket.methods).map(([method, stats]) => [
+                method,
+                stats ? `${stats.latency.p50 ?? '-'}ms ${stats.errorRate}%` : '-'
+            ]))
+        ])));
+    }
+
+    async generateReport() {
+        const buckets = this.summarizeBuckets();
+        this.printBuckets(buckets);
+        return super.generateReport({
+            archive: {
+                head: this.head,
+                earliest: this.config.earliestHeight || 1,
+                samples: this.config.samples || 5,
+                targets: this.targets,
+                buckets
+            }
+        });
+    }
+}
+
+export default ArchiveTester;
@@ -0,0 +1,56 @@
+// Height buckets for archive-depth profiling. Depth bands grow tenfold from
+// the head (0-100, 100-1k, 1k-10k...) so both recently pruned ranges and cold
+// history get their own bucket; upgrade boundaries are probed on either side.
+
+const FIRST_BAND = 100;
+
+function formatDepth(depth) {
+    if (depth >= 1e6) return `${depth / 1e6}M`;
+    if (depth >= 1e3) return `${depth / 1e3}k`;
+    return String(depth);
+}
+
+export function buildDepthBuckets(head, earliest = 1) {
+    const buckets = [];
+    let from = 0;
+    let to = FIRST_BAND;
+
+    while (head - from >= earliest) {
+        // The oldest band stops at the earliest height instead
+        const truncated = head - to + 1 < earliest;
+        buckets.push({
+            name: truncated ? `${formatDepth(from)}+` : `${formatDepth(from)}-${formatDepth(to)}`,
+            from: truncated ? earliest : head - to + 1,
+            to: head - from
+        });
+        from = to;
+        to *= 10;
+    }
+
+    return buckets;
+}
+
+// The last block before an upgrade, its first block, and the one after
+export function buildUpgradeBuckets(upgrades, head, earliest = 1) {
+    return upgrades
+        .filter(({ height }) => height > earliest && height <= head)
+        .map(({ name, height }) => ({
+            name: `upgrade:${name}`,
+            from: height - 1,
+            to: Math.min(height + 1, head),
+            heights: [height - 1, height, height + 1].filter(h => h <= head)
+        }));
+}
+
+// `samples` heights from a bucket; the oldest bucket always includes its
+// first height so the earliest available block is measured
+export function sampleHeights(bucket, samples, random = Math.random, earliest = 1) {
+    if (bucket.heights) return bucket.heights;
+
+    const span = bucket.to - bucket.from + 1;
+    const heights = new Set(bucket.from === earliest ? [earliest] : []);
+    while (heights.size < Math.min(samples, span)) {
+        heights.add(bucket.from + Math.floor(random() * span));
+    }
+    return Array.from(heights).sort((a, b) => b - a);
+}
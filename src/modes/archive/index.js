@@ -0,0 +1 @@
+export { ArchiveTester } from './archiveTester.js';
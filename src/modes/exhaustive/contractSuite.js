@@ -0,0 +1,160 @@
+import { sendContractQuery, fetchPaginatedData, paginate } from '../../utils/helpers.js';
+import { CONSTANTS } from '../../utils/constants.js';
+import { createTraceId } from '../../utils/ids.js';
+
+// A query variant no contract defines; the parse error lists the ones it does
+const PROBE_METHOD = 'sei_network_testing_probe';
+
+// Fields added one at a time from "missing field" errors before giving up
+const MAX_FIELD_GUESSES = 4;
+
+// Values tried for a missing field, by field name; anything else gets ""
+const FIELD_GUESSES = [
+    [/addr|owner|contract|spender|recipient|sender|account|user|minter|operator/, context => context.address],
+    [/(^|_)id$/, () => '1'],
+    [/limit/, () => 10],
+    [/denom/, () => 'usei'],
+    [/amount|height/, () => '1']
+];
+
+function guessValue(field, context) {
+    const match = FIELD_GUESSES.find(([pattern]) => pattern.test(field));
+    return match ? match[1](context) : '';
+}
+
+const errorMessage = result => result.error || result.data?.message || null;
+
+// Finds CosmWasm contracts through the wasm module and fuzzes their smart
+// queries. Methods are enumerated from the error a contract returns for an
+// unknown query; each one is then called with a generated payload.
+export class ContractSuite {
+    constructor(tester, { maxContracts, timeoutMs }) {
+        this.tester = tester;
+        this.maxContracts = maxContracts;
+        this.timeoutMs = timeoutMs;
+        this.base = tester.endpointFor('rest');
+        this.stats = { codes: 0, contracts: 0, outcomes: { ok: 0, error: 0, timeout: 0, failed: 0 } };
+    }
+
+    // Newest codes first, so recently deployed contracts are covered before old
+    // ones. Code pages are fetched only until maxContracts have been found.
+    async discover() {
+        const options = { headers: this.tester.authHeaders(this.base) };
+        const codes = paginate(`${this.base}/cosmwasm/wasm/v1/code`, {
+            'pagination.reverse': true
+        }, { ...options, key: 'code_infos' });
+
+        const contracts = [];
+        for await (const page of codes) {
+            for (const { code_id: codeId } of page) {
+                if (contracts.length >= this.maxContracts) break;
+                this.stats.codes++;
+
+                const addresses = await fetchPaginatedData(`${this.base}/cosmwasm/wasm/v1/code/${codeId}/contracts`, {}, {
+                    ...options,
+                    key: 'contracts',
+                    maxItems: this.maxContracts - contracts.length
+                });
+                contracts.push(...addresses.map(address => ({ address, codeId })));
+            }
+            if (contracts.length >= this.maxContracts) break;
+        }
+        this.stats.contracts = contracts.length;
+        return contracts;
+    }
+
+    // Resolves with { address, codeId, methods, results } per contract, in the
+    // exhaustive tester's result format
+    async run() {
+        const contracts = await this.discover();
+        this.tester.logger.info(`Found ${contracts.length} contracts in ${this.stats.codes} codes`);
+
+        const reports = [];
+        for (const contract of contracts) {
+            reports.push(await this.fuzzContract(contract));
+        }
+        return reports;
+    }
+
+    async fuzzContract({ address, codeId }) {
+        const probe = await this.query(address, { [PROBE_METHOD]: {} }, true);
+        if (!probe.methods) {
+            const outcome = this.classify(probe);
+            return {
+                address,
+                codeId,
+                methods: [],
+                results: [outcome.outcome === 'timeout' || outcome.outcome === 'failed'
+                    ? this.toResult(PROBE_METHOD, { [PROBE_METHOD]: {} }, outcome)
+                    : { variant: 'valid', args: [PROBE_METHOD], status: 'skipped', reason: 'query methods not listed in error', error: outcome.error }]
+            };
+        }
+
+        const results = [];
+        for (const method of probe.methods) {
+            results.push(await this.callMethod(address, method));
+        }
+        return { address, codeId, methods: probe.methods, results };
+    }
+
+    // Starts from {"method": {}} and fills in fields the contract reports as missing
+    async callMethod(address, method) {
+        let payload = { [method]: {} };
+
+        for (let guesses = 0; ; guesses++) {
+            const result = await this.query(address, payload);
+            const message = errorMessage(result) || '';
+            const missing = message.match(/missing field `(\w+)`/)?.[1];
+
+            if (typeof payload === 'object' && /expected unit/.test(message)) {
+                payload = method;
+            } else if (missing && guesses < MAX_FIELD_GUESSES) {
+                payload = { [method]: { ...payload[method], [missing]: guessValue(missing, { address }) } };
+            } else {
+                return this.toResult(method, payload, this.classify(result));
+            }
+        }
+    }
+
+    async query(address, payload, probe = false) {
+        const traceId = createTraceId();
+        const result = await sendContractQuery(this.base, address, payload, probe, {
+            timeout: this.timeoutMs,
+            headers: {
+                ...this.tester.authHeaders(this.base),
+                [CONSTANTS.TRACE_HEADER]: traceId
+            }
+        });
+        return { ...result, traceId };
+    }
+
+    classify(result) {
+        const outcome = result.timedOut ? 'timeout'
+            : result.status === null ? 'failed'
+            : result.status === 200 ? 'ok'
+            : 'error';
+        return {
+            outcome,
+            traceId: result.traceId,
+            httpStatus: result.status,
+            latency: result.duration,
+            ...(outcome !== 'ok' && { error: errorMessage(result) })
+        };
+    }
+
+    // A contract rejecting a generated payload still answered; only timeouts
+    // and transport failures count against the node
+    toResult(method, payload, outcome) {
+        this.stats.outcomes[outcome.outcome]++;
+        return {
+            variant: 'valid',
+            args: [method],
+            payload,
+            status: outcome.outcome === 'ok' || outcome.outcome === 'error' ? 'pass' : 'fail',
+            expected: ['ok', 'error'],
+            ...outcome
+        };
+    }
+}
+
+export default ContractSuite;
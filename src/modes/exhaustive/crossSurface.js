@@ -0,0 +1,254 @@
+import { decodeCosmosTx } from '../../discovery/cosmosTx.js';
+import { nextId } from '../../utils/ids.js';
+import { methodRegistry } from '../../methods/index.js';
+
+const MSG_EVM_TRANSACTION = '/seiprotocol.seichain.evm.MsgEVMTransaction';
+
+// EVM balances have 18 decimals, bank balances 6: 1usei is 10^12 wei
+const WEI_PER_USEI = 10n ** 12n;
+
+// Cosmos REST queries read state at this height instead of the latest
+const HEIGHT_HEADER = 'x-cosmos-block-height';
+
+const MAX_ACCOUNTS = 5;
+
+// Each EVM log is a `tx_log` event in block_results whose `txLog` attribute
+// holds the log as JSON
+const EVM_LOG_EVENT = 'tx_log';
+const EVM_LOG_ATTRIBUTE = 'txLog';
+
+const toHex = value => '0x' + value.toString(16);
+
+const rpc = (method, params) => ({
+    method: 'POST',
+    type: method.toLowerCase(),
+    surface: 'evm',
+    params: { jsonrpc: '2.0', method, params, id: nextId() }
+});
+
+const isEvmTx = encoded => {
+    try {
+        return decodeCosmosTx(encoded).messages.some(message => message.typeUrl === MSG_EVM_TRANSACTION);
+    } catch {
+        return false;
+    }
+};
+
+// Older Tendermint versions base64-encode event attribute keys and values
+const base64 = text => Buffer.from(text).toString('base64');
+const attributeValue = (event, key) => {
+    for (const attribute of event.attributes || []) {
+        if (attribute.key === key) return attribute.value;
+        if (attribute.key === base64(key)) return Buffer.from(attribute.value, 'base64').toString();
+    }
+    return undefined;
+};
+
+// The EVM logs a Cosmos tx result reports, in emission order
+export function evmLogsFromEvents(events = []) {
+    return events
+        .filter(event => event.type === EVM_LOG_EVENT)
+        .map(event => JSON.parse(attributeValue(event, EVM_LOG_ATTRIBUTE)));
+}
+
+// Per-log address and topics as [evm, cosmos] pairs, compared up to the shorter list
+function logFields(receiptLogs, eventLogs) {
+    const fields = { logCount: [receiptLogs.length, eventLogs.length] };
+    for (let i = 0; i < Math.min(receiptLogs.length, eventLogs.length); i++) {
+        fields[`logs[${i}].address`] = [receiptLogs[i].address?.toLowerCase(), eventLogs[i].address?.toLowerCase()];
+        fields[`logs[${i}].topics`] = [receiptLogs[i].topics?.join(','), eventLogs[i].topics?.join(',')];
+    }
+    return fields;
+}
+
+// Sei serves one chain through EVM JSON-RPC and Cosmos APIs. These checks
+// read the same data from both sides at a fixed height and report every
+// field that differs as a defect.
+export class CrossSurfaceValidator {
+    constructor(tester) {
+        this.tester = tester;
+        this.defects = [];
+    }
+
+    // Resolves with results per check, in the exhaustive tester's result format
+    async run({ heights, accounts = [] }) {
+        const checks = { block: [], balance: [], receipts: [] };
+        const seen = new Set(accounts.map(account => account.toLowerCase()));
+        const targets = accounts.map(address => ({ address, height: heights[0] }));
+
+        for (const height of heights) {
+            let blocks;
+            try {
+                blocks = await this.fetchBlocks(height);
+                checks.block.push(this.checkBlock(height, blocks));
+            } catch (error) {
+                checks.block.push(this.failure([height], error));
+                continue;
+            }
+            checks.receipts.push(...await this.checkReceipts(height, blocks)
+                .catch(error => [this.failure([height], error)]));
+
+            // Senders in the block are accounts that exist on both sides
+            for (const tx of blocks.evm.transactions) {
+                if (tx.from && !seen.has(tx.from.toLowerCase())) {
+                    seen.add(tx.from.toLowerCase());
+                    targets.push({ address: tx.from, height });
+                }
+            }
+        }
+
+        for (const { address, height } of targets.slice(0, MAX_ACCOUNTS)) {
+            checks.balance.push(await this.checkBalance(address, height)
+                .catch(error => this.failure([address, height], error)));
+        }
+
+        return checks;
+    }
+
+    async fetchBlocks(height) {
+        const [evm, cosmos] = await Promise.all([
+            this.send(rpc('eth_getBlockByNumber', [toHex(height), true])),
+            this.send({ method: 'GET', surface: 'rest', path: `/cosmos/base/tendermint/v1beta1/blocks/${height}` })
+        ]);
+        if (!evm.result) {
+            throw new Error(`EVM block ${height} not found`);
+        }
+        // Pruned heights and REST errors come back as a body without a block
+        const { block, block_id: blockId } = cosmos.result || {};
+        if (!block?.header?.time || !blockId?.hash) {
+            const reason = cosmos.result?.message ? `: ${cosmos.result.message}` : '';
+            throw Object.assign(new Error(`Cosmos block ${height} not found${reason}`), { traceId: cosmos.traceId });
+        }
+        return {
+            evm: evm.result,
+            cosmos: cosmos.result,
+            traceIds: { evm: evm.traceId, cosmos: cosmos.traceId }
+        };
+    }
+
+    checkBlock(height, { evm, cosmos, traceIds }) {
+        const txs = cosmos.block.data?.txs || [];
+        return this.compare('block', [height], {
+            hash: [evm.hash, '0x' + Buffer.from(cosmos.block_id.hash, 'base64').toString('hex')],
+            timestamp: [parseInt(evm.timestamp, 16), Math.floor(Date.parse(cosmos.block.header.time) / 1000)],
+            txCount: [evm.transactions.length, txs.filter(isEvmTx).length]
+        }, { traceIds });
+    }
+
+    // EVM transactions are paired with the Cosmos txs carrying a
+    // MsgEVMTransaction, in block order. Receipt logs are compared with the
+    // EVM log events of the paired tx result.
+    async checkReceipts(height, { evm, cosmos }) {
+        if (evm.transactions.length === 0) return [];
+
+        let blockResults;
+        try {
+            blockResults = await this.send(methodRegistry.createRequest('block_results', height));
+        } catch (error) {
+            return [this.failure([height], error)];
+        }
+
+        const txResults = blockResults.result?.txs_results || [];
+        const evmIndexes = (cosmos.block.data?.txs || [])
+            .map((tx, index) => (isEvmTx(tx) ? index : null))
+            .filter(index => index !== null);
+        const transactions = [...evm.transactions]
+            .sort((a, b) => parseInt(a.transactionIndex, 16) - parseInt(b.transactionIndex, 16));
+
+        const results = [];
+        for (let i = 0; i < Math.min(transactions.length, evmIndexes.length); i++) {
+            const { hash } = transactions[i];
+            try {
+                const receipt = await this.send(rpc('eth_getTransactionReceipt', [hash]));
+                if (!receipt.result) throw new Error(`No receipt for ${hash}`);
+
+                // Reverted EVM calls still succeed as Cosmos txs, so status isn't compared
+                const txResult = txResults[evmIndexes[i]] || {};
+                results.push(this.compare('receipts', [height, hash], {
+                    height: [parseInt(receipt.result.blockNumber, 16), height],
+                    gasUsed: [parseInt(receipt.result.gasUsed, 16), Number(txResult.gas_used)],
+                    ...logFields(receipt.result.logs || [], evmLogsFromEvents(txResult.events))
+                }, { traceIds: { evm: receipt.traceId, cosmos: blockResults.traceId } }));
+            } catch (error) {
+                results.push(this.failure([height, hash], error));
+            }
+        }
+        return results;
+    }
+
+    // Accounts without an associated sei1 address have nothing to compare
+    async checkBalance(address, height) {
+        const association = await this.send(rpc('sei_getSeiAddress', [address])).catch(() => null);
+        const seiAddress = association?.result;
+        if (!seiAddress) {
+            return { variant: 'valid', args: [address, height], status: 'skipped', reason: 'no associated sei address' };
+        }
+
+        const [evm, bank] = await Promise.all([
+            this.send(rpc('eth_getBalance', [address, toHex(height)])),
+            this.send({
+                method: 'GET',
+                surface: 'rest',
+                path: `/cosmos/bank/v1beta1/balances/${seiAddress}/by_denom`,
+                params: { denom: 'usei' },
+                headers: { [HEIGHT_HEADER]: String(height) }
+            })
+        ]);
+
+        return this.compare('balance', [address, height], {
+            usei: [(BigInt(evm.result) / WEI_PER_USEI).toString(), bank.result.balance?.amount || '0']
+        }, { seiAddress, traceIds: { evm: evm.traceId, cosmos: bank.traceId } });
+    }
+
+    // Resolves with the JSON-RPC result or REST body; JSON-RPC errors are thrown
+    async send(request) {
+        const response = await this.tester.sendRequest(request);
+        if (response.data?.error) {
+            const error = new Error(response.data.error.message || JSON.stringify(response.data.error));
+            error.traceId = response.traceId;
+            throw error;
+        }
+        return {
+            result: request.method === 'POST' ? response.data.result : response.data,
+            traceId: response.traceId
+        };
+    }
+
+    // `fields` maps a field name to its [evm, cosmos] values; `context` is kept with the result
+    compare(check, args, fields, context) {
+        const mismatched = Object.fromEntries(Object.entries(fields)
+            .filter(([, [evm, cosmos]]) => String(evm) !== String(cosmos))
+            .map(([field, [evm, cosmos]]) => [field, { evm, cosmos }]));
+
+        if (Object.keys(mismatched).length > 0) {
+            const defect = { check, args, fields: mismatched, ...context };
+            this.defects.push(defect);
+            this.tester.logger.error('EVM and Cosmos disagree', defect);
+        }
+
+        return {
+            variant: 'valid',
+            args,
+            status: Object.keys(mismatched).length > 0 ? 'fail' : 'pass',
+            expected: ['match'],
+            outcome: Object.keys(mismatched).length > 0 ? 'mismatch' : 'match',
+            fields: Object.fromEntries(Object.entries(fields).map(([field, [evm, cosmos]]) => [field, { evm, cosmos }])),
+            ...context
+        };
+    }
+
+    failure(args, error) {
+        return {
+            variant: 'valid',
+            args,
+            status: 'fail',
+            expected: ['match'],
+            outcome: 'failed',
+            traceId: error.traceId,
+            httpStatus: error.response?.status || null,
+            error: error.response?.data?.message || error.message
+        };
+    }
+}
+
+export default CrossSurfaceValidator;
@@ -0,0 +1,596 @@
+import { CoreTester } from '../../core/tester.js';
+import { testCases } from '../../config/index.js';
+import { methodRegistry } from '../../methods/index.js';
+import { ChainCorpus } from '../../discovery/corpus.js';
+import { CONSTANTS } from '../../utils/constants.js';
+import { nextId } from '../../utils/ids.js';
+import { hasUnfilledPlaceholder } from '../../methods/shared.js';
+import { buildParameterSets, buildParameterContext, buildPathValues } from './parameterSets.js';
+import { CrossSurfaceValidator } from './crossSurface.js';
+import { ContractSuite } from './contractSuite.js';
+
+// Recent heights cross-checked between the EVM and Cosmos sides
+const CROSS_SURFACE_HEIGHTS = 3;
+
+// Outcomes a variant is allowed to produce to count as a pass
+const EXPECTATIONS = {
+    valid: ['ok'],
+    boundary: ['ok', 'rejected'],
+    malformed: ['rejected'],
+    // Calls that can only fail, e.g. on an unknown filter id; any answer but
+    // "method not found" shows the method is enabled
+    probe: ['ok', 'rejected']
+};
+
+// JSON-RPC "method not found", and the messages nodes use for disabled namespaces
+const METHOD_NOT_FOUND = -32601;
+const UNSERVED_MESSAGE = /method .*(not found|does not exist|is not available|not supported|disabled)/i;
+
+export class ExhaustiveTester extends CoreTester {
+    constructor(config) {
+        super({
+            ...config,
+            mode: 'exhaustive'
+        });
+
+        this.chainState = {
+            latestHeight: null,
+            txHash: null,
+            contractAddress: null,
+            evmAddress: null,
+            evmContract: null,
+            blockHash: null,
+            cosmosTxHash: null
+        };
+        this.coverage = new Map();
+        this.corpus = null;
+        this.defects = [];
+        this.contracts = null;
+    }
+
+    async start() {
+        this.metrics.startTime = Date.now();
+        this.logger.info('Starting exhaustive test', {
+            rest: this.endpointFor('rest'),
+            tendermint: this.endpointFor('tendermint'),
+            evm: this.endpointFor('evm')
+        });
+
+        try {
+            await this.discoverChainState();
+
+            for (const testCase of this.collectTestCases()) {
+                await this.runTestCase(testCase);
+            }
+            await this.runCrossSurface();
+            await this.runContractSuite();
+        } catch (error) {
+            this.logger.error('Exhaustive test failed', error);
+            throw error;
+        } finally {
+            this.metrics.endTime = Date.now();
+            await this.generateReport();
+        }
+    }
+
+    async discoverChainState() {
+        this.logger.info('Discovering chain state for test parameters...');
+
+        try {
+            const response = await this.sendRequest(methodRegistry.createRequest('eth_getblockbynumber', 'latest'))
+                .catch(() => null);
+            const block = response?.data?.result;
+            if (block) {
+                this.chainState.latestHeight = parseInt(block.number, 16);
+                this.chainState.blockHash = block.hash || null;
+                this.chainState.txHash = block.transactions
+                    ?.map(tx => (typeof tx === 'string' ? tx : tx.hash))
+                    .find(Boolean) || null;
+                this.chainState.evmAddress = block.transactions?.find(tx => tx?.from)?.from || null;
+            }
+
+            const codes = await this.sendRequest({
+                method: 'GET',
+                path: '/cosmwasm/wasm/v1/code',
+                params: { 'pagination.limit': 1, 'pagination.reverse': true }
+            }).catch(() => null);
+            const codeId = codes?.data?.code_infos?.[0]?.code_id;
+            if (codeId) {
+                const contracts = await this.sendRequest({
+                    method: 'GET',
+                    path: `/cosmwasm/wasm/v1/code/${codeId}/contracts`,
+                    params: { 'pagination.limit': 1 }
+                }).catch(() => null);
+                this.chainState.contractAddress = contracts?.data?.contracts?.[0] || null;
+            }
+        } catch (error) {
+            this.logger.warn('Chain state discovery incomplete', { error: error.message });
+        }
+
+        // Fill whatever live discovery couldn't find from a saved corpus
+        if (this.config.corpus) {
+            const corpus = await ChainCorpus.open(this.config.corpus, this.config.outputDir);
+            this.corpus = corpus;
+            this.chainState.latestHeight ??= corpus.latestHeight;
+            this.chainState.txHash ??= corpus.get('evmTxHashes')[0] || null;
+            this.chainState.contractAddress ??= corpus.get('contracts')[0] || null;
+            this.chainState.evmAddress ??= corpus.get('evmAccounts')[0] || null;
+            this.chainState.evmContract ??= corpus.get('evmContracts')[0] || null;
+            this.chainState.cosmosTxHash ??= corpus.get('txHashes')[0] || null;
+        }
+
+        await this.discoverModuleState();
+
+        this.logger.info('Chain state discovered', this.chainState);
+    }
+
+    // REST catalogue list endpoints reveal validators, proposals, channels...
+    // for the placeholders of the methods after them
+    async discoverModuleState() {
+        for (const definition of methodRegistry.list().filter(definition => definition.discovers)) {
+            const [args] = definition.parameterSets(buildParameterContext(this.chainState)).valid;
+            if (!args) continue;
+
+            const request = methodRegistry.createRequest(definition.name, ...args,
+                definition.paginated ? { 'pagination.limit': 1 } : {});
+
+            const response = await this.sendRequest(request).catch(() => null);
+            for (const [name, extract] of Object.entries(definition.discovers)) {
+                this.chainState[name] ??= response?.data ? extract(response.data) : null;
+            }
+        }
+
+        if (this.corpus) {
+            this.chainState.account ??= this.corpus.get('accounts')[0] || null;
+            this.chainState.validator ??= this.corpus.get('validators')[0] || null;
+            this.chainState.denom ??= this.corpus.get('denoms')[0] || null;
+        }
+        this.chainState.denom ??= 'usei';
+    }
+
+    collectTestCases() {
+        const cases = [];
+        const parameterSets = buildParameterSets(this.chainState);
+
+        for (const [tier, groups] of Object.entries(testCases)) {
+            for (const [group, entries] of Object.entries(groups)) {
+                for (const entry of entries) {
+                    cases.push({
+                        key: `${tier}.${group}.${entry.name}`,
+                        source: 'testCases',
+                        variants: entry.path
+                            ? this.buildPathVariants(entry)
+                            : this.buildRpcVariants(entry, parameterSets[entry.method.toLowerCase()])
+                    });
+                }
+            }
+        }
+
+        for (const definition of methodRegistry.list()) {
+            cases.push({
+                key: `templates.${definition.name}`,
+                source: 'templates',
+                variants: this.buildTemplateVariants(definition, parameterSets[definition.name])
+            });
+        }
+
+        const surfaces = new Set(methodRegistry.list()
+            .filter(definition => definition.method === 'POST')
+            .map(definition => definition.surface));
+        for (const surface of surfaces) {
+            cases.push({
+                key: `batch.${surface}`,
+                source: 'batch',
+                variants: this.buildBatchVariants(surface, parameterSets)
+            });
+        }
+
+        return cases;
+    }
+
+    // JSON-RPC batches mixing every method on the surface. Items are checked
+    // only for being answered; their content is covered by the template cases.
+    buildBatchVariants(surface, parameterSets) {
+        const requests = methodRegistry.list()
+            .filter(definition => definition.method === 'POST' && definition.surface === surface
+                && definition.transport !== 'ws')
+            .filter(({ name }) => parameterSets[name]?.valid?.length > 0)
+            .map(({ name }) => ({
+                ...methodRegistry.createRequest(name, ...parameterSets[name].valid[0]),
+                schema: undefined
+            }));
+        const variant = (name, batch) => ({ variant: name, surface, batch, args: batch.map(request => request.type) });
+
+        if (requests.length === 0) {
+            return [{ variant: 'valid', skip: 'no valid parameters available', request: null }];
+        }
+
+        const full = Array.from({ length: CONSTANTS.MAX_BATCH_SIZE }, (_, index) => requests[index % requests.length]);
+        return [
+            variant('valid', requests.slice(0, CONSTANTS.MAX_BATCH_SIZE)),
+            variant('boundary', requests.slice(0, 1)),
+            variant('boundary', full),
+            // An empty batch is an invalid request under JSON-RPC 2.0
+            variant('malformed', [])
+        ];
+    }
+
+    buildPathVariants({ name, path, schema }) {
+        const values = buildPathValues(this.chainState);
+        const hasPlaceholders = /\{\w+\}/.test(path);
+        const fill = (source) => path.replace(/\{(\w+)\}/g, (_, name) => source[name]);
+        const validPath = hasPlaceholders ? fill(values.valid) : path;
+        const unresolved = hasUnfilledPlaceholder([path], values.valid);
+
+        return [
+            {
+                variant: 'valid',
+                skip: unresolved ? 'no discovered value for path placeholder' : null,
+                request: { method: 'GET', type: name, path: validPath, schema }
+            },
+            {
+                variant: 'boundary',
+                skip: unresolved ? 'no discovered value for path placeholder' : null,
+                request: { method: 'GET', type: name, path: validPath, params: { 'pagination.limit': 1 }, schema }
+            },
+            {
+                variant: 'malformed',
+                request: hasPlaceholders
+                    ? { method: 'GET', type: name, path: fill(values.malformed) }
+                    : { method: 'GET', type: name, path, params: { 'pagination.limit': 'invalid' } }
+            }
+        ];
+    }
+
+    // Boundary calls take the registry's boundary parameters for the method; a
+    // method without any is called with `params` left out, which JSON-RPC allows
+    buildRpcVariants({ method, schema }, parameterSet = {}) {
+        const body = { jsonrpc: '2.0', method, params: [], id: nextId() };
+        const boundary = parameterSet.boundary?.length
+            ? parameterSet.boundary.map(args => ({
+                variant: 'boundary',
+                args,
+                request: { ...methodRegistry.createRequest(method.toLowerCase(), ...args), type: method, schema }
+            }))
+            : [{ variant: 'boundary', request: { method: 'POST', type: method, params: { jsonrpc: '2.0', method, id: body.id }, schema } }];
+
+        return [
+            { variant: 'valid', request: { method: 'POST', type: method, params: body, schema } },
+            ...boundary,
+            {
+                variant: 'malformed',
+                request: { method: 'POST', type: method, params: { ...body, params: 'malformed' } }
+            }
+        ];
+    }
+
+    buildTemplateVariants(definition, parameterSet = {}) {
+        const variants = [];
+
+        for (const variant of Object.keys(EXPECTATIONS)) {
+            for (const args of parameterSet[variant] || []) {
+                const request = methodRegistry.createRequest(definition.name, ...args);
+                variants.push({
+                    variant,
+                    args,
+                    // Malformed requests are expected to fail, so their bodies aren't validated
+                    request: variant === 'malformed' ? { ...request, schema: undefined } : request
+                });
+            }
+        }
+
+        if (!parameterSet.valid?.length && !parameterSet.probe?.length) {
+            variants.push({ variant: 'valid', skip: 'no valid parameters available', request: null });
+        }
+
+        // Every JSON-RPC method also gets a structurally invalid request body
+        if (definition.method === 'POST') {
+            const request = methodRegistry.createRequest(definition.name);
+            variants.push({
+                variant: 'malformed',
+                request: { ...request, schema: undefined, params: { ...request.params, params: 'malformed' } }
+            });
+        }
+
+        return variants;
+    }
+
+    async runTestCase(testCase) {
+        const results = [];
+
+        for (const variant of testCase.variants) {
+            if (variant.skip) {
+                results.push({ variant: variant.variant, status: 'skipped', reason: variant.skip });
+                continue;
+            }
+
+            const startTime = Date.now();
+            const outcome = await (variant.batch
+                ? this.sendBatch(variant.batch, variant.surface).then(result => this.classifyBatch(result))
+                : this.sendRequest(variant.request).then(response => this.classifyResponse(response)))
+                .catch(error => this.classifyError(error));
+
+            const passed = EXPECTATIONS[variant.variant].includes(outcome.outcome)
+                && !outcome.schemaErrors;
+            results.push({
+                variant: variant.variant,
+                args: variant.args,
+                status: passed ? 'pass' : 'fail',
+                expected: EXPECTATIONS[variant.variant],
+                ...outcome,
+                latency: Date.now() - startTime
+            });
+        }
+
+        this.coverage.set(testCase.key, {
+            source: testCase.source,
+            results
+        });
+
+        const summary = this.summarizeResults(results);
+        this.logger.info(`${testCase.key}: ${summary.passed}/${summary.executed} passed`, summary);
+    }
+
+    // Heights a block behind the head, so both sides have finished indexing them,
+    // plus corpus heights known to contain transactions
+    async runCrossSurface() {
+        const latest = this.chainState.latestHeight;
+        const heights = [
+            ...Array.from({ length: latest ? CROSS_SURFACE_HEIGHTS : 0 }, (_, index) => latest - 1 - index),
+            ...(this.corpus?.get('heights') || []).slice(0, CROSS_SURFACE_HEIGHTS)
+        ].filter(height => height > 0);
+
+        if (heights.length === 0) {
+            this.coverage.set('crossSurface', {
+                source: 'crossSurface',
+                results: [{ variant: 'valid', status: 'skipped', reason: 'no known block height' }]
+            });
+            return;
+        }
+
+        const validator = new CrossSurfaceValidator(this);
+        const checks = await validator.run({
+            heights: Array.from(new Set(heights)),
+            accounts: this.corpus?.get('evmAccounts') || []
+        });
+        this.defects = validator.defects;
+
+        for (const [check, results] of Object.entries(checks)) {
+            const key = `crossSurface.${check}`;
+            this.coverage.set(key, { source: 'crossSurface', results });
+            const summary = this.summarizeResults(results);
+            this.logger.info(`${key}: ${summary.passed}/${summary.executed} matched`, summary);
+        }
+    }
+
+    async runContractSuite() {
+        const maxContracts = this.config.contracts ?? CONSTANTS.DEFAULT_CONTRACTS;
+        if (maxContracts === 0) return;
+
+        const suite = new ContractSuite(this, {
+            maxContracts,
+            timeoutMs: this.config.contractTimeoutMs || CONSTANTS.CONTRACT_QUERY_TIMEOUT_MS
+        });
+        let reports;
+        try {
+            reports = await suite.run();
+        } catch (error) {
+            this.logger.warn('Contract discovery failed', { error: error.message });
+            return;
+        }
+
+        for (const { address, results } of reports) {
+            const key = `contracts.${address}`;
+            this.coverage.set(key, { source: 'contracts', results });
+            const summary = this.summarizeResults(results);
+            this.logger.info(`${key}: ${summary.passed}/${summary.executed} methods answered`, summary);
+        }
+
+        // Which contracts and methods respond, error or time out
+        this.contracts = {
+            ...suite.stats,
+            byContract: Object.fromEntries(reports.map(({ address, codeId, methods, results }) => [address, {
+                codeId,
+                methods: Object.fromEntries(methods.map((method, index) => [method, results[index].outcome]))
+            }]))
+        };
+    }
+
+    classifyResponse(response) {
+        const { error } = response.data || {};
+        if (error && (error.code === METHOD_NOT_FOUND || UNSERVED_MESSAGE.test(error.message))) {
+            return {
+                outcome: 'unserved',
+                traceId: response.traceId,
+                httpStatus: response.status,
+                error: error.message
+            };
+        }
+        if (response.data?.error) {
+            return {
+                outcome: 'rejected',
+                traceId: response.traceId,
+                httpStatus: response.status,
+                error: response.data.error.message || response.data.error
+            };
+        }
+        const schemaErrors = response.validation?.errors;
+        return {
+            outcome: 'ok',
+            traceId: response.traceId,
+            httpStatus: response.status,
+            ...(schemaErrors?.length > 0 && { schemaErrors })
+        };
+    }
+
+    // A batch passes as 'ok' only when every request in it got its own answer
+    classifyBatch({ response, items }) {
+        if (!Array.isArray(response.data)) {
+            return {
+                outcome: 'rejected',
+                traceId: response.traceId,
+                httpStatus: response.status,
+                error: response.data?.error?.message || 'Batch response is not an array'
+            };
+        }
+
+        const unanswered = items.filter(item => item.error).length;
+        if (unanswered > 0) {
+            return {
+                outcome: 'failed',
+                traceId: response.traceId,
+                httpStatus: response.status,
+                error: `${unanswered} of ${items.length} requests unanswered`
+            };
+        }
+        return {
+            outcome: 'ok',
+            traceId: response.traceId,
+            httpStatus: response.status,
+            rpcErrors: items.filter(item => item.response.data.error).length
+        };
+    }
+
+    classifyError(error) {
+        const httpStatus = error.response?.status;
+        const message = error.response?.data?.error?.message
+            || error.response?.data?.message
+            || error.message;
+
+        // grpc-gateway answers queries the node doesn't register with 501 Unimplemented (gRPC code 12)
+        if (httpStatus === 501 || error.response?.data?.code === 12) {
+            return { outcome: 'unserved', traceId: error.traceId, httpStatus, error: message };
+        }
+        if (httpStatus >= 400 && httpStatus < 500) {
+            return { outcome: 'rejected', traceId: error.traceId, httpStatus, error: message };
+        }
+        return { outcome: 'failed', traceId: error.traceId, httpStatus: httpStatus || null, error: message };
+    }
+
+    summarizeResults(results) {
+        const executed = results.filter(result => result.status !== 'skipped');
+        return {
+            executed: executed.length,
+            passed: executed.filter(result => result.status === 'pass').length,
+            failed: executed.filter(result => result.status === 'fail').length,
+            skipped: results.length - executed.length
+        };
+    }
+
+    buildCoverageReport() {
+        const endpoints = {};
+        const totals = { endpoints: 0, passing: 0, executed: 0, passed: 0, failed: 0, skipped: 0 };
+
+        for (const [key, { source, results }] of this.coverage) {
+            const summary = this.summarizeResults(results);
+            const passing = summary.executed > 0 && summary.failed === 0;
+
+            endpoints[key] = { source, passing, ...summary, results };
+
+            totals.endpoints++;
+            if (passing) totals.passing++;
+            totals.executed += summary.executed;
+            totals.passed += summary.passed;
+            totals.failed += summary.failed;
+            totals.skipped += summary.skipped;
+        }
+
+        return {
+            summary: {
+                ...totals,
+                coverage: totals.endpoints > 0
+                    ? (totals.passing / totals.endpoints * 100).toFixed(2)
+                    : '0.00'
+            },
+            endpoints
+        };
+    }
+
+    // Coverage of registry methods matching `filter`, keyed by method name
+    registryCoverage(filter) {
+        return methodRegistry.list()
+            .filter(filter)
+            .map(definition => [definition, this.coverage.get(`templates.${definition.name}`)?.results])
+            .filter(([, results]) => results);
+    }
+
+    // An endpoint counts as verified when its valid request ran and every variant
+    // passed; one without a valid result is left unverified
+    summarizeRestCatalogue() {
+        const summary = { total: 0, verified: 0, unserved: [], modules: {} };
+
+        for (const [{ name, module }, results] of this.registryCoverage(definition => definition.module)) {
+            summary.modules[module] ??= { total: 0, verified: 0, unserved: 0 };
+            const valid = results.find(result => result.variant === 'valid');
+            const verified = valid?.status === 'pass' && results.every(result => result.status !== 'fail');
+            const unserved = valid?.outcome === 'unserved';
+
+            summary.total++;
+            summary.modules[module].total++;
+            if (verified) {
+                summary.verified++;
+                summary.modules[module].verified++;
+            }
+            if (unserved) {
+                summary.unserved.push(name);
+                summary.modules[module].unserved++;
+            }
+        }
+        return summary;
+    }
+
+    // A method is enabled when the node answered its call with anything but "method not found"
+    summarizeEvmCatalogue() {
+        const summary = { total: 0, enabled: 0, disabled: [], failed: [], untested: [], namespaces: {} };
+        const isHttpEvm = definition => definition.surface === 'evm' && definition.transport !== 'ws';
+
+        for (const [{ name }, results] of this.registryCoverage(isHttpEvm)) {
+            const namespace = name.split('_')[0];
+            summary.namespaces[namespace] ??= { total: 0, enabled: 0 };
+            summary.total++;
+            summary.namespaces[namespace].total++;
+
+            const call = results.find(result => result.variant === 'valid' || result.variant === 'probe');
+            if (!call || call.status === 'skipped') {
+                summary.untested.push(name);
+            } else if (call.outcome === 'unserved') {
+                summary.disabled.push(name);
+            } else if (call.outcome === 'failed') {
+                summary.failed.push(name);
+            } else {
+                summary.enabled++;
+                summary.namespaces[namespace].enabled++;
+            }
+        }
+        return summary;
+    }
+
+    async generateReport() {
+        const coverage = this.buildCoverageReport();
+        this.logger.info('Coverage summary', coverage.summary);
+
+        const restCatalogue = this.summarizeRestCatalogue();
+        this.logger.info(`${restCatalogue.verified} of ${restCatalogue.total} Sei REST endpoints verified`);
+        if (restCatalogue.unserved.length > 0) {
+            this.logger.warn(`${restCatalogue.unserved.length} REST endpoints not served by this node`, { endpoints: restCatalogue.unserved });
+        }
+
+        const evmCatalogue = this.summarizeEvmCatalogue();
+        this.logger.info(`${evmCatalogue.enabled} of ${evmCatalogue.total} EVM JSON-RPC methods enabled`, evmCatalogue.namespaces);
+        if (evmCatalogue.disabled.length > 0) {
+            this.logger.warn(`${evmCatalogue.disabled.length} EVM methods not enabled on this node`, { methods: evmCatalogue.disabled });
+        }
+        if (this.defects.length > 0) {
+            this.logger.error(`${this.defects.length} EVM/Cosmos mismatches found`);
+        }
+        return super.generateReport({
+            coverage,
+            restCatalogue,
+            evmCatalogue,
+            crossSurface: { defects: this.defects },
+            ...(this.contracts && { contracts: this.contracts })
+        });
+    }
+}
+
+export default ExhaustiveTester;
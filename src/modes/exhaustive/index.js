@@ -1 +1 @@
-export { ExhaustiveTester } from './exhaustiveTester.js';
\ No newline at end of file
+export { ExhaustiveTester } from './exhaustiveTester.js';
@@ -0,0 +1,75 @@
+// src/modes/exhaustive/parameterSets.js
+
+import { methodRegistry } from '../../methods/index.js';
+import { toHex, ZERO_ADDRESS } from '../../methods/shared.js';
+
+// What parameterSets(state) receives: discovered chain state, plus `latest`,
+// `recent`, and the value sets for path placeholders and EVM arguments
+export function buildParameterContext(state) {
+    const latest = state.latestHeight || 1;
+    return {
+        ...state,
+        latest,
+        recent: toHex(Math.max(latest - 1, 1)),
+        pathValues: buildPathValues(state),
+        evmValues: buildEvmValues(state)
+    };
+}
+
+// Positional createParams() arguments for each registered method, grouped by
+// the kind of input they exercise. Built from discovered chain state so that
+// "valid" parameters point at data the node actually has.
+export function buildParameterSets(state, registry = methodRegistry) {
+    const context = buildParameterContext(state);
+
+    return Object.fromEntries(registry.list()
+        .map(definition => [definition.name, definition.parameterSets ? definition.parameterSets(context) : {}]));
+}
+
+// Values substituted into {placeholder} segments of REST paths, by placeholder name
+export function buildPathValues(state) {
+    return {
+        valid: {
+            address: state.contractAddress,
+            height: state.latestHeight,
+            account: state.account,
+            validator: state.validator,
+            delegator: state.delegator,
+            consAddress: state.consAddress,
+            denom: state.denom,
+            denomTrace: state.denomTrace,
+            proposalId: state.proposalId,
+            channelId: state.channelId,
+            portId: state.portId,
+            evmAddress: state.evmAddress
+        },
+        malformed: {
+            address: 'not-a-bech32-address',
+            height: 'not-a-height',
+            account: 'not-a-bech32-address',
+            validator: 'not-a-valoper-address',
+            delegator: 'not-a-bech32-address',
+            consAddress: 'not-a-valcons-address',
+            denom: '!invalid-denom',
+            denomTrace: 'not/a/trace/',
+            proposalId: 'not-a-number',
+            channelId: 'not a channel',
+            portId: 'not a port',
+            evmAddress: '0xnot-an-address'
+        }
+    };
+}
+
+// Values the EVM methods in src/methods/evm/catalogue.js build their arguments from
+export function buildEvmValues(state) {
+    const latest = state.latestHeight || 1;
+    return {
+        latest: toHex(latest),
+        recent: toHex(Math.max(latest - 1, 1)),
+        blockHash: state.blockHash,
+        txHash: state.txHash,
+        address: state.evmAddress || ZERO_ADDRESS,
+        contract: state.evmContract || ZERO_ADDRESS,
+        seiAddress: state.account
+    };
+}
@@ -1 +1 @@
-export { LoadTester } from './loadTester.js';
\ No newline at end of file
+export { LoadTester } from './loadTester.js';
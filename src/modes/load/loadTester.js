@@ -1,7 +1,19 @@
+import { performance } from 'perf_hooks';
 import { CoreTester } from '../../core/tester.js';
-import { RequestQueueGenerator } from '../../config/requestPatterns.js';
+import { RequestQueueGenerator } from '../../methods/requestQueue.js';
+import { methodRegistry } from '../../methods/index.js';
 import { MetricCollector } from '../../analyzers/metricCollector.js';
 import { ResponseAnalyzer } from '../../analyzers/responseAnalyzer.js';
+import { TokenBucket } from '../../core/rateLimiter.js';
+import { buildThresholds, evaluateThresholds, printVerdict } from '../../analyzers/thresholds.js';
+import { CONSTANTS } from '../../utils/constants.js';
+import { ParameterProvider } from '../../discovery/parameterProvider.js';
+import { createRandom, deriveRandom } from '../../utils/random.js';
+import { loadProfile } from './profiles.js';
+import { SubscriptionLoad, DEFAULT_SUBSCRIPTION_MIX } from './subscriptions.js';
+
+// A JSON-RPC error body arrives under HTTP 200 but is still a failed request
+const rpcErrorOf = data => (data?.error ? data.error.message || JSON.stringify(data.error) : undefined);
 
 export class LoadTester extends CoreTester {
     constructor(config) {
@@ -10,18 +22,92 @@ export class LoadTester extends CoreTester {
             mode: 'load'
         });
 
-        this.queueGenerator = new RequestQueueGenerator();
-        this.metricCollector = new MetricCollector();
-        this.responseAnalyzer = new ResponseAnalyzer();
+        // One seeded source for both method choice and parameters keeps the stream reproducible
+        const random = createRandom(this.config.seed);
+        this.parameterProvider = new ParameterProvider({
+            random,
+            replay: Boolean(this.config.seed !== null && this.config.seed !== undefined && this.config.corpus),
+            outputDir: this.config.outputDir,
+            endpoint: this.config.endpoint,
+            restEndpoint: this.config.restEndpoint,
+            evmEndpoint: this.config.evmEndpoint,
+            authToken: this.config.authToken,
+            blockDistribution: this.config.blockDistribution,
+            recentBlocks: this.config.recentBlocks,
+            logRanges: this.config.logRanges,
+            earliestHeight: this.config.earliestHeight,
+            corpus: this.config.corpus,
+            logger: this.logger
+        });
+        this.queueGenerator = new RequestQueueGenerator({
+            weights: this.config.mix,
+            parameters: this.parameterProvider,
+            seed: this.config.seed,
+            random,
+            idFormat: this.config.idFormat,
+            excludeTransport: 'ws',
+            // The open model paces itself; a pause between batches would stall arrivals
+            batchDelayMs: this.config.model === 'open' ? 0 : 100
+        });
+        this.metricCollector = new MetricCollector({
+            outputDir: this.config.outputDir
+        });
+        this.rateLimiter = new TokenBucket({
+            rate: this.config.maxRequestsPerSecond,
+            burst: this.config.burst
+        });
+        // eth_subscribe's share of the mix is served by long-lived WebSocket subscriptions
+        const weights = this.config.mix || methodRegistry.defaultMix();
+        const subscriptions = this.config.subscriptions
+            ?? (weights['eth_subscribe'] > 0 ? CONSTANTS.DEFAULT_SUBSCRIPTIONS : 0);
+        this.subscriptions = subscriptions > 0
+            ? new SubscriptionLoad({
+                url: this.config.wsEndpoint || this.endpointFor('evm').replace(/^http/, 'ws'),
+                authToken: this.config.authToken,
+                count: subscriptions,
+                mix: this.config.subscriptionMix || DEFAULT_SUBSCRIPTION_MIX,
+                parameters: this.parameterProvider,
+                random: deriveRandom(this.config.seed, 'subscriptions')
+            })
+            : null;
+        if (this.subscriptions) {
+            this.metricCollector.addSection('websocket', () => this.subscriptions.summarize());
+        }
+        this.responseAnalyzer = new ResponseAnalyzer({
+            patternExtractor: data => this.extractResponsePattern(data)
+        });
         
         this.runningWorkers = new Set();
+        this.workers = new Set();
+        // An open model needs an arrival rate; 0 only means unlimited to the closed model's limiter
+        if (this.config.model === 'open' && !(this.config.maxRequestsPerSecond > 0)) {
+            throw new Error('The open model needs a positive arrival rate, e.g. --rps 50');
+        }
+        this.arrivalRate = this.config.maxRequestsPerSecond;
         this.requestQueue = [];
+        this.profile = this.config.profile
+            ? loadProfile(this.config.profile, this.config)
+            : null;
+        this.thresholds = buildThresholds(this.config.thresholds);
+        this.stopping = false;
+        this.stopReason = null;
+        this.stopped = new Promise(resolve => {
+            this.resolveStopped = resolve;
+        });
     }
 
     async start() {
         this.logger.info('Starting load test', this.config);
-        
+        this.metrics.startTime = Date.now();
+
+        const onSignal = signal => this.handleSignal(signal);
+        process.on('SIGINT', onSignal);
+        process.on('SIGTERM', onSignal);
+
+        let report;
         try {
+            await this.parameterProvider.start();
+            this.logger.info('Sampled chain state for request parameters', this.parameterProvider.describe());
             await this.warmup();
             await this.runLoadTest();
             await this.cooldown();
@@ -29,8 +115,32 @@ export class LoadTester extends CoreTester {
             this.logger.error('Load test failed', error);
             throw error;
         } finally {
-            await this.generateReport();
+            this.parameterProvider.stop();
+            process.off('SIGINT', onSignal);
+            process.off('SIGTERM', onSignal);
+            this.metrics.endTime = Date.now();
+            report = await this.generateReport();
+        }
+        return report;
+    }
+
+    handleSignal(signal) {
+        if (this.stopping) {
+            this.logger.warn(`Received ${signal} again, exiting without waiting for in-flight requests`);
+            process.exit(CONSTANTS.EXIT_CODES.INTERRUPTED);
         }
+        this.logger.info(`Received ${signal}, stopping workers (send again to force exit)`);
+        this.stop(signal);
+    }
+
+    // Stops handing out new requests; in-flight requests are allowed to finish
+    stop(reason = 'stopped') {
+        if (this.stopping) return;
+        this.stopping = true;
+        this.stopReason = reason;
+        this.rateLimiter.close();
+        this.subscriptions?.stop();
+        this.resolveStopped();
     }
 
     async warmup() {
@@ -38,8 +148,9 @@ export class LoadTester extends CoreTester {
         const warmupRequests = this.queueGenerator.generateBatch(10);
         
         for (const request of warmupRequests) {
+            if (this.stopping) break;
             try {
-                await this.makeRequest(request);
+                await this.sendRequest(request);
                 await new Promise(resolve => setTimeout(resolve, 100));
             } catch (error) {
                 this.logger.warn('Warmup request failed', { request, error });
@@ -48,16 +159,143 @@ export class LoadTester extends CoreTester {
     }
 
     async runLoadTest() {
-        this.logger.info('Starting main load test phase');
-        
-        const queue = this.queueGenerator.generateQueue();
-        const workers = [];
+        if (this.stopping) return;
+        this.logger.info('Starting main load test phase', {
+            model: this.config.model,
+            durationMs: this.config.durationMs,
+            totalRequests: this.config.totalRequests,
+            profile: this.profile?.describe()
+        });
 
-        for (let i = 0; i < this.config.concurrency; i++) {
-            workers.push(this.startWorker(queue));
+        this.queue = this.queueGenerator.generateQueue({
+            maxRequests: this.config.totalRequests || Infinity,
+            isStopped: () => this.stopping
+        });
+
+        // A profile that fits in the duration ends the run itself after its last stage
+        const profileEndsRun = this.profile && this.profile.totalDurationMs <= this.config.durationMs;
+        const durationTimer = this.config.durationMs && !profileEndsRun
+            ? setTimeout(() => this.stop('duration'), this.config.durationMs)
+            : null;
+
+        if (this.config.model === 'open') {
+            const arrivals = this.startArrivals(this.queue);
+            this.workers.add(arrivals);
+            arrivals.finally(() => this.workers.delete(arrivals));
+        } else {
+            this.scaleWorkers(this.config.concurrency);
         }
+        const stopProfile = this.profile ? this.startProfile(this.profile) : null;
+        this.subscriptions?.start();
 
-        await Promise.all(workers);
+        try {
+            await this.drainWorkers(this.waitForWorkers());
+        } finally {
+            await this.subscriptions?.stop();
+            clearTimeout(durationTimer);
+            stopProfile?.();
+            this.metricCollector.endPhase();
+        }
+
+        if (!this.stopReason) {
+            this.stopReason = 'completed';
+        }
+    }
+
+    // Applies the profile's target for the elapsed time once per tick, and at
+    // every stage boundary so short stages aren't skipped. Returns a canceller.
+    startProfile(profile) {
+        const startedAt = Date.now();
+        let phase = null;
+        let lastSnapshot = startedAt;
+        let timer = null;
+
+        const schedule = () => {
+            const elapsed = Date.now() - startedAt;
+            const boundary = profile.nextBoundary(elapsed) ?? elapsed;
+            timer = setTimeout(tick, Math.max(Math.min(boundary - elapsed, CONSTANTS.PROFILE_TICK_MS), 1));
+        };
+
+        const tick = () => {
+            const target = profile.at(Date.now() - startedAt);
+            if (!target) {
+                this.stop('profile-complete');
+                return;
+            }
+
+            if (target.rps !== null) {
+                this.setTargetRate(target.rps);
+            }
+            if (target.concurrency !== null) {
+                this.scaleWorkers(target.concurrency);
+            }
+
+            if (target.phase !== phase) {
+                phase = target.phase;
+                this.logger.info(`Entering load phase ${phase}`, target);
+                this.metricCollector.startPhase(phase, target);
+            } else {
+                this.metricCollector.setTarget(target);
+            }
+
+            if (Date.now() - lastSnapshot >= CONSTANTS.SNAPSHOT_INTERVAL_MS) {
+                lastSnapshot = Date.now();
+                this.logger.info('Metrics snapshot', this.metricCollector.takeSnapshot());
+            }
+            schedule();
+        };
+
+        tick();
+        return () => clearTimeout(timer);
+    }
+
+    setTargetRate(rps) {
+        if (this.config.model === 'open') {
+            this.arrivalRate = rps;
+        } else {
+            this.rateLimiter.setRate(rps, this.config.burst);
+        }
+    }
+
+    // Spawns or retires workers until `target` are running; retired workers
+    // finish their current request and exit
+    scaleWorkers(target) {
+        if (this.stopping || this.config.model === 'open') return;
+
+        const running = Array.from(this.runningWorkers);
+        for (let i = running.length; i < target; i++) {
+            const worker = this.startWorker(this.queue);
+            this.workers.add(worker);
+            worker.finally(() => this.workers.delete(worker));
+        }
+        running.slice(target).forEach(workerId => this.runningWorkers.delete(workerId));
+    }
+
+    // Resolves once every worker, including ones spawned while waiting, has exited
+    async waitForWorkers() {
+        while (this.workers.size > 0) {
+            await Promise.all(this.workers);
+        }
+    }
+
+    // Waits for workers to finish, but never longer than drainTimeoutMs after a stop
+    async drainWorkers(done) {
+        const drainTimeoutMs = this.config.drainTimeoutMs || CONSTANTS.TIMEOUT;
+        let timer = null;
+
+        const timedOut = this.stopped.then(() => new Promise(resolve => {
+            timer = setTimeout(() => resolve('timeout'), drainTimeoutMs);
+        }));
+
+        const result = await Promise.race([done.then(() => 'drained'), timedOut]);
+        clearTimeout(timer);
+
+        if (result === 'timeout') {
+            this.logger.warn('Workers did not drain in time, abandoning in-flight requests', {
+                drainTimeoutMs,
+                running: this.runningWorkers.size
+            });
+        }
     }
 
     async startWorker(queue) {
@@ -65,51 +303,28 @@ export class LoadTester extends CoreTester {
         this.runningWorkers.add(workerId);
 
         try {
-            for await (const request of queue) {
-                if (!this.runningWorkers.has(workerId)) break;
-
-                const startTime = Date.now();
-                try {
-                    const response = await this.makeRequest(request);
-                    
-                    // Record metrics
-                    this.metricCollector.recordRequest(request.type, {
-                        duration: Date.now() - startTime,
-                        success: true
-                    });
-
-                    // Analyze response
-                    const anomalies = this.responseAnalyzer.analyze(response, {
-                        workerId,
-                        request: request.type
-                    });
-
-                    if (anomalies.length > 0) {
-                        this.logger.warn('Response anomalies detected', { anomalies });
+            // Pull from the shared queue directly; breaking out of `for await`
+            // would close the generator for every other worker too
+            let exhausted = false;
+            while (this.runningWorkers.has(workerId) && !exhausted) {
+                // Every request takes a token, batched or not, so --rps counts calls
+                const entries = [];
+                while (entries.length < this.batchSize) {
+                    const { value: request, done } = await queue.next();
+                    if (done) {
+                        exhausted = true;
+                        break;
                     }
 
-                } catch (error) {
-                    this.metricCollector.recordRequest(request.type, {
-                        duration: Date.now() - startTime,
-                        success: false,
-                        error: error.message,
-                        rateLimited: error.response?.status === 429
-                    });
-
-                    this.logger.error('Request failed', {
-                        workerId,
-                        request: request.type,
-                        error
-                    });
+                    const waitMs = await this.rateLimiter.acquire();
+                    if (this.stopping) break;
+                    entries.push({ request, waitMs });
                 }
+                if (this.stopping || entries.length === 0) break;
 
-                // Take periodic snapshots
-                if (Math.random() < 0.01) { // 1% chance
-                    const snapshot = this.metricCollector.takeSnapshot();
-                    this.logger.info('Metrics snapshot', snapshot);
-                }
+                await this.dispatch(entries, workerId);
 
-                // Rate limiting check
+                // Back off when the endpoint itself starts rate limiting us
                 if (this.metricCollector.getRecentRateLimitHits() > 10) {
                     await new Promise(resolve => setTimeout(resolve, 1000));
                 }
@@ -119,180 +334,259 @@ export class LoadTester extends CoreTester {
         }
     }
 
-    async cooldown() {
-        this.logger.info('Cooling down...');
-        // Stop all workers
-        this.runningWorkers.clear();
-    await new Promise(resolve => setTimeout(resolve, 1000));
-}
+    // Open model: requests are sent on a fixed arrival schedule whether or not
+    // earlier responses have come back, so slow responses can't throttle load
+    async startArrivals(queue) {
+        const maxInFlight = this.config.maxInFlight || CONSTANTS.MAX_IN_FLIGHT;
+        let inFlight = 0;
+        let next = performance.now();
+        // With batching, arrivals collect here until a batch is full
+        let pending = [];
 
-async generateReport() {
-    const metrics = await this.metricCollector.saveMetrics();
-    const analysis = this.responseAnalyzer.generateReport();
-    
-    return {
-        metrics,
-        analysis,
-        configuration: this.config
-    };
-}
+        const send = entries => {
+            inFlight++;
+            const task = this.dispatch(entries, 'arrivals').finally(() => {
+                inFlight--;
+                this.workers.delete(task);
+            });
+            this.workers.add(task);
+        };
 
-// Mixed RPC method handlers
-async makeRpcRequest(method, params = []) {
-    const request = {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.config.authToken}`
-        },
-        body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: Date.now(),
-            method,
-            params
-        })
-    };
-
-    return this.makeRequest(this.config.endpoint, request);
-}
+        while (!this.stopping) {
+            // A zero-rate stage schedules nothing; arrivals resume from when it ends
+            if (!(this.arrivalRate > 0)) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+                next = performance.now();
+                continue;
+            }
 
-async makeCosmosRequest(path, params = {}) {
-    const queryString = new URLSearchParams(params).toString();
-    const url = `${this.config.endpoint}${path}${queryString ? '?' + queryString : ''}`;
+            const delay = next - performance.now();
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, Math.min(delay, 100)));
+                continue;
+            }
 
-    return this.makeRequest(url, {
-        method: 'GET',
-        headers: {
-            'Authorization': `Bearer ${this.config.authToken}`
-        }
-    });
-}
+            const { value: request, done } = await queue.next();
+            if (done) {
+                if (pending.length > 0 && !this.stopping) send(pending);
+                break;
+            }
+            if (this.stopping) break;
 
-// Updated request templates
-templates = {
-    'eth_getblockreceipts': {
-        type: 'evm',
-        handler: async (blockNumber = 'latest') => {
-            return this.makeRpcRequest('eth_getBlockReceipts', [blockNumber]);
-        }
-    },
-    'sei_getblockbynumber': {
-        type: 'cosmos',
-        handler: async (height) => {
-            return this.makeCosmosRequest(`/cosmos/base/tendermint/v1beta1/blocks/${height}`);
-        }
-    },
-    'block': {
-        type: 'cosmos',
-        handler: async (height = 'latest') => {
-            return this.makeCosmosRequest('/blocks/' + height);
-        }
-    },
-    'eth_gettransactionreceipt': {
-        type: 'evm',
-        handler: async (txHash) => {
-            return this.makeRpcRequest('eth_getTransactionReceipt', [txHash]);
-        }
-    },
-    'debug_traceblockbyhash': {
-        type: 'evm',
-        handler: async (blockHash, options = {}) => {
-            return this.makeRpcRequest('debug_traceBlockByHash', [blockHash, options]);
-        }
-    },
-    'tx_search': {
-        type: 'cosmos',
-        handler: async (query, page = 1, per_page = 30) => {
-            return this.makeCosmosRequest('/tx_search', { query, page, per_page });
+            const lagMs = performance.now() - next;
+            next += 1000 / this.arrivalRate;
+
+            if (inFlight >= maxInFlight) {
+                this.metricCollector.recordArrival({ lagMs, dropped: true });
+                continue;
+            }
+            this.metricCollector.recordArrival({ lagMs });
+
+            // Latency is measured from the scheduled send time, not the actual one
+            pending.push({ request, startTime: Date.now() - lagMs });
+            if (pending.length >= this.batchSize) {
+                send(pending);
+                pending = [];
+            }
         }
-    },
-    'block_results': {
-        type: 'cosmos',
-        handler: async (height) => {
-            return this.makeCosmosRequest('/block_results', { height });
+    }
+
+    // Sends what a worker collected. JSON-RPC requests are batched per surface;
+    // REST requests, and any request left alone in its group, go out singly.
+    async dispatch(entries, workerId) {
+        const groups = new Map();
+        for (const entry of entries) {
+            const key = entry.request.method === 'POST' ? entry.request.surface || 'evm' : null;
+            if (key && entries.length > 1) {
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(entry);
+            } else {
+                groups.set(Symbol('single'), [entry]);
+            }
         }
-    },
-    'eth_gettransactioncount': {
-        type: 'evm',
-        handler: async (address, blockParam = 'latest') => {
-            return this.makeRpcRequest('eth_getTransactionCount', [address, blockParam]);
+
+        for (const group of groups.values()) {
+            if (group.length === 1) {
+                const [{ request, waitMs, startTime }] = group;
+                await this.processRequest(request, { workerId, waitMs, startTime: startTime ?? Date.now() });
+            } else {
+                await this.processBatch(group, workerId);
+            }
         }
-    },
-    'sei_getseiaddress': {
-        type: 'cosmos',
-        handler: async (address) => {
-            return this.makeCosmosRequest('/cosmos/auth/v1beta1/accounts/' + address);
+    }
+
+    // Records each batched item as its own request, and the HTTP request that
+    // carried them separately under `batches`
+    async processBatch(entries, workerId) {
+        const sentAt = Date.now();
+        const requests = entries.map(entry => entry.request);
+        const itemDuration = entry => Date.now() - (entry.startTime ?? sentAt);
+
+        try {
+            const { response, items } = await this.sendBatch(requests);
+            const unanswered = items.filter(item => item.error).length;
+            // Some providers refuse a whole batch (e.g. too large) with one error object
+            const rejected = !Array.isArray(response.data);
+            this.metricCollector.recordBatch({
+                size: requests.length,
+                duration: Date.now() - sentAt,
+                success: !rejected,
+                unanswered
+            });
+
+            items.forEach((item, index) => {
+                const error = item.error?.message ?? rpcErrorOf(item.response?.data);
+                this.metricCollector.recordRequest(item.request.type, {
+                    duration: itemDuration(entries[index]),
+                    success: !error,
+                    error,
+                    waitMs: entries[index].waitMs,
+                    traceId: response.traceId
+                });
+                if (item.error) return;
+
+                const anomalies = this.responseAnalyzer.analyze(item.response, {
+                    workerId,
+                    request: item.request.type,
+                    traceId: response.traceId,
+                    sentAt
+                });
+                if (anomalies.length > 0) {
+                    this.logger.warn('Response anomalies detected', { anomalies });
+                }
+            });
+
+            if (rejected) {
+                this.logger.warn('Batch rejected', { traceId: response.traceId, size: requests.length, error: items[0].error.message });
+            } else if (unanswered > 0) {
+                this.logger.warn('Batch response incomplete', { traceId: response.traceId, size: requests.length, unanswered });
+            }
+        } catch (error) {
+            const rateLimited = error.response?.status === 429;
+            this.metricCollector.recordBatch({
+                size: requests.length,
+                duration: Date.now() - sentAt,
+                success: false,
+                rateLimited
+            });
+            entries.forEach(entry => {
+                this.metricCollector.recordRequest(entry.request.type, {
+                    duration: itemDuration(entry),
+                    success: false,
+                    error: error.message,
+                    rateLimited,
+                    waitMs: entry.waitMs,
+                    traceId: error.traceId
+                });
+            });
+
+            this.logger.error('Batch request failed', {
+                traceId: error.traceId,
+                workerId,
+                size: requests.length,
+                requests: requests.map(request => request.type),
+                error
+            });
         }
-    },
-    '/cosmos/tx/v1beta1/txs': {
-        type: 'cosmos',
-        handler: async (hash) => {
-            return this.makeCosmosRequest(`/cosmos/tx/v1beta1/txs/${hash}`);
+
+        this.maybeSnapshot();
+    }
+
+    async processRequest(request, { workerId, waitMs = 0, startTime }) {
+        const sentAt = Date.now();
+        try {
+            const response = await this.sendRequest(request);
+            const rpcError = rpcErrorOf(response.data);
+
+            // Record metrics
+            this.metricCollector.recordRequest(request.type, {
+                duration: Date.now() - startTime,
+                success: !rpcError,
+                error: rpcError,
+                waitMs,
+                traceId: response.traceId
+            });
+
+            // Analyze response
+            const anomalies = this.responseAnalyzer.analyze(response, {
+                workerId,
+                request: request.type,
+                traceId: response.traceId,
+                sentAt
+            });
+
+            if (anomalies.length > 0) {
+                this.logger.warn('Response anomalies detected', { anomalies });
+            }
+
+        } catch (error) {
+            this.metricCollector.recordRequest(request.type, {
+                duration: Date.now() - startTime,
+                success: false,
+                error: error.message,
+                rateLimited: error.response?.status === 429,
+                waitMs,
+                traceId: error.traceId
+            });
+
+            this.logger.error('Request failed', {
+                traceId: error.traceId,
+                workerId,
+                request: request.type,
+                error
+            });
         }
+
+        this.maybeSnapshot();
     }
-};
-
-// Request weight distribution based on pie chart
-weights = {
-    'other': 30,
-    'eth_getblockreceipts': 12,
-    'sei_getblockbynumber': 10,
-    'block': 9,
-    'eth_gettransactionreceipt': 8,
-    'debug_traceblockbyhash': 7,
-    'tx_search': 6,
-    'block_results': 5,
-    'eth_gettransactioncount': 5,
-    'sei_getseiaddress': 4,
-    '/cosmos/tx/v1beta1/txs': 4
-};
-
-generateWeightedRequest() {
-    const total = Object.values(this.weights).reduce((a, b) => a + b, 0);
-    let random = Math.random() * total;
-    
-    for (const [method, weight] of Object.entries(this.weights)) {
-        random -= weight;
-        if (random <= 0) {
-            return method;
+
+    // Take periodic snapshots
+    maybeSnapshot() {
+        if (Math.random() < 0.01) { // 1% chance
+            const snapshot = this.metricCollector.takeSnapshot();
+            this.logger.info('Metrics snapshot', snapshot);
         }
     }
-    return 'other';
-}
 
-async executeRequest(method, customParams = {}) {
-    const template = this.templates[method];
-    if (!template) {
-        throw new Error(`Unsupported method: ${method}`);
+    async cooldown() {
+        this.logger.info('Cooling down...');
+        // Stop all workers
+        this.runningWorkers.clear();
+        this.rateLimiter.close();
+        await new Promise(resolve => setTimeout(resolve, 1000));
     }
 
-    try {
-        const response = await template.handler.call(this, customParams);
-        this.metricCollector.recordRequest(method, {
-            duration: Date.now() - startTime,
-            success: true,
-            type: template.type
+    async generateReport() {
+        const metrics = await this.metricCollector.saveMetrics();
+        const analysis = this.responseAnalyzer.generateReport();
+        const rateLimiter = this.rateLimiter.getStats();
+        const thresholds = this.thresholds.length > 0
+            ? evaluateThresholds(this.thresholds, this.metricCollector)
+            : null;
+        const parameters = this.parameterProvider.describe();
+        const requestStream = this.queueGenerator.describe();
+        await super.generateReport({
+            stopReason: this.stopReason,
+            analysis,
+            rateLimiter,
+            thresholds,
+            parameters,
+            requestStream,
+            websocket: this.subscriptions?.summarize() || null
         });
-        return response;
-    } catch (error) {
-        this.handleRequestError(method, error, template.type);
-        throw error;
-    }
-}
 
-handleRequestError(method, error, type) {
-    this.logger.error('Request failed', {
-        method,
-        type,
-        error: error.message,
-        status: error.response?.status
-    });
-
-    // Special handling for rate limits
-    if (error.response?.status === 429) {
-        this.metricCollector.recordRateLimit(type);
+        if (thresholds) {
+            printVerdict(thresholds);
+        }
+
+        return {
+            metrics,
+            analysis,
+            rateLimiter,
+            thresholds,
+            configuration: this.config
+        };
     }
 }
-}
 
-export default LoadTester;
\ No newline at end of file
+export default LoadTester;
@@ -0,0 +1,123 @@
+import fs from 'fs';
+import { parseDuration } from '../../utils/parsers.js';
+
+const DEFAULT_DURATION_MS = 600000;
+const DEFAULT_SOAK_DURATION_MS = 4 * 3600000;
+
+// Built-in profiles scaled to the configured RPS and duration. A stage targets
+// `rps` and/or `concurrency`, either held constant or ramped with { from, to }.
+export const presets = {
+    ramp: ({ rps, durationMs = DEFAULT_DURATION_MS }) => ({
+        name: 'ramp',
+        stages: [
+            { name: 'ramp', duration: durationMs, rps: { from: 1, to: rps } }
+        ]
+    }),
+
+    step: ({ rps, durationMs = DEFAULT_DURATION_MS, steps = 5 }) => ({
+        name: 'step',
+        stages: Array.from({ length: steps }, (_, i) => ({
+            name: `step-${i + 1}`,
+            duration: durationMs / steps,
+            rps: Math.max(1, Math.round(rps * (i + 1) / steps))
+        }))
+    }),
+
+    spike: ({ rps, durationMs = DEFAULT_DURATION_MS }) => ({
+        name: 'spike',
+        stages: [
+            { name: 'baseline', duration: durationMs * 0.4, rps: Math.max(1, Math.round(rps * 0.2)) },
+            { name: 'spike', duration: durationMs * 0.2, rps },
+            { name: 'recovery', duration: durationMs * 0.4, rps: Math.max(1, Math.round(rps * 0.2)) }
+        ]
+    }),
+
+    soak: ({ rps, durationMs = DEFAULT_SOAK_DURATION_MS }) => ({
+        name: 'soak',
+        stages: [
+            { name: 'soak', duration: durationMs, rps }
+        ]
+    })
+};
+
+export class LoadProfile {
+    constructor(definition) {
+        if (!Array.isArray(definition?.stages) || definition.stages.length === 0) {
+            throw new Error('Load profile must define at least one stage');
+        }
+
+        this.name = definition.name || 'custom';
+        let offset = 0;
+        this.stages = definition.stages.map((stage, index) => {
+            const duration = typeof stage.duration === 'number'
+                ? stage.duration
+                : parseDuration(stage.duration);
+            const normalized = {
+                name: stage.name || `stage-${index + 1}`,
+                index,
+                start: offset,
+                duration,
+                rps: stage.rps,
+                concurrency: stage.concurrency
+            };
+            offset += duration;
+            return normalized;
+        });
+        this.totalDurationMs = offset;
+    }
+
+    // Target for a point in the run, or null once every stage has finished
+    at(elapsedMs) {
+        const stage = this.stages.find(s => elapsedMs < s.start + s.duration);
+        if (!stage) return null;
+
+        const progress = stage.duration > 0 ? (elapsedMs - stage.start) / stage.duration : 1;
+        return {
+            phase: stage.name,
+            stage: stage.index,
+            rps: this.interpolate(stage.rps, progress),
+            concurrency: this.interpolate(stage.concurrency, progress)
+        };
+    }
+
+    // End of the stage running at `elapsedMs`, or null once every stage has finished
+    nextBoundary(elapsedMs) {
+        const stage = this.stages.find(s => elapsedMs < s.start + s.duration);
+        return stage ? stage.start + stage.duration : null;
+    }
+
+    interpolate(target, progress) {
+        if (target === undefined || target === null) return null;
+        if (typeof target === 'number') return target;
+        return Math.max(1, Math.round(target.from + (target.to - target.from) * progress));
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            durationMs: this.totalDurationMs,
+            stages: this.stages.map(({ name, duration, rps, concurrency }) => ({
+                name, duration, rps, concurrency
+            }))
+        };
+    }
+}
+
+// Resolves a preset name, a JSON file path or an inline definition into a LoadProfile
+export function loadProfile(spec, config = {}) {
+    if (spec instanceof LoadProfile) return spec;
+    if (typeof spec === 'object') return new LoadProfile(spec);
+
+    if (spec.endsWith('.json')) {
+        return new LoadProfile(JSON.parse(fs.readFileSync(spec, 'utf8')));
+    }
+
+    const preset = presets[spec];
+    if (!preset) {
+        throw new Error(`Unknown load profile: ${spec} (expected ${Object.keys(presets).join(', ')} or a .json file)`);
+    }
+    return new LoadProfile(preset({
+        rps: config.maxRequestsPerSecond,
+        durationMs: config.durationMs || undefined
+    }));
+}
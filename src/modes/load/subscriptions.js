@@ -0,0 +1,204 @@
+import { performance } from 'perf_hooks';
+import { WsRpcClient } from '../../core/wsClient.js';
+import { LatencyHistogram } from '../../analyzers/histogram.js';
+import { TRANSFER_TOPIC } from '../../discovery/evmTx.js';
+
+export const DEFAULT_SUBSCRIPTION_MIX = { newHeads: 6, logs: 3, newPendingTransactions: 1 };
+
+// Hashes remembered per subscription for duplicate-head detection
+const RECENT_HEADS = 64;
+
+// eth_subscribe params per subscription type; logs alternate between an
+// unfiltered feed, ERC20 transfers and a single contract when one is known.
+// Subscriptions reconnect at unpredictable times, so they draw from their own
+// seeded stream rather than the request stream's.
+const SUBSCRIPTION_PARAMS = {
+    newHeads: () => ['newHeads'],
+    logs: (parameters, random) => {
+        const contract = parameters?.contract(random);
+        const filters = [{}, { topics: [TRANSFER_TOPIC] }];
+        if (contract) filters.push({ address: contract });
+        return ['logs', filters[Math.floor(random() * filters.length)]];
+    },
+    newPendingTransactions: () => ['newPendingTransactions']
+};
+
+export const SUBSCRIPTION_TYPES = Object.keys(SUBSCRIPTION_PARAMS);
+
+// Opens `count` WebSocket connections, each holding one subscription for the
+// whole run and reconnecting with backoff whenever the connection drops
+export class SubscriptionLoad {
+    constructor(config = {}) {
+        this.config = {
+            url: '',
+            authToken: null,
+            count: 10,
+            mix: DEFAULT_SUBSCRIPTION_MIX,
+            reconnectDelayMs: 1000,
+            maxReconnectDelayMs: 30000,
+            parameters: null,
+            random: Math.random,
+            ...config
+        };
+
+        this.clients = new Set();
+        this.tasks = [];
+        this.stopping = false;
+        this.stopped = new Promise(resolve => {
+            this.resolveStopped = resolve;
+        });
+
+        this.metrics = {
+            active: 0,
+            connections: 0,
+            failures: 0,
+            reconnects: 0,
+            events: Object.fromEntries(SUBSCRIPTION_TYPES.map(type => [type, 0])),
+            heads: {
+                received: 0,
+                dropped: 0,
+                duplicated: 0
+            },
+            errors: new Map(),
+            latency: {
+                connect: new LatencyHistogram(),
+                subscribe: new LatencyHistogram(),
+                firstEvent: new LatencyHistogram(),
+                eventLag: new LatencyHistogram(),
+                reconnect: new LatencyHistogram()
+            }
+        };
+    }
+
+    start() {
+        for (let i = 0; i < this.config.count; i++) {
+            this.tasks.push(this.hold(this.pickType()));
+        }
+    }
+
+    async stop() {
+        if (this.stopping) return;
+        this.stopping = true;
+        this.resolveStopped();
+        this.clients.forEach(client => client.close());
+        await Promise.all(this.tasks);
+    }
+
+    pickType() {
+        const entries = Object.entries(this.config.mix);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let remaining = this.config.random() * total;
+        for (const [type, weight] of entries) {
+            if (remaining < weight) return type;
+            remaining -= weight;
+        }
+        return entries[0][0];
+    }
+
+    // Keeps one subscription alive until stop(); head tracking carries across
+    // reconnects so heads missed while disconnected count as dropped
+    async hold(type) {
+        const heads = { last: null, seen: [] };
+        let attempt = 0;
+        let disconnectedAt = null;
+
+        while (!this.stopping) {
+            const client = new WsRpcClient({ url: this.config.url, authToken: this.config.authToken });
+            this.clients.add(client);
+
+            try {
+                const closed = new Promise(resolve => client.once('close', resolve));
+                this.metrics.latency.connect.record(await client.connect());
+                this.metrics.connections++;
+                if (disconnectedAt !== null) {
+                    this.metrics.reconnects++;
+                    this.metrics.latency.reconnect.record(performance.now() - disconnectedAt);
+                }
+
+                const subscribedAt = performance.now();
+                const subscription = await client.call('eth_subscribe', SUBSCRIPTION_PARAMS[type](this.config.parameters, this.config.random));
+                this.metrics.latency.subscribe.record(performance.now() - subscribedAt);
+
+                let first = true;
+                client.on('notification', (id, result) => {
+                    if (id !== subscription) return;
+                    if (first) {
+                        this.metrics.latency.firstEvent.record(performance.now() - subscribedAt);
+                        first = false;
+                    }
+                    this.recordEvent(type, result, heads);
+                });
+
+                attempt = 0;
+                this.metrics.active++;
+                await Promise.race([closed, this.stopped]);
+                this.metrics.active--;
+            } catch (error) {
+                // stop() aborts pending connects; that isn't a failure of the endpoint
+                if (!this.stopping) {
+                    this.metrics.failures++;
+                    this.recordError(error);
+                }
+            } finally {
+                client.close();
+                this.clients.delete(client);
+            }
+
+            if (this.stopping) break;
+
+            disconnectedAt = performance.now();
+            attempt++;
+            const delay = Math.min(this.config.reconnectDelayMs * 2 ** (attempt - 1), this.config.maxReconnectDelayMs);
+            await Promise.race([new Promise(resolve => setTimeout(resolve, delay)), this.stopped]);
+        }
+    }
+
+    recordEvent(type, result, heads) {
+        this.metrics.events[type]++;
+        if (type !== 'newHeads' || !result) return;
+
+        this.metrics.heads.received++;
+        if (heads.seen.includes(result.hash)) {
+            this.metrics.heads.duplicated++;
+            return;
+        }
+        heads.seen.push(result.hash);
+        if (heads.seen.length > RECENT_HEADS) heads.seen.shift();
+
+        const number = parseInt(result.number, 16);
+        if (heads.last !== null && number > heads.last + 1) {
+            this.metrics.heads.dropped += number - heads.last - 1;
+        }
+        heads.last = heads.last === null ? number : Math.max(heads.last, number);
+
+        // Block timestamps have one-second resolution, so lag is accurate to about a second
+        const timestamp = parseInt(result.timestamp, 16) * 1000;
+        if (timestamp > 0) {
+            this.metrics.latency.eventLag.record(Math.max(Date.now() - timestamp, 0));
+        }
+    }
+
+    recordError(error) {
+        const key = error.code !== undefined ? `${error.code}: ${error.message}` : error.message;
+        this.metrics.errors.set(key, (this.metrics.errors.get(key) || 0) + 1);
+    }
+
+    summarize() {
+        return {
+            url: this.config.url,
+            subscriptions: this.config.count,
+            active: this.metrics.active,
+            connections: this.metrics.connections,
+            failures: this.metrics.failures,
+            reconnects: this.metrics.reconnects,
+            events: this.metrics.events,
+            heads: this.metrics.heads,
+            latency: Object.fromEntries(
+                Object.entries(this.metrics.latency).map(([name, histogram]) => [name, histogram.summary()])
+            ),
+            errors: Object.fromEntries(this.metrics.errors)
+        };
+    }
+}
+
+export default SubscriptionLoad;
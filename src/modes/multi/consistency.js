@@ -0,0 +1,28 @@
+import { methodRegistry } from '../../methods/index.js';
+
+// Compares what each endpoint returned for one request, using the method's
+// `consistency` check (see src/methods/index.js). Errors and null results
+// count as missing rather than mismatched: a lagging or pruned node simply
+// doesn't have the data yet, which the error rate and lag already show.
+export function compareResults(request, results) {
+    const check = methodRegistry.has(request.type) ? methodRegistry.get(request.type).consistency : null;
+    if (!check || !check.pinned(request.params)) return null;
+
+    const values = [];
+    let missing = 0;
+    for (const { target, response } of results) {
+        const value = response && !response.data?.error ? check.value(response.data) : undefined;
+        if (value === undefined || value === null) {
+            missing++;
+        } else {
+            values.push({ target: target.name, value, traceId: response.traceId });
+        }
+    }
+
+    return {
+        compared: values.length >= 2,
+        matched: new Set(values.map(({ value }) => value)).size <= 1,
+        missing,
+        values
+    };
+}
@@ -0,0 +1 @@
+export { MultiEndpointTester } from './multiEndpointTester.js';
@@ -0,0 +1,329 @@
+import { CoreTester } from '../../core/tester.js';
+import { RequestQueueGenerator } from '../../methods/requestQueue.js';
+import { methodRegistry } from '../../methods/index.js';
+import { MetricCollector } from '../../analyzers/metricCollector.js';
+import { TokenBucket } from '../../core/rateLimiter.js';
+import { ParameterProvider } from '../../discovery/parameterProvider.js';
+import { CONSTANTS } from '../../utils/constants.js';
+import { createRandom } from '../../utils/random.js';
+import { nextId } from '../../utils/ids.js';
+import { compareResults } from './consistency.js';
+
+// Mismatched requests kept in the report with every endpoint's value and trace id
+const MAX_MISMATCHES = 20;
+
+// Sends one request stream to several endpoints at once: every request goes to
+// all of them together, so latency, errors and results compare like for like
+export class MultiEndpointTester extends CoreTester {
+    constructor(config) {
+        super({
+            ...config,
+            mode: 'multi'
+        });
+
+        if ((this.config.endpoints || []).length < 2) {
+            throw new Error('Comparing endpoints needs at least two, e.g. --endpoints a=https://...,b=https://...');
+        }
+
+        this.targets = this.config.endpoints.map(({ name, url }) => ({
+            name,
+            url,
+            collector: new MetricCollector({ outputDir: this.config.outputDir }),
+            lag: { samples: 0, failed: 0, total: 0, max: 0, last: null, behind: 0 }
+        }));
+        this.authOrigin = this.originOf(this.config.endpoint);
+
+        // Parameters are sampled from the first endpoint and sent unchanged to all of them
+        const random = createRandom(this.config.seed);
+        const [first] = this.targets;
+        this.parameterProvider = new ParameterProvider({
+            random,
+            replay: Boolean(this.config.seed !== null && this.config.seed !== undefined && this.config.corpus),
+            outputDir: this.config.outputDir,
+            endpoint: first.url,
+            authToken: this.originOf(first.url) === this.authOrigin ? this.config.authToken : null,
+            blockDistribution: this.config.blockDistribution,
+            recentBlocks: this.config.recentBlocks,
+            logRanges: this.config.logRanges,
+            earliestHeight: this.config.earliestHeight,
+            corpus: this.config.corpus,
+            logger: this.logger
+        });
+        this.queueGenerator = new RequestQueueGenerator({
+            weights: this.config.mix,
+            parameters: this.parameterProvider,
+            seed: this.config.seed,
+            random,
+            idFormat: this.config.idFormat,
+            excludeTransport: 'ws',
+            // Each endpoint is one URL, so only EVM JSON-RPC methods can go to all of them
+            surface: 'evm',
+            batchDelayMs: 0
+        });
+        const dropped = Object.keys(this.config.mix || {}).filter(method => methodRegistry.get(method).surface !== 'evm');
+        if (dropped.length > 0) {
+            this.logger.warn('Leaving non-EVM methods out of the comparison', { methods: dropped });
+        }
+        this.rateLimiter = new TokenBucket({
+            rate: this.config.maxRequestsPerSecond,
+            burst: this.config.burst
+        });
+        this.maxLag = this.config.maxLag ?? CONSTANTS.DEFAULT_MAX_HEAD_LAG;
+        this.consistency = { compared: 0, matched: 0, mismatched: 0, missing: 0, byMethod: new Map(), mismatches: [] };
+        this.stopping = false;
+        this.headTimer = null;
+    }
+
+    originOf(url) {
+        try {
+            return new URL(url).origin;
+        } catch {
+            return null;
+        }
+    }
+
+    // The bearer token belongs to --endpoint; other providers never see it
+    authHeaders(endpoint) {
+        return this.originOf(endpoint) === this.authOrigin ? super.authHeaders() : {};
+    }
+
+    async start() {
+        this.logger.info('Starting endpoint comparison', {
+            endpoints: this.targets.map(({ name, url }) => ({ name, url })),
+            durationMs: this.config.durationMs,
+            totalRequests: this.config.totalRequests
+        });
+        this.metrics.startTime = Date.now();
+
+        const onSignal = signal => this.handleSignal(signal);
+        process.on('SIGINT', onSignal);
+        process.on('SIGTERM', onSignal);
+
+        let report;
+        try {
+            await this.parameterProvider.start();
+            this.logger.info('Sampled chain state for request parameters', this.parameterProvider.describe());
+            await this.pollHeads();
+            this.headTimer = setInterval(() => this.pollHeads(), CONSTANTS.HEAD_POLL_INTERVAL_MS);
+            await this.runStream();
+        } catch (error) {
+            this.logger.error('Endpoint comparison failed', error);
+            throw error;
+        } finally {
+            clearInterval(this.headTimer);
+            this.parameterProvider.stop();
+            process.off('SIGINT', onSignal);
+            process.off('SIGTERM', onSignal);
+            this.metrics.endTime = Date.now();
+            report = await this.generateReport();
+        }
+        return report;
+    }
+
+    handleSignal(signal) {
+        if (this.stopping) {
+            this.logger.warn(`Received ${signal} again, exiting without waiting for in-flight requests`);
+            process.exit(CONSTANTS.EXIT_CODES.INTERRUPTED);
+        }
+        this.logger.info(`Received ${signal}, stopping workers (send again to force exit)`);
+        this.stop();
+    }
+
+    stop() {
+        this.stopping = true;
+        this.rateLimiter.close();
+    }
+
+    async runStream() {
+        const queue = this.queueGenerator.generateQueue({
+            maxRequests: this.config.totalRequests || Infinity,
+            isStopped: () => this.stopping
+        });
+        const durationTimer = this.config.durationMs
+            ? setTimeout(() => this.stop(), this.config.durationMs)
+            : null;
+
+        const worker = async () => {
+            while (!this.stopping) {
+                const { value: request, done } = await queue.next();
+                if (done) break;
+                await this.rateLimiter.acquire();
+                if (this.stopping) break;
+                await this.fanOut(request);
+            }
+        };
+
+        try {
+            await Promise.all(Array.from({ length: this.config.concurrency || 1 }, worker));
+        } finally {
+            clearTimeout(durationTimer);
+        }
+    }
+
+    async fanOut(request) {
+        const results = await Promise.all(this.targets.map(target => this.sendTo(target, request)));
+        this.checkConsistency(request, results);
+    }
+
+    async sendTo(target, request) {
+        const startTime = Date.now();
+        try {
+            const response = await this.sendRequest(request, target.url);
+            target.collector.recordRequest(request.type, {
+                duration: Date.now() - startTime,
+                success: true,
+                traceId: response.traceId
+            });
+            return { target, response };
+        } catch (error) {
+            target.collector.recordRequest(request.type, {
+                duration: Date.now() - startTime,
+                success: false,
+                error: error.message,
+                rateLimited: error.response?.status === 429,
+                traceId: error.traceId
+            });
+            return { target, error };
+        }
+    }
+
+    checkConsistency(request, results) {
+        const outcome = compareResults(request, results);
+        if (!outcome) return;
+
+        const stats = this.consistency;
+        if (!stats.byMethod.has(request.type)) {
+            stats.byMethod.set(request.type, { compared: 0, mismatched: 0, missing: 0 });
+        }
+        const method = stats.byMethod.get(request.type);
+        stats.missing += outcome.missing;
+        method.missing += outcome.missing;
+        if (!outcome.compared) return;
+
+        stats.compared++;
+        method.compared++;
+        if (outcome.matched) {
+            stats.matched++;
+            return;
+        }
+
+        stats.mismatched++;
+        method.mismatched++;
+        this.logger.warn('Endpoints disagree', { request: request.type, params: request.params.params, values: outcome.values });
+        if (stats.mismatches.length < MAX_MISMATCHES) {
+            stats.mismatches.push({ request: request.type, params: request.params.params, values: outcome.values });
+        }
+    }
+
+    // Lag is measured against the highest head any endpoint reports
+    async pollHeads() {
+        const heads = await Promise.all(this.targets.map(async target => {
+            try {
+                const response = await this.sendRequest({
+                    method: 'POST',
+                    type: 'eth_blocknumber',
+                    surface: 'evm',
+                    params: { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: nextId() }
+                }, target.url);
+                const head = parseInt(response.data?.result, 16);
+                return Number.isNaN(head) ? null : head;
+            } catch (error) {
+                return null;
+            }
+        }));
+
+        const top = Math.max(...heads.filter(head => head !== null));
+        if (!Number.isFinite(top)) return;
+
+        this.targets.forEach((target, index) => {
+            const { lag } = target;
+            if (heads[index] === null) {
+                lag.failed++;
+                return;
+            }
+            lag.last = top - heads[index];
+            lag.samples++;
+            lag.total += lag.last;
+            lag.max = Math.max(lag.max, lag.last);
+            if (lag.last > this.maxLag) {
+                lag.behind++;
+                this.logger.warn(`${target.name} is ${lag.last} blocks behind the head`, { head: top, height: heads[index] });
+            }
+        });
+    }
+
+    summarizeTarget(target) {
+        const overall = target.collector.getScopeStats();
+        const methods = Array.from(target.collector.metrics.requestCounts.keys()).sort();
+        const summarize = stats => ({
+            requests: stats.requests,
+            errors: stats.errors,
+            errorRate: stats.requests ? (stats.errors / stats.requests * 100).toFixed(2) : '0.00',
+            rateLimited: stats.rateLimited,
+            latency: stats.latency.summary()
+        });
+        const { samples, failed, total, max, last, behind } = target.lag;
+
+        return {
+            name: target.name,
+            url: target.url,
+            ...summarize(overall),
+            methods: Object.fromEntries(methods.map(method => [method, summarize(target.collector.getScopeStats(method))])),
+            headLag: {
+                samples,
+                failed,
+                average: samples ? Number((total / samples).toFixed(1)) : null,
+                max,
+                last,
+                behind,
+                lagging: behind > 0
+            }
+        };
+    }
+
+    // Rows are methods, with one "p50 / p99 / error rate" cell per endpoint
+    printComparison(targets) {
+        const cell = stats => stats
+            ? `${stats.latency.p50 ?? '-'}/${stats.latency.p99 ?? '-'}ms ${stats.errorRate}%`
+            : '-';
+        const methods = new Set(targets.flatMap(target => Object.keys(target.methods)));
+
+        console.table(Object.fromEntries([
+            ...Array.from(methods).sort().map(method => [
+                method,
+                Object.fromEntries(targets.map(target => [target.name, cell(target.methods[method])]))
+            ]),
+            ['overall', Object.fromEntries(targets.map(target => [target.name, cell(target)]))]
+        ]));
+        console.table(Object.fromEntries(targets.map(({ name, headLag }) => [name, {
+            'avg lag': headLag.average ?? '-',
+            'max lag': headLag.max,
+            'behind': headLag.behind,
+            'failed polls': headLag.failed
+        }])));
+
+        const { compared, mismatched, missing } = this.consistency;
+        console.log(`Consistency: ${mismatched} of ${compared} deterministic requests disagreed (${missing} results missing)`);
+    }
+
+    async generateReport() {
+        const targets = this.targets.map(target => this.summarizeTarget(target));
+        this.printComparison(targets);
+
+        const { byMethod, ...consistency } = this.consistency;
+        return super.generateReport({
+            comparison: {
+                maxLag: this.maxLag,
+                targets,
+                consistency: {
+                    ...consistency,
+                    byMethod: Object.fromEntries(byMethod)
+                }
+            },
+            requestStream: this.queueGenerator.describe(),
+            parameters: this.parameterProvider.describe()
+        });
+    }
+}
+
+export default MultiEndpointTester;
@@ -0,0 +1,99 @@
+import fs from 'fs/promises';
+import chalk from 'chalk';
+
+function percentiles(latency = {}) {
+    return {
+        p50: latency.p50 ?? null,
+        p95: latency.p95 ?? null,
+        p99: latency.p99 ?? null
+    };
+}
+
+// Normalizes a MetricCollector metrics file or a CoreTester report into per-endpoint rows
+export async function loadResults(file) {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+
+    if (data.mode) {
+        return {
+            file,
+            kind: 'report',
+            mode: data.mode,
+            duration: data.duration,
+            totalRequests: data.requests?.total || 0,
+            rows: (data.endpoints || []).map(entry => {
+                const requests = entry.successful + entry.failed;
+                return {
+                    endpoint: entry.endpoint,
+                    requests,
+                    errors: entry.failed,
+                    errorRate: requests > 0 ? (entry.failed / requests * 100).toFixed(2) : '0.00',
+                    averageLatency: entry.averageLatency,
+                    ...percentiles(entry.latency)
+                };
+            }),
+            data
+        };
+    }
+
+    return {
+        file,
+        kind: 'metrics',
+        mode: 'load',
+        duration: data.duration,
+        totalRequests: data.totalRequests || 0,
+        rows: (data.endpoints || []).map(entry => ({
+            endpoint: entry.endpoint,
+            requests: entry.requests,
+            errors: entry.errors,
+            errorRate: entry.errorRate,
+            averageLatency: entry.averageLatency,
+            ...percentiles(entry.latency)
+        })),
+        data
+    };
+}
+
+export async function analyzeResults(file) {
+    const results = await loadResults(file);
+    const errors = results.rows.reduce((sum, row) => sum + row.errors, 0);
+
+    console.log(chalk.bold(`\n${results.kind} from ${results.mode} run: ${file}`));
+    console.log(`Duration: ${Math.round((results.duration || 0) / 1000)}s`);
+    console.log(`Requests: ${results.totalRequests} (${errors} errors)`);
+    if (results.data.latency?.count) {
+        console.log('Latency:', results.data.latency);
+    }
+
+    const slowest = [...results.rows].sort((a, b) => (b.averageLatency || 0) - (a.averageLatency || 0));
+    console.table(Object.fromEntries(slowest.map(({ endpoint, ...row }) => [endpoint, row])));
+
+    if (results.data.coverage) {
+        console.log(chalk.bold('\nCoverage'), results.data.coverage.summary);
+    }
+    if (results.data.analysis?.anomalies) {
+        console.log(chalk.bold('\nAnomalies'), results.data.analysis.byType);
+    }
+    if (results.data.websocket) {
+        const { connections, failures, reconnects, events, heads, latency } = results.data.websocket;
+        console.log(chalk.bold('\nWebSocket'), { connections, failures, reconnects, events, heads });
+        console.table(Object.fromEntries(Object.entries(latency).map(([name, summary]) => [name, percentiles(summary)])));
+    }
+    if (results.data.batches) {
+        const { requests, items, averageSize, failed, rateLimited, unanswered, bySize } = results.data.batches;
+        console.log(chalk.bold('\nBatches'), { requests, items, averageSize, failed, rateLimited, unanswered });
+        console.table(Object.fromEntries(Object.entries(bySize).map(([size, stats]) => [size, {
+            requests: stats.requests,
+            failed: stats.failed,
+            rateLimited: stats.rateLimited,
+            unanswered: stats.unanswered,
+            ...percentiles(stats.latency)
+        }])));
+    }
+    if (results.data.schemaValidation?.invalid) {
+        console.log(chalk.bold('\nSchema violations'), results.data.schemaValidation.invalid);
+    }
+
+    return results;
+}
+
+export default analyzeResults;
@@ -0,0 +1,43 @@
+import chalk from 'chalk';
+import { loadResults } from './analyzer.js';
+
+function percentChange(before, after) {
+    if (!before) return null;
+    return ((after - before) / before * 100).toFixed(1);
+}
+
+// Side-by-side comparison of two saved metrics files or reports
+export async function compareResults(baselineFile, candidateFile) {
+    const [baseline, candidate] = await Promise.all([
+        loadResults(baselineFile),
+        loadResults(candidateFile)
+    ]);
+
+    const baselineRows = new Map(baseline.rows.map(row => [row.endpoint, row]));
+    const candidateRows = new Map(candidate.rows.map(row => [row.endpoint, row]));
+    const endpoints = new Set([...baselineRows.keys(), ...candidateRows.keys()]);
+
+    const comparison = Array.from(endpoints).map(endpoint => {
+        const a = baselineRows.get(endpoint) || {};
+        const b = candidateRows.get(endpoint) || {};
+        return {
+            endpoint,
+            requestsA: a.requests ?? null,
+            requestsB: b.requests ?? null,
+            latencyA: a.averageLatency ?? null,
+            latencyB: b.averageLatency ?? null,
+            latencyChange: percentChange(a.averageLatency, b.averageLatency),
+            p99A: a.p99 ?? null,
+            p99B: b.p99 ?? null,
+            errorRateA: a.errorRate ?? null,
+            errorRateB: b.errorRate ?? null
+        };
+    });
+
+    console.log(chalk.bold(`\nA: ${baselineFile}\nB: ${candidateFile}`));
+    console.table(Object.fromEntries(comparison.map(({ endpoint, ...row }) => [endpoint, row])));
+
+    return comparison;
+}
+
+export default compareResults;
@@ -0,0 +1,409 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import chalk from 'chalk';
+import { LatencyHistogram } from '../analyzers/histogram.js';
+import { methodRegistry } from '../methods/index.js';
+
+// Upper bounds of the log range size buckets, in blocks; larger ranges count in the last one
+export const LOG_RANGE_BUCKETS = [1, 10, 100, 1000, 10000];
+
+const MOVING_TAGS = new Set(['latest', 'pending', 'safe', 'finalized']);
+
+// Heights are at most 12 hex digits; longer 0x strings are addresses, hashes or data
+const HEX_HEIGHT = /^0x[0-9a-fA-F]{1,12}$/;
+
+// Leading positional params that look like heights but aren't
+const NON_BLOCK_PARAMS = { eth_feehistory: 1 };
+
+// Tendermint methods that read the latest block when no height is given
+const TENDERMINT_HEIGHT_METHODS = new Set(['block', 'block_results', 'commit', 'header', 'validators', 'abci_query']);
+
+const HTTP_METHOD = /^(GET|POST|PUT|DELETE|HEAD|OPTIONS|PATCH)$/;
+
+// nginx combined format: ... [time_local] "POST /path HTTP/1.1" status ...
+const NGINX_LINE = /\[([^\]]+)\] "([A-Z]+) (\S+)[^"]*" (\d{3})/;
+const NGINX_TIME = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}:\d{2}:\d{2}) ([+-]\d{4})$/;
+
+// Field names tried, in order, on JSON access log entries
+const BODY_FIELDS = ['request_body', 'requestBody', 'req_body', 'body'];
+const URI_FIELDS = ['request_uri', 'uri', 'path', 'url'];
+const METHOD_FIELDS = ['request_method', 'method', 'verb'];
+const TIME_FIELDS = ['time_iso8601', '@timestamp', 'timestamp', 'time', 'time_local'];
+
+const firstField = (entry, fields) => fields.map(field => entry[field]).find(value => value !== undefined && value !== null);
+
+// nginx's default escaping writes quotes in logged variables as \x22
+const decodeHexEscapes = text => text.replace(/\\x([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const share = (count, total) => Math.round(count / total * 10000) / 100;
+
+function parseTime(value) {
+    if (typeof value === 'number') {
+        // Epoch seconds or milliseconds
+        return value < 1e12 ? value * 1000 : value;
+    }
+    const text = String(value);
+    const nginx = text.match(NGINX_TIME);
+    const parsed = Date.parse(nginx ? `${nginx[1]} ${nginx[2]} ${nginx[3]} ${nginx[4]} ${nginx[5]}` : text);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+function parseJson(text) {
+    const trimmed = decodeHexEscapes(String(text)).trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return null;
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        return null;
+    }
+}
+
+// The logged request body: the first quoted field after the request line that holds JSON
+function extractBody(text) {
+    for (const [, field] of text.matchAll(/"((?:[^"\\]|\\.)*)"/g)) {
+        let value = field;
+        // escape=json logs backslash-escape the body's quotes
+        if (!value.includes('\\x') && value.includes('\\"')) {
+            try {
+                value = JSON.parse(`"${value}"`);
+            } catch {
+                continue;
+            }
+        }
+        const body = parseJson(value);
+        if (body) return body;
+    }
+    return null;
+}
+
+const isJsonRpcCall = entry => typeof entry?.method === 'string' && !HTTP_METHOD.test(entry.method)
+    && ('params' in entry || 'jsonrpc' in entry || 'id' in entry);
+
+// REST methods are matched by what their createPath() produces for placeholder
+// arguments; catalogue methods take variadic arguments and name them instead
+function pathMatcher(definition) {
+    const placeholder = '\u0000';
+    const arity = definition.placeholders?.length ?? definition.createPath.length;
+    const args = Array.from({ length: arity }, () => placeholder);
+    const pattern = definition.createPath(...args)
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .split(placeholder)
+        .join('[^/]+');
+    return new RegExp(`^${pattern}$`);
+}
+
+// Collapses ids in unrecognized REST paths so their counts aggregate
+const normalizePath = pathname => pathname.split('/')
+    .map(segment => (/^\d+$/.test(segment) ? '{n}'
+        : /^(0x)?[0-9a-fA-F]{16,}$|^sei(valoper|valcons)?1[0-9a-z]{20,}$/.test(segment) ? '{id}'
+        : segment))
+    .join('/');
+
+// Derives a traffic profile from real requests: method frequencies for the
+// load mix, the spread of block depths the requests address, and the sizes
+// of eth_getLogs-style block ranges. Depths are measured from the highest
+// height seen so far, so logs should be read in time order.
+export class TrafficImporter {
+    constructor({ recentBlocks = 1000, registry = methodRegistry } = {}) {
+        this.recentBlocks = recentBlocks;
+        this.registry = registry;
+        this.restMatchers = registry.list()
+            .filter(definition => definition.createPath)
+            .map(definition => ({ name: definition.name, pattern: pathMatcher(definition) }));
+
+        this.files = [];
+        this.lines = 0;
+        this.unparsed = 0;
+        this.unclassified = 0;
+        this.calls = 0;
+        this.counts = new Map();
+        this.unsupported = new Map();
+        this.head = null;
+        this.depthBuckets = { latest: 0, recent: 0, archive: 0 };
+        this.depths = new LatencyHistogram();
+        this.rangeBuckets = new Map(LOG_RANGE_BUCKETS.map(bound => [bound, 0]));
+        this.ranges = new LatencyHistogram();
+        this.firstTime = null;
+        this.lastTime = null;
+    }
+
+    async importFile(file) {
+        this.files.push(file);
+
+        // A pretty-printed JSON array of requests can't be read line by line
+        if (/\.json$/.test(file)) {
+            const text = await fsp.readFile(file, 'utf8');
+            if (text.trimStart().startsWith('[')) {
+                const entries = parseJson(text);
+                if (entries) {
+                    this.lines += entries.length;
+                    entries.forEach(entry => this.addEntry(entry));
+                    return;
+                }
+            }
+        }
+
+        let input = fs.createReadStream(file);
+        if (/\.gz$/.test(file)) {
+            input = input.pipe(zlib.createGunzip());
+        }
+        for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+            this.addLine(line);
+        }
+    }
+
+    addLine(line) {
+        const text = line.trim();
+        if (!text) return;
+        this.lines++;
+
+        const entry = text.startsWith('{') || text.startsWith('[') ? parseJson(text) : null;
+        if (entry) {
+            this.addEntry(entry);
+            return;
+        }
+
+        const match = text.match(NGINX_LINE);
+        if (!match) {
+            this.unparsed++;
+            return;
+        }
+        const [, time, httpMethod, uri] = match;
+        this.addHttp({
+            httpMethod,
+            uri,
+            time,
+            body: extractBody(text.slice(match.index + match[0].length))
+        });
+    }
+
+    // A JSON-RPC call or batch from a request dump, or one JSON access log entry
+    addEntry(entry) {
+        if (Array.isArray(entry) || isJsonRpcCall(entry)) {
+            this.addBody(entry);
+            return;
+        }
+        if (!entry || typeof entry !== 'object') {
+            this.unparsed++;
+            return;
+        }
+
+        // "$request" holds "POST /path HTTP/1.1" when method and uri aren't logged separately
+        const request = typeof entry.request === 'string' ? entry.request.split(' ') : [];
+        const body = firstField(entry, BODY_FIELDS);
+        this.addHttp({
+            httpMethod: String(firstField(entry, METHOD_FIELDS) || request[0] || '').toUpperCase(),
+            uri: firstField(entry, URI_FIELDS) || request[1] || '/',
+            time: firstField(entry, TIME_FIELDS),
+            body: typeof body === 'string' ? parseJson(body) : body
+        });
+    }
+
+    addHttp({ httpMethod, uri, time, body }) {
+        if (time !== undefined && time !== null) {
+            const at = parseTime(time);
+            if (at !== null) {
+                this.firstTime = this.firstTime === null ? at : Math.min(this.firstTime, at);
+                this.lastTime = this.lastTime === null ? at : Math.max(this.lastTime, at);
+            }
+        }
+
+        if (body) {
+            this.addBody(body);
+        } else if (httpMethod === 'GET') {
+            this.addPath(uri);
+        } else {
+            // e.g. a POST logged without its body
+            this.unclassified++;
+        }
+    }
+
+    addBody(body) {
+        for (const call of Array.isArray(body) ? body : [body]) {
+            if (!isJsonRpcCall(call)) {
+                this.unclassified++;
+                continue;
+            }
+            const name = call.method.toLowerCase();
+            this.count(name);
+            this.recordBlocks(name, call.params);
+        }
+    }
+
+    // Tendermint URI requests (/block?height=N) and Cosmos REST paths
+    addPath(uri) {
+        const url = new URL(uri, 'http://localhost');
+        const name = url.pathname.slice(1).toLowerCase();
+
+        if (this.registry.has(name) && this.registry.get(name).surface === 'tendermint') {
+            this.count(name);
+            this.recordBlocks(name, Object.fromEntries(url.searchParams));
+            return;
+        }
+
+        const rest = this.restMatchers.find(({ pattern }) => pattern.test(url.pathname));
+        this.count(rest ? rest.name : `GET ${normalizePath(url.pathname)}`);
+    }
+
+    count(name) {
+        this.calls++;
+        const counts = this.registry.has(name) ? this.counts : this.unsupported;
+        counts.set(name, (counts.get(name) || 0) + 1);
+    }
+
+    // Finds the block a call addresses: the first block tag among positional
+    // params, a filter's toBlock (whose range size is recorded too), or a
+    // Tendermint height
+    recordBlocks(name, params) {
+        if (Array.isArray(params)) {
+            for (const param of params.slice(NON_BLOCK_PARAMS[name] || 0)) {
+                if (param && typeof param === 'object' && ('fromBlock' in param || 'toBlock' in param || 'blockHash' in param)) {
+                    this.recordRange(param);
+                    return;
+                }
+                const height = this.toHeight(param);
+                if (height !== null) {
+                    this.recordHeight(height);
+                    return;
+                }
+            }
+        } else if (params && typeof params === 'object') {
+            const height = params.height !== undefined ? Number(params.height) : 0;
+            if (params.height !== undefined || TENDERMINT_HEIGHT_METHODS.has(name)) {
+                this.recordHeight(Number.isInteger(height) && height > 0 ? height : 'latest');
+            }
+        }
+    }
+
+    // A number, 'latest' for tags that follow the head, 'earliest', or null for non-block values
+    toHeight(value) {
+        if (typeof value !== 'string') return null;
+        if (MOVING_TAGS.has(value)) return 'latest';
+        if (value === 'earliest') return 'earliest';
+        return HEX_HEIGHT.test(value) ? parseInt(value, 16) : null;
+    }
+
+    recordHeight(height) {
+        if (typeof height === 'number' && height > (this.head ?? 0)) {
+            this.head = height;
+        }
+
+        const depth = height === 'latest' ? 0
+            : height === 'earliest' ? this.head ?? 0
+            : (this.head ?? height) - height;
+        this.depths.record(depth);
+
+        const bucket = height === 'latest' || depth === 0 ? 'latest'
+            : depth <= this.recentBlocks ? 'recent'
+            : 'archive';
+        this.depthBuckets[bucket]++;
+    }
+
+    recordRange(filter) {
+        // A blockHash filter covers exactly one block
+        if (filter.blockHash) {
+            this.recordSize(1);
+            return;
+        }
+
+        const to = this.toHeight(filter.toBlock ?? 'latest') ?? 'latest';
+        const from = this.toHeight(filter.fromBlock ?? 'latest') ?? 'latest';
+        this.recordHeight(to);
+
+        const resolve = height => (height === 'latest' ? this.head : height === 'earliest' ? 0 : height);
+        const size = resolve(to) !== null && resolve(from) !== null ? resolve(to) - resolve(from) + 1 : 1;
+        this.recordSize(Math.max(size, 1));
+    }
+
+    recordSize(size) {
+        this.ranges.record(size);
+        const bound = LOG_RANGE_BUCKETS.find(upper => size <= upper) ?? LOG_RANGE_BUCKETS[LOG_RANGE_BUCKETS.length - 1];
+        this.rangeBuckets.set(bound, this.rangeBuckets.get(bound) + 1);
+    }
+
+    // `methods` is a --mix weight set in percent; `parameters` feed --traffic-profile
+    buildProfile() {
+        const supported = Array.from(this.counts.values()).reduce((sum, count) => sum + count, 0);
+        const sorted = counts => Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+        const depthSamples = this.depths.count;
+        const rangeSamples = this.ranges.count;
+        const durationSeconds = this.firstTime !== null && this.lastTime > this.firstTime
+            ? (this.lastTime - this.firstTime) / 1000
+            : null;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            source: {
+                files: this.files,
+                lines: this.lines,
+                calls: this.calls,
+                unparsed: this.unparsed,
+                unclassified: this.unclassified,
+                from: this.firstTime !== null ? new Date(this.firstTime).toISOString() : null,
+                to: this.lastTime !== null ? new Date(this.lastTime).toISOString() : null,
+                averageRps: durationSeconds ? Math.round(this.calls / durationSeconds * 100) / 100 : null
+            },
+            methods: Object.fromEntries(sorted(this.counts)
+                .map(([name, count]) => [name, share(count, supported)])
+                .filter(([, weight]) => weight > 0)),
+            counts: Object.fromEntries(sorted(this.counts)),
+            unsupported: Object.fromEntries(sorted(this.unsupported)),
+            parameters: {
+                recentBlocks: this.recentBlocks,
+                blockDistribution: depthSamples > 0
+                    ? Object.fromEntries(Object.entries(this.depthBuckets).map(([bucket, count]) => [bucket, share(count, depthSamples)]))
+                    : null,
+                blockDepth: this.depths.summary([50, 90, 99]),
+                logRanges: rangeSamples > 0
+                    ? Object.fromEntries(Array.from(this.rangeBuckets.entries())
+                        .filter(([, count]) => count > 0)
+                        .map(([bound, count]) => [bound, share(count, rangeSamples)]))
+                    : null,
+                logRangeSize: this.ranges.summary([50, 90, 99])
+            }
+        };
+    }
+
+    // Saves under <outputDir>/mixes as <name>.json, or a timestamped file without a name
+    async save(profile, outputDir, name) {
+        const file = path.join(outputDir, 'mixes', `${name || `traffic-${Date.now()}`}.json`);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(file, JSON.stringify(profile, null, 2));
+        return file;
+    }
+}
+
+export function printProfile(profile) {
+    const { source, parameters } = profile;
+    console.log(chalk.bold(`\n${source.calls} calls from ${source.lines} lines in ${source.files.length} file(s)`));
+    if (source.unparsed > 0 || source.unclassified > 0) {
+        console.log(chalk.yellow(`${source.unparsed} lines not recognized, ${source.unclassified} requests without a JSON-RPC body`));
+    }
+    if (source.averageRps !== null) {
+        console.log(`${source.from} to ${source.to}, ${source.averageRps} calls/s on average`);
+    }
+
+    console.table(Object.entries(profile.counts).map(([method, count]) => ({
+        method,
+        count,
+        weight: profile.methods[method] ?? 0
+    })));
+
+    const unsupported = Object.entries(profile.unsupported);
+    if (unsupported.length > 0) {
+        console.log(chalk.yellow(`Not in the method registry, left out of the mix (${unsupported.length}):`));
+        console.table(unsupported.slice(0, 20).map(([method, count]) => ({ method, count })));
+    }
+
+    if (parameters.blockDistribution) {
+        console.log('Block depth:', parameters.blockDistribution, parameters.blockDepth);
+    }
+    if (parameters.logRanges) {
+        console.log('Log range size:', parameters.logRanges, parameters.logRangeSize);
+    }
+}
+
+export default TrafficImporter;
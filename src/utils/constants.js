@@ -4,13 +4,33 @@ export const CONSTANTS = {
   BACKOFF_MS: 1000,
   MAX_BATCH_SIZE: 100,
   RATE_LIMIT_WINDOW_MS: 60000,
+  PROFILE_TICK_MS: 1000,
+  SNAPSHOT_INTERVAL_MS: 10000,
+  MAX_SNAPSHOTS: 500,
+  MAX_IN_FLIGHT: 1000,
+  SCHEDULE_TOLERANCE_MS: 10,
+  MAX_STORED_RESPONSES: 100,
+  DEFAULT_SUBSCRIPTIONS: 10,
+  MAX_EXEMPLARS: 5,
+  TRACE_HEADER: 'X-Request-ID',
+  HEAD_POLL_INTERVAL_MS: 5000,
+  DEFAULT_MAX_HEAD_LAG: 3,
+  DEFAULT_CONTRACTS: 10,
+  CONTRACT_QUERY_TIMEOUT_MS: 10000,
   LOG_ROTATION_SIZE: 10485760, // 10MB
-  METHODS: {
-      EVM: ['eth_getblockreceipts', 'eth_gettransactionreceipt', 'eth_gettransactioncount'],
-      COSMOS: ['sei_getblockbynumber', 'block', 'tx_search', 'block_results']
+  // Config key holding each API surface's base URL; unset ones fall back to `endpoint`
+  SURFACE_ENDPOINTS: {
+      rest: 'restEndpoint',
+      tendermint: 'tendermintEndpoint',
+      evm: 'evmEndpoint'
   },
   STATUS_CODES: {
       RATE_LIMIT: 429,
       SUCCESS: 200
+  },
+  EXIT_CODES: {
+      ERROR: 1,
+      THRESHOLD_BREACHED: 2,
+      INTERRUPTED: 130
   }
 };
\ No newline at end of file
@@ -1,43 +1,54 @@
 // src/utils.js
-import fetch from 'node-fetch';
+import axios from 'axios';
 import { Buffer } from 'buffer';
 import fs from 'fs/promises';
 
+// Resolves for any HTTP status; only network errors and timeouts throw
 export async function makeRequest(url, options = {}) {
     const startTime = Date.now();
-    const response = await fetch(url, {
-        ...options,
+    const response = await axios({
+        url,
+        method: options.method || 'GET',
+        data: options.body,
+        timeout: options.timeout,
         headers: {
             'Content-Type': 'application/json',
             ...options.headers
-        }
+        },
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
     });
 
-    const responseData = await response.text();
     const duration = Date.now() - startTime;
 
     return {
         status: response.status,
-        headers: Object.fromEntries(response.headers),
-        data: parseResponse(responseData),
+        headers: { ...response.headers },
+        data: parseResponse(response.data),
         duration
     };
 }
 
-export async function sendContractQuery(restAddress, contractAddress, payload, skip400ErrorLog = false) {
+// Smart query against a contract. With skip400ErrorLog, an error listing the
+// contract's query methods resolves as { methods } instead.
+export async function sendContractQuery(restAddress, contractAddress, payload, skip400ErrorLog = false, options = {}) {
     const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
     const requestUrl = `${restAddress}/cosmwasm/wasm/v1/contract/${contractAddress}/smart/${encodedPayload}`;
 
     try {
-        const response = await makeRequest(requestUrl);
+        const response = await makeRequest(requestUrl, options);
 
-        if (response.status === 400 && skip400ErrorLog) {
+        // Nodes report contract errors as 400 or 500 depending on version
+        if (response.status >= 400 && skip400ErrorLog) {
             // Extract available methods from error message
-            const methodMatch = response.data?.message?.match(/expected one of `([^`]+)`/);
+            // serde lists variants as "expected one of `a`, `b`" or "expected `a` or `b`"
+            const methodMatch = response.data?.message?.match(/expected (?:one of )?(`\w+`(?:(?:, | or )`\w+`)*)/);
             if (methodMatch) {
                 return { 
-                    methods: methodMatch[1].split('`, `'),
-                    status: 400,
+                    methods: methodMatch[1].match(/`\w+`/g).map(name => name.slice(1, -1)),
+                    status: response.status,
+                    duration: response.duration,
                     isExpectedError: true
                 };
             }
@@ -45,21 +56,29 @@ export async function sendContractQuery(restAddress, contractAddress, payload, s
 
         return response;
     } catch (error) {
-        if (!(skip400ErrorLog && error.status === 400)) {
+        if (!skip400ErrorLog) {
             await log(`Error querying contract ${contractAddress}: ${error.message}`, 'ERROR');
         }
-        return { status: error.status || 500, error: error.message };
+        return {
+            status: null,
+            error: error.message,
+            timedOut: error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT'
+        };
     }
 }
 
-export async function fetchPaginatedData(url, params = {}, options = {}) {
+// Follows pagination.next_key, yielding the `key` list of each page. A page
+// is only requested once the caller asks for it, so breaking out of the loop
+// stops the paging.
+export async function* paginate(url, params = {}, options = {}) {
     const {
         limit = 100,
         retries = 3,
-        delay = 1000
+        delay = 1000,
+        key = 'results',
+        headers = {}
     } = options;
 
-    let allData = [];
     let nextKey = null;
 
     do {
@@ -70,19 +89,30 @@ export async function fetchPaginatedData(url, params = {}, options = {}) {
         });
 
         const response = await retryWithBackoff(() => 
-            makeRequest(`${url}?${queryParams}`),
+            makeRequest(`${url}?${queryParams}`, { headers }),
             retries,
             delay
         );
 
         if (!response || response.status !== 200) break;
 
-        allData = allData.concat(response.data.results || []);
+        yield response.data[key] || [];
         nextKey = response.data.pagination?.next_key;
 
     } while (nextKey);
+}
+
+// Concatenates every page, stopping early once maxItems have been collected
+export async function fetchPaginatedData(url, params = {}, options = {}) {
+    const { maxItems = Infinity } = options;
+
+    let allData = [];
+    for await (const page of paginate(url, params, options)) {
+        allData = allData.concat(page);
+        if (allData.length >= maxItems) break;
+    }
 
-    return allData;
+    return allData.slice(0, maxItems);
 }
 
 export async function retryWithBackoff(operation, retries = 3, baseDelay = 1000) {
@@ -97,7 +127,7 @@ export async function retryWithBackoff(operation, retries = 3, baseDelay = 1000)
     }
 }
 
-async function parseResponse(data) {
+function parseResponse(data) {
     try {
         return JSON.parse(data);
     } catch {
@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+
+export const ID_FORMATS = ['monotonic', 'uuid'];
+
+// Version 4 UUID built from a Math.random-compatible source, so a seeded
+// stream gets the same UUIDs on every run
+function randomUUID(random) {
+    const bytes = Array.from({ length: 16 }, () => Math.floor(random() * 256));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Returns a function yielding JSON-RPC ids: 1, 2, 3... or UUIDs. UUIDs come
+// from `random` when one is given, otherwise from the system CSPRNG.
+export function createIdGenerator(format = 'monotonic', random = null) {
+    if (!ID_FORMATS.includes(format)) {
+        throw new Error(`Unknown id format "${format}", expected one of: ${ID_FORMATS.join(', ')}`);
+    }
+
+    if (format === 'uuid') {
+        return random ? () => randomUUID(random) : () => crypto.randomUUID();
+    }
+
+    let next = 0;
+    return () => ++next;
+}
+
+// Process-wide ids for requests built outside a request stream
+export const nextId = createIdGenerator();
+
+// Sent with every HTTP request and attached to its logs, samples and anomalies
+export function createTraceId() {
+    return crypto.randomUUID();
+}
+
+export default createIdGenerator;
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import { InvalidArgumentError } from 'commander';
+import { buildThresholds } from '../analyzers/thresholds.js';
+import { BLOCK_BUCKETS } from '../discovery/parameterProvider.js';
+import { SUBSCRIPTION_TYPES } from '../modes/load/subscriptions.js';
+
+const DURATION_UNITS = {
+    ms: 1,
+    s: 1000,
+    m: 60000,
+    h: 3600000
+};
+
+// Parses "500ms", "30s", "5m", "2h" or a bare number of seconds into milliseconds
+export function parseDuration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+    if (!match) {
+        throw new InvalidArgumentError(`Invalid duration: ${value}`);
+    }
+    return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 's']);
+}
+
+export function parseInteger(value) {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed < 0) {
+        throw new InvalidArgumentError(`Invalid number: ${value}`);
+    }
+    return parsed;
+}
+
+// Accepts "name=weight,..." or a path to a JSON file of weights
+export function parseWeights(value, lowercase = true) {
+    const entries = value.endsWith('.json')
+        ? Object.entries(readWeights(value))
+        : value.split(',').map(pair => pair.split('='));
+
+    return Object.fromEntries(entries.map(([name, weight]) => {
+        const parsed = Number(weight);
+        if (!name || Number.isNaN(parsed) || parsed < 0) {
+            throw new InvalidArgumentError(`Invalid weight: ${name}=${weight}`);
+        }
+        return [lowercase ? name.trim().toLowerCase() : name.trim(), parsed];
+    }));
+}
+
+// Method weights, e.g. "eth_getLogs=20,eth_call=10"
+export function parseMix(value) {
+    return parseWeights(value);
+}
+
+// Block height sampling weights, e.g. "recent=80,archive=20"
+export function parseBlockDistribution(value) {
+    const weights = parseWeights(value);
+    const unknown = Object.keys(weights).filter(bucket => !BLOCK_BUCKETS.includes(bucket));
+    if (unknown.length > 0) {
+        throw new InvalidArgumentError(`Unknown block bucket: ${unknown.join(', ')} (expected ${BLOCK_BUCKETS.join(', ')})`);
+    }
+    return weights;
+}
+
+// A profile written by the `import` command: method weights plus the block
+// depth and log range distributions to replay
+export function parseTrafficProfile(file) {
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new InvalidArgumentError(`Cannot read traffic profile ${file}: ${error.message}`);
+    }
+    if (!profile.methods || Object.keys(profile.methods).length === 0) {
+        throw new InvalidArgumentError(`Traffic profile ${file} has no method weights`);
+    }
+    return profile;
+}
+
+function readWeights(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data.methods || data;
+}
+
+// Subscription type weights, e.g. "newHeads=6,logs=3"
+export function parseSubscriptionMix(value) {
+    const weights = parseWeights(value, false);
+    const unknown = Object.keys(weights).filter(type => !SUBSCRIPTION_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new InvalidArgumentError(`Unknown subscription type: ${unknown.join(', ')} (expected ${SUBSCRIPTION_TYPES.join(', ')})`);
+    }
+    return weights;
+}
+
+// "name,name=height,..." upgrades to probe; heights left out are looked up on chain
+export function parseUpgrades(value) {
+    return value.split(',').filter(Boolean).map(entry => {
+        const [name, height] = entry.split('=').map(part => part.trim());
+        if (height === undefined) return { name, height: null };
+
+        const parsed = parseInt(height, 10);
+        if (!name || Number.isNaN(parsed) || parsed <= 0) {
+            throw new InvalidArgumentError(`Invalid upgrade: ${entry} (expected name or name=height)`);
+        }
+        return { name, height: parsed };
+    });
+}
+
+// "url,name=url,..." endpoints to compare; unnamed ones are named after their host
+export function parseEndpoints(value) {
+    const names = new Set();
+    return value.split(',').filter(Boolean).map(entry => {
+        const split = entry.indexOf('=');
+        const named = split > 0 && !entry.slice(0, split).includes('://');
+        const url = (named ? entry.slice(split + 1) : entry).trim();
+
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch {
+            throw new InvalidArgumentError(`Invalid endpoint: ${entry} (expected url or name=url)`);
+        }
+
+        let name = named ? entry.slice(0, split).trim() : host;
+        for (let n = 2; names.has(name); n++) {
+            name = `${named ? entry.slice(0, split).trim() : host}#${n}`;
+        }
+        names.add(name);
+        return { name, url };
+    });
+}
+
+// Repeatable --threshold option; expressions are validated up front so typos fail before the run
+export function parseThreshold(value, previous = []) {
+    try {
+        return [...previous, ...buildThresholds([value])];
+    } catch (error) {
+        throw new InvalidArgumentError(error.message);
+    }
+}
+
+// THRESHOLDS: the same expressions as --threshold, comma-separated
+export function parseThresholds(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean)
+        .reduce((thresholds, entry) => parseThreshold(entry, thresholds), []);
+}
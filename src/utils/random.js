@@ -0,0 +1,36 @@
+// Seeded pseudo-random numbers so a run's request stream can be reproduced.
+// Not for cryptographic use.
+
+// Hashes any seed (number or string) to a 32-bit integer
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+// mulberry32: returns a Math.random-compatible function yielding [0, 1)
+export function createRandom(seed) {
+    if (seed === null || seed === undefined) return Math.random;
+
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Independent stream for one consumer of a seeded run, so its draws don't
+// shift the main stream; unseeded runs get Math.random
+export function deriveRandom(seed, label) {
+    return createRandom(seed === null || seed === undefined ? null : `${seed}:${label}`);
+}
+
+export default createRandom;
@@ -0,0 +1,65 @@
+import { describe, it, expect } from '@jest/globals';
+import { LatencyHistogram } from '../../src/analyzers/histogram.js';
+
+const filled = values => {
+    const histogram = new LatencyHistogram();
+    values.forEach(value => histogram.record(value));
+    return histogram;
+};
+
+describe('LatencyHistogram', () => {
+    it('stores values below the sub-bucket count exactly', () => {
+        const histogram = filled(Array.from({ length: 100 }, (_, i) => i + 1));
+        expect(histogram.percentile(50)).toBe(50);
+        expect(histogram.percentile(90)).toBe(90);
+        expect(histogram.percentile(100)).toBe(100);
+    });
+
+    it('keeps large values within the relative error bound', () => {
+        const values = Array.from({ length: 10000 }, (_, i) => (i + 1) * 7);
+        const histogram = filled(values);
+        for (const p of [50, 90, 99, 99.9]) {
+            const exact = values[Math.ceil(p / 100 * values.length) - 1];
+            expect(Math.abs(histogram.percentile(p) - exact) / exact).toBeLessThan(0.016);
+        }
+    });
+
+    it('bounds memory however many samples are recorded', () => {
+        const histogram = filled(Array.from({ length: 100000 }, (_, i) => i % 60000));
+        expect(histogram.count).toBe(100000);
+        expect(histogram.buckets.size).toBeLessThan(1000);
+    });
+
+    it('tracks count, min, max, mean and stddev exactly', () => {
+        const histogram = filled([2, 4, 4, 4, 5, 5, 7, 9]);
+        expect(histogram.summary()).toMatchObject({ count: 8, min: 2, max: 9, mean: 5, stddev: 2 });
+    });
+
+    it('clamps percentiles to the observed range', () => {
+        const histogram = filled([1000, 1001]);
+        expect(histogram.percentile(1)).toBeGreaterThanOrEqual(1000);
+        expect(histogram.percentile(100)).toBeLessThanOrEqual(1001);
+    });
+
+    it('merges the counts of another histogram', () => {
+        const merged = filled([1, 2, 3]).merge(filled([300, 400]));
+        expect(merged.summary()).toMatchObject({ count: 5, min: 1, max: 400 });
+        expect(merged.percentile(100)).toBeCloseTo(400, -1);
+    });
+
+    it('ignores values that are not finite', () => {
+        const histogram = filled([NaN, Infinity, 5]);
+        expect(histogram.count).toBe(1);
+    });
+
+    it('summarizes an empty histogram as a zero count', () => {
+        expect(new LatencyHistogram().summary()).toEqual({ count: 0 });
+        expect(new LatencyHistogram().percentile(99)).toBe(0);
+    });
+
+    it('names summary percentiles without the decimal point', () => {
+        expect(Object.keys(filled([1]).summary())).toEqual(
+            ['count', 'min', 'max', 'mean', 'stddev', 'p50', 'p90', 'p95', 'p99', 'p999']
+        );
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from '@jest/globals';
+import { MetricCollector, RateLimitCounter } from '../../src/analyzers/metricCollector.js';
+import { CONSTANTS } from '../../src/utils/constants.js';
+
+describe('RateLimitCounter', () => {
+    const start = Date.UTC(2026, 0, 1);
+
+    it('tracks the peak per second and per minute', () => {
+        const counter = new RateLimitCounter();
+        [0, 100, 200, 1500, 30000, 30100, 59000].forEach(offset => counter.record(start + offset));
+
+        expect(counter.total).toBe(7);
+        expect(counter.peak(1000)).toBe(3);
+        expect(counter.peak(60000)).toBe(7);
+    });
+
+    it('forgets hits older than the longest window', () => {
+        const counter = new RateLimitCounter();
+        for (let i = 0; i < 100; i++) {
+            counter.record(start + i * 10000);
+        }
+
+        expect(counter.seconds.length).toBeLessThanOrEqual(6);
+        expect(counter.countIn(60000, start + 99 * 10000)).toBe(6);
+        expect(counter.peak(60000)).toBe(6);
+    });
+
+    it('groups the timeline by minute', () => {
+        const counter = new RateLimitCounter();
+        [0, 1000, 61000].forEach(offset => counter.record(start + offset));
+        expect(counter.timeline()).toEqual({
+            '2026-01-01T00:00:00.000Z': 2,
+            '2026-01-01T00:01:00.000Z': 1
+        });
+    });
+
+    it('rejects windows it does not track', () => {
+        expect(() => new RateLimitCounter().peak(5000)).toThrow('only tracked');
+    });
+});
+
+describe('MetricCollector', () => {
+    it('reports rate limits per scope', () => {
+        const collector = new MetricCollector();
+        collector.recordRequest('eth_call', { duration: 10, success: false, rateLimited: true });
+        collector.recordRequest('eth_call', { duration: 10, success: false, rateLimited: true });
+        collector.recordRequest('eth_getlogs', { duration: 10, success: true });
+
+        expect(collector.getScopeStats().rateLimited).toBe(2);
+        expect(collector.getScopeStats('eth_call').peakRateLimited(60000)).toBe(2);
+        expect(collector.getScopeStats('eth_getlogs').rateLimited).toBe(0);
+        expect(collector.getRecentRateLimitHits()).toBe(2);
+    });
+
+    it('caps the snapshot history and spreads it over the run', () => {
+        const collector = new MetricCollector();
+        const start = Date.now();
+        for (let i = 0; i < CONSTANTS.MAX_SNAPSHOTS * 4; i++) {
+            collector.storeSnapshot({ timestamp: start + i * 1000 });
+        }
+
+        const { snapshots } = collector;
+        expect(snapshots.length).toBeLessThanOrEqual(CONSTANTS.MAX_SNAPSHOTS);
+        expect(snapshots[0].timestamp).toBe(start);
+        expect(snapshots[snapshots.length - 1].timestamp).toBeGreaterThan(start + (CONSTANTS.MAX_SNAPSHOTS * 4 - 10) * 1000);
+    });
+});
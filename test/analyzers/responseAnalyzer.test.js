@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import { ResponseAnalyzer } from '../../src/analyzers/responseAnalyzer.js';
+
+const response = (method, params, result, url = 'http://node') => ({
+    status: 200,
+    config: { url, data: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }) },
+    data: { jsonrpc: '2.0', id: 1, result }
+});
+
+describe('ResponseAnalyzer', () => {
+    it('flags empty results for methods that must return data', () => {
+        const analyzer = new ResponseAnalyzer();
+        const anomalies = analyzer.analyze(response('eth_getBalance', ['0x0', 'latest'], null));
+        expect(anomalies.map(anomaly => anomaly.type)).toEqual(['empty_result']);
+    });
+
+    it('accepts an empty trace for a block without transactions', () => {
+        const analyzer = new ResponseAnalyzer();
+        expect(analyzer.analyze(response('debug_traceBlockByNumber', ['0x10'], []))).toEqual([]);
+    });
+
+    it('flags a head that went backwards after the request was sent', () => {
+        const analyzer = new ResponseAnalyzer();
+        analyzer.analyze(response('eth_blockNumber', [], '0x64'), { sentAt: Date.now() - 10 });
+
+        const anomalies = analyzer.analyze(response('eth_blockNumber', [], '0x60'), { sentAt: Date.now() + 1 });
+        expect(anomalies).toEqual([expect.objectContaining({ type: 'height_regression', height: 96, previous: 100, behind: 4 })]);
+    });
+
+    it('does not flag an older request that completes after a newer one', () => {
+        const analyzer = new ResponseAnalyzer();
+        const sentAt = Date.now() - 50;
+        analyzer.analyze(response('eth_blockNumber', [], '0x64'), { sentAt: Date.now() });
+
+        expect(analyzer.analyze(response('eth_blockNumber', [], '0x60'), { sentAt })).toEqual([]);
+        expect(analyzer.generateReport().chainHead).toEqual({ 'http://node': 100 });
+    });
+
+    it('tracks heads per source', () => {
+        const analyzer = new ResponseAnalyzer();
+        analyzer.analyze(response('eth_blockNumber', [], '0x64', 'http://a'), { sentAt: Date.now() - 10 });
+
+        const anomalies = analyzer.analyze(response('eth_blockNumber', [], '0x60', 'http://b'), { sentAt: Date.now() + 1 });
+        expect(anomalies).toEqual([]);
+    });
+});
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, afterAll } from '@jest/globals';
+import { validateSchema, normalizeFieldPath } from '../../src/analyzers/schemaValidator.js';
+import { CoreTester } from '../../src/core/tester.js';
+
+const BLOCK = {
+    type: 'object',
+    required: ['number', 'transactions'],
+    properties: {
+        number: { type: 'string', pattern: '^0x[0-9a-f]+$' },
+        transactions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['hash'],
+                properties: {
+                    hash: { type: 'string', minLength: 66, maxLength: 66 },
+                    logs: { type: 'array', items: { type: 'object', required: ['topics'] } }
+                }
+            }
+        }
+    }
+};
+
+const HASH = '0x' + 'a'.repeat(64);
+
+describe('validateSchema', () => {
+    it('accepts a matching value', () => {
+        expect(validateSchema(BLOCK, { number: '0x10', transactions: [{ hash: HASH, logs: [{ topics: [] }] }] })).toEqual([]);
+        expect(validateSchema(null, 'anything')).toEqual([]);
+    });
+
+    it('reports type mismatches and stops descending', () => {
+        expect(validateSchema(BLOCK, [])).toEqual([{ path: '$', keyword: 'type', message: 'expected object, got array' }]);
+        expect(validateSchema(BLOCK, { number: 16, transactions: null })).toEqual([
+            { path: 'number', keyword: 'type', message: 'expected string, got integer' },
+            { path: 'transactions', keyword: 'type', message: 'expected array, got null' }
+        ]);
+    });
+
+    it('treats integers as numbers and accepts any of several types', () => {
+        expect(validateSchema({ type: 'number' }, 3)).toEqual([]);
+        expect(validateSchema({ type: 'integer' }, 3.5)[0].message).toBe('expected integer, got number');
+        expect(validateSchema({ type: ['string', 'null'] }, null)).toEqual([]);
+    });
+
+    it('reports missing required fields at their path', () => {
+        expect(validateSchema(BLOCK, { transactions: [{}] })).toEqual([
+            { path: 'number', keyword: 'required', message: 'missing' },
+            { path: 'transactions[0].hash', keyword: 'required', message: 'missing' }
+        ]);
+    });
+
+    it('reports violations inside nested arrays with their indices', () => {
+        const errors = validateSchema(BLOCK, {
+            number: '0x10',
+            transactions: [
+                { hash: HASH, logs: [{ topics: [] }, {}] },
+                { hash: '0x1', logs: [{}] }
+            ]
+        });
+
+        expect(errors.map(({ path, keyword }) => [path, keyword])).toEqual([
+            ['transactions[0].logs[1].topics', 'required'],
+            ['transactions[1].hash', 'minLength'],
+            ['transactions[1].logs[0].topics', 'required']
+        ]);
+    });
+
+    it('checks string, enum, array and object constraints', () => {
+        expect(validateSchema({ type: 'string', pattern: '^0x' }, 'abc')[0].keyword).toBe('pattern');
+        expect(validateSchema({ enum: ['a', 'b'] }, 'c')[0]).toEqual({ path: '$', keyword: 'enum', message: 'expected one of a, b' });
+        expect(validateSchema({ type: 'array', minItems: 1 }, [])[0].keyword).toBe('minItems');
+        expect(validateSchema({ type: 'object', properties: { a: {} }, additionalProperties: false }, { a: 1, b: 2 }))
+            .toEqual([{ path: 'b', keyword: 'additionalProperties', message: 'unexpected' }]);
+        expect(validateSchema({ anyOf: [{ type: 'string' }, { type: 'null' }] }, 1)[0].keyword).toBe('anyOf');
+    });
+});
+
+describe('normalizeFieldPath', () => {
+    it('collapses array indices at every depth', () => {
+        expect(normalizeFieldPath('transactions[12].logs[3].topics')).toBe('transactions[].logs[].topics');
+        expect(normalizeFieldPath('$')).toBe('$');
+    });
+
+    describe('per-field violation counts', () => {
+        const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-'));
+        const tester = new CoreTester({ logLevel: 'error', outputDir });
+        tester.logger.silent = true;
+
+        afterAll(() => {
+            tester.logger.close();
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        });
+
+        it('groups violations of different items under one field', () => {
+            const block = transactions => ({ data: { number: '0x10', transactions } });
+            tester.validateResponse('eth_getblockbynumber', BLOCK, block([{}, {}, { hash: '0x1' }]));
+            tester.validateResponse('eth_getblockbynumber', BLOCK, block([{ hash: HASH, logs: [{}, {}] }]));
+            tester.validateResponse('eth_getblockbynumber', BLOCK, block([]));
+
+            expect(tester.summarizeSchemaValidation()).toEqual({
+                validated: 3,
+                invalid: 2,
+                requests: {
+                    eth_getblockbynumber: {
+                        validated: 3,
+                        invalid: 2,
+                        violations: {
+                            'transactions[].hash': { required: 2, minLength: 1 },
+                            'transactions[].logs[].topics': { required: 2 }
+                        }
+                    }
+                }
+            });
+        });
+
+        it('skips JSON-RPC error bodies', () => {
+            const validation = tester.validateResponse('eth_call', BLOCK, { data: { error: { code: -32000, message: 'reverted' } } });
+            expect(validation).toMatchObject({ valid: false, skipped: true, errors: [], rpcError: 'reverted' });
+            expect(tester.metrics.schema.has('eth_call')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseThreshold, buildThresholds, evaluateThresholds } from '../../src/analyzers/thresholds.js';
+import { MetricCollector } from '../../src/analyzers/metricCollector.js';
+
+describe('parseThreshold', () => {
+    it('parses a method-scoped latency percentile', () => {
+        expect(parseThreshold('eth_getLogs:p95 < 800ms')).toEqual({
+            expression: 'eth_getLogs:p95 < 800ms',
+            scope: 'eth_getlogs',
+            metric: { kind: 'latency', stat: 'percentile', percentile: 95 },
+            operator: '<',
+            limit: 800
+        });
+    });
+
+    it('reads p999 as the 99.9th percentile', () => {
+        expect(parseThreshold('p999 <= 2s')).toMatchObject({
+            scope: null,
+            metric: { percentile: 99.9 },
+            operator: '<=',
+            limit: 2000
+        });
+        expect(parseThreshold('p99.9 < 1s').metric.percentile).toBe(99.9);
+    });
+
+    it('parses error rates with or without a percent sign', () => {
+        expect(parseThreshold('error_rate < 1%')).toMatchObject({ metric: { kind: 'error_rate' }, limit: 1 });
+        expect(parseThreshold('errors < 0.5').limit).toBe(0.5);
+    });
+
+    it('parses rate-limit counts over a window', () => {
+        expect(parseThreshold('429s < 5/min')).toMatchObject({ metric: { kind: 'rate_limited' }, limit: 5, windowMs: 60000 });
+        expect(parseThreshold('rate_limited < 2/s').windowMs).toBe(1000);
+        expect(parseThreshold('429 < 10').windowMs).toBeNull();
+    });
+
+    it('maps latency aliases onto the mean', () => {
+        expect(parseThreshold('avg < 100ms').metric).toEqual({ kind: 'latency', stat: 'mean' });
+        expect(parseThreshold('max < 5s').metric).toEqual({ kind: 'latency', stat: 'max' });
+    });
+
+    it('rejects malformed expressions', () => {
+        expect(() => parseThreshold('p95 800ms')).toThrow('Invalid threshold');
+        expect(() => parseThreshold('throughput > 5')).toThrow('Unknown threshold metric');
+        expect(() => parseThreshold('429s < 5/hour')).toThrow('Invalid rate limit count');
+        expect(() => parseThreshold('error_rate < lots')).toThrow('Invalid error rate');
+        expect(() => parseThreshold('p0 < 1s')).toThrow('Unknown threshold metric');
+    });
+});
+
+describe('buildThresholds', () => {
+    it('reads expressions from a JSON file', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'thresholds-')), 'slo.json');
+        fs.writeFileSync(file, JSON.stringify({ thresholds: ['p99 < 1s', 'error_rate < 1%'] }));
+
+        const thresholds = buildThresholds([file, 'requests > 10']);
+        expect(thresholds.map(threshold => threshold.expression)).toEqual(['p99 < 1s', 'error_rate < 1%', 'requests > 10']);
+        fs.rmSync(path.dirname(file), { recursive: true });
+    });
+});
+
+describe('evaluateThresholds', () => {
+    const collector = new MetricCollector();
+    for (let i = 1; i <= 100; i++) {
+        collector.recordRequest('eth_call', { duration: i, success: i > 2, rateLimited: i <= 2 });
+    }
+
+    it('passes and fails each threshold against the recorded metrics', () => {
+        const verdict = evaluateThresholds(buildThresholds([
+            'p90 < 95ms',
+            'eth_call:max < 50ms',
+            'error_rate <= 2%',
+            '429s < 2/min',
+            'requests >= 100'
+        ]), collector);
+
+        expect(verdict.results.map(({ actual, passed }) => [actual, passed])).toEqual([
+            [90, true],
+            [100, false],
+            [2, true],
+            [2, false],
+            [100, true]
+        ]);
+        expect(verdict).toMatchObject({ passed: false, breached: 2 });
+    });
+
+    it('fails thresholds on methods that received no requests', () => {
+        const verdict = evaluateThresholds(buildThresholds(['eth_getlogs:p99 < 1s']), collector);
+        expect(verdict.results[0]).toEqual({
+            threshold: 'eth_getlogs:p99 < 1s',
+            actual: null,
+            passed: false,
+            reason: 'no requests recorded'
+        });
+    });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+
+// The config is read from the environment when the module is first imported
+describe('config', () => {
+    let config;
+    const saved = process.env.THRESHOLDS;
+
+    beforeAll(async () => {
+        process.env.THRESHOLDS = 'eth_getLogs:p95 < 800ms, error_rate < 1%,,';
+        ({ config } = await import('../../src/config/index.js'));
+    });
+
+    afterAll(() => {
+        if (saved === undefined) delete process.env.THRESHOLDS;
+        else process.env.THRESHOLDS = saved;
+    });
+
+    it('parses THRESHOLDS like repeated --threshold options', () => {
+        expect(config.thresholds.map(threshold => [threshold.expression, threshold.scope, threshold.limit])).toEqual([
+            ['eth_getLogs:p95 < 800ms', 'eth_getlogs', 800],
+            ['error_rate < 1%', null, 1]
+        ]);
+    });
+});
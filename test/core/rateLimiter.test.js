@@ -0,0 +1,59 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import { TokenBucket } from '../../src/core/rateLimiter.js';
+
+describe('TokenBucket', () => {
+    let bucket;
+
+    afterEach(() => bucket?.close());
+
+    it('starts with one token unless a burst is given', () => {
+        bucket = new TokenBucket({ rate: 30 });
+        expect(bucket.tokens).toBe(1);
+        expect(bucket.capacity).toBe(30);
+
+        bucket = new TokenBucket({ rate: 30, burst: 5 });
+        expect(bucket.tokens).toBe(5);
+    });
+
+    it('holds the target rate from the first second', async () => {
+        bucket = new TokenBucket({ rate: 50 });
+        let acquired = 0;
+        for (let i = 0; i < 100; i++) {
+            bucket.acquire().then(() => acquired++);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+        // One initial token plus ~25 refilled over half a second
+        expect(acquired).toBeGreaterThanOrEqual(20);
+        expect(acquired).toBeLessThanOrEqual(30);
+    });
+
+    it('serves waiters in order', async () => {
+        bucket = new TokenBucket({ rate: 200 });
+        const order = [];
+        await Promise.all([1, 2, 3, 4].map(n => bucket.acquire().then(() => order.push(n))));
+        expect(order).toEqual([1, 2, 3, 4]);
+    });
+
+    it('does not limit a rate of 0', async () => {
+        bucket = new TokenBucket({ rate: 0 });
+        expect(bucket.unlimited).toBe(true);
+        await expect(bucket.acquire()).resolves.toBe(0);
+        expect(bucket.getStats()).toMatchObject({ rate: null, acquired: 1, delayed: 0 });
+    });
+
+    it('applies a new rate to pending waiters', async () => {
+        bucket = new TokenBucket({ rate: 1 });
+        await bucket.acquire();
+        const pending = bucket.acquire();
+        bucket.setRate(0);
+        await expect(pending).resolves.toBeLessThan(100);
+    });
+
+    it('releases every waiter on close', async () => {
+        bucket = new TokenBucket({ rate: 1 });
+        const waits = [bucket.acquire(), bucket.acquire(), bucket.acquire()];
+        bucket.close();
+        await expect(Promise.all(waits)).resolves.toHaveLength(3);
+    });
+});
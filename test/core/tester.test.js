@@ -0,0 +1,98 @@
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { CoreTester } from '../../src/core/tester.js';
+
+const rpcRequest = (method, id) => ({
+    type: method.toLowerCase(),
+    method: 'POST',
+    surface: 'evm',
+    params: { jsonrpc: '2.0', id, method, params: [] }
+});
+
+describe('CoreTester.sendBatch', () => {
+    // Answers each batch according to `reply`, which gets the parsed request body
+    let server;
+    let reply;
+    let received;
+    let tester;
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tester-'));
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received = JSON.parse(body);
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(reply(received)));
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            tester = new CoreTester({
+                evmEndpoint: `http://127.0.0.1:${server.address().port}`,
+                logLevel: 'error',
+                responseLogging: false,
+                outputDir
+            });
+            tester.logger.silent = true;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        tester.logger.close();
+        fs.rmSync(outputDir, { recursive: true, force: true });
+        server.close(done);
+    });
+
+    const answerAll = calls => calls.map(call => ({ jsonrpc: '2.0', id: call.id, result: call.method }));
+
+    it('matches answers to requests by id, whatever their order', async () => {
+        reply = calls => answerAll(calls).reverse();
+        const { response, items } = await tester.sendBatch([rpcRequest('eth_blockNumber', 1), rpcRequest('eth_chainId', 2)]);
+
+        expect(response.traceId).toEqual(expect.any(String));
+        expect(items.map(item => item.response.data.result)).toEqual(['eth_blockNumber', 'eth_chainId']);
+        expect(items.every(item => !item.error)).toBe(true);
+    });
+
+    it('renumbers repeated ids so every request gets its own answer', async () => {
+        reply = answerAll;
+        const request = rpcRequest('eth_blockNumber', 7);
+        const { items } = await tester.sendBatch([request, request, rpcRequest('eth_chainId', 7)]);
+
+        expect(received.map(call => call.id)).toEqual([7, '7-1', '7-2']);
+        expect(items.map(item => item.response.data.result)).toEqual(['eth_blockNumber', 'eth_blockNumber', 'eth_chainId']);
+        // Each item's response carries its own request body
+        expect(items[2].response.config.data).toMatchObject({ id: '7-2', method: 'eth_chainId' });
+    });
+
+    it('marks requests left unanswered in the batch', async () => {
+        reply = calls => answerAll(calls).slice(1);
+        const { items } = await tester.sendBatch([rpcRequest('eth_blockNumber', 1), rpcRequest('eth_chainId', 2)]);
+
+        expect(items[0].error.message).toBe('No response for this id in the batch');
+        expect(items[0].response).toBeUndefined();
+        expect(items[1].response.data.result).toBe('eth_chainId');
+    });
+
+    it('fails every item when the whole batch is rejected', async () => {
+        reply = () => ({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'batch too large' } });
+        const { response, items } = await tester.sendBatch([rpcRequest('eth_blockNumber', 1), rpcRequest('eth_chainId', 2)]);
+
+        expect(Array.isArray(response.data)).toBe(false);
+        expect(items.map(item => item.error.message)).toEqual(['batch too large', 'batch too large']);
+    });
+
+    it('names a non-array answer without an error object', async () => {
+        reply = () => ({ ok: true });
+        const { items } = await tester.sendBatch([rpcRequest('eth_blockNumber', 1), rpcRequest('eth_chainId', 2)]);
+
+        expect(items[0].error.message).toBe('Batch response is not an array');
+    });
+});
@@ -0,0 +1,40 @@
+import net from 'net';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { WsRpcClient } from '../../src/core/wsClient.js';
+
+describe('WsRpcClient', () => {
+    // Accepts TCP connections but never answers the WebSocket upgrade
+    let server;
+    const sockets = new Set();
+
+    beforeAll(done => {
+        server = net.createServer(socket => {
+            sockets.add(socket);
+            socket.on('close', () => sockets.delete(socket));
+        });
+        server.listen(0, '127.0.0.1', done);
+    });
+
+    afterAll(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+    });
+
+    it('aborts a connect that is still in its handshake when closed', async () => {
+        const client = new WsRpcClient({ url: `ws://127.0.0.1:${server.address().port}`, timeout: 10000 });
+        const closed = new Promise(resolve => client.once('close', resolve));
+
+        const connecting = client.connect();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        client.close();
+
+        await expect(connecting).rejects.toThrow('closed before the connection was established');
+        await closed;
+        expect(client.connecting).toBeNull();
+        expect(client.socket).toBeNull();
+    });
+
+    it('rejects calls before connecting', async () => {
+        await expect(new WsRpcClient().call('eth_chainId')).rejects.toThrow('not connected');
+    });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from '@jest/globals';
+import { decodeBech32, BECH32_PATTERN } from '../../src/discovery/bech32.js';
+
+// Bytes 0x00..0x13 encoded with the sei prefix
+const ADDRESS = 'sei1qqqsyqcyq5rqwzqfpg9scrgwpugpzysnw6qvhc';
+
+describe('decodeBech32', () => {
+    it('returns the prefix and data bytes of a valid address', () => {
+        const decoded = decodeBech32(ADDRESS);
+        expect(decoded.prefix).toBe('sei');
+        expect(Array.from(decoded.data)).toEqual(Array.from({ length: 20 }, (_, i) => i));
+    });
+
+    it('accepts the BIP-173 test vectors', () => {
+        expect(decodeBech32('a12uel5l')).toEqual({ prefix: 'a', data: new Uint8Array() });
+        expect(decodeBech32('abcdef1qpzry9x8gf2tvdw0s3jn54khce6mua7lmqqqxw')?.prefix).toBe('abcdef');
+    });
+
+    it('rejects a bad checksum', () => {
+        expect(decodeBech32(ADDRESS.slice(0, -1) + 'q')).toBeNull();
+    });
+
+    it('rejects mixed case, unknown characters and missing separators', () => {
+        expect(decodeBech32(ADDRESS.toUpperCase().replace('SEI', 'sei'))).toBeNull();
+        expect(decodeBech32('sei1qqqsyqcyq5rqwzqfpg9scrgwpugpzysnw6qvhb')).toBeNull();
+        expect(decodeBech32('qqqsyqcyq5rqwzqfpg9scrgwpugpzysnw6qvhc')).toBeNull();
+        expect(decodeBech32(null)).toBeNull();
+    });
+
+    it('finds candidate addresses in text', () => {
+        const text = JSON.stringify({ transfer: { recipient: ADDRESS, amount: '1' } });
+        expect(text.match(BECH32_PATTERN)).toEqual([ADDRESS]);
+    });
+});
@@ -0,0 +1,54 @@
+import http from 'http';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { ChainDiscovery } from '../../src/discovery/chainDiscovery.js';
+import { CONSTANTS } from '../../src/utils/constants.js';
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('ChainDiscovery requests', () => {
+    // Records request headers; REST paths get a 404, JSON-RPC calls an error body
+    let server;
+    let discovery;
+    const headers = [];
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            headers.push(req.headers);
+            res.setHeader('Content-Type', 'application/json');
+            if (req.method === 'POST') {
+                res.end(JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: -32601, message: 'method not found' } }));
+                return;
+            }
+            res.statusCode = 404;
+            res.end(JSON.stringify({ code: 5, message: 'not found' }));
+        });
+        server.listen(0, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            discovery = new ChainDiscovery({ endpoint: url, evmEndpoint: url, authToken: 'secret', logger });
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    it('sends a trace id header and keeps it on the error', async () => {
+        const error = await discovery.makeRequest({ endpoint: '/cosmos/nothing' }).catch(caught => caught);
+
+        const sent = headers.at(-1);
+        expect(sent[CONSTANTS.TRACE_HEADER.toLowerCase()]).toBe(error.traceId);
+        expect(sent.authorization).toBe('Bearer secret');
+        expect(error.response.status).toBe(404);
+    });
+
+    it('gives each request its own trace id, kept on RPC errors', async () => {
+        const error = await discovery.rpc('eth_nope').catch(caught => caught);
+        await discovery.rpc('eth_nope').catch(() => {});
+
+        const [first, second] = headers.slice(-2).map(sent => sent[CONSTANTS.TRACE_HEADER.toLowerCase()]);
+        expect(error.message).toBe('eth_nope: method not found');
+        expect(error.traceId).toBe(first);
+        expect(second).not.toBe(first);
+    });
+});
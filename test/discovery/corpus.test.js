@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { ChainCorpus, CORPUS_FORMAT } from '../../src/discovery/corpus.js';
+
+describe('ChainCorpus', () => {
+    let dir;
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'corpus-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const saveVersions = async (name, count, into = dir) => {
+        for (let i = 0; i < count; i++) {
+            await new ChainCorpus({ heights: [i + 1] }).saveVersion(into, name);
+        }
+    };
+
+    describe('saveVersion', () => {
+        it('numbers each save of a name from 1', async () => {
+            const corpus = new ChainCorpus();
+            expect(await corpus.saveVersion(dir, 'pacific')).toBe(path.join(dir, 'pacific.v1.json'));
+            expect(await corpus.saveVersion(dir, 'pacific')).toBe(path.join(dir, 'pacific.v2.json'));
+            expect(corpus.version).toBe(2);
+            expect(corpus.name).toBe('pacific');
+        });
+    });
+
+    describe('listVersions', () => {
+        it('sorts versions numerically and ignores other names', async () => {
+            await Promise.all(['a.v1.json', 'a.v10.json', 'a.v2.json', 'ab.v3.json', 'a.json', 'discovery-1.json']
+                .map(file => fs.writeFile(path.join(dir, file), '{}')));
+            expect(await ChainCorpus.listVersions(dir, 'a')).toEqual([1, 2, 10]);
+        });
+
+        it('treats a missing directory as empty', async () => {
+            expect(await ChainCorpus.listVersions(path.join(dir, 'missing'), 'a')).toEqual([]);
+        });
+    });
+
+    describe('resolve', () => {
+        it('resolves a bare name to its latest version', async () => {
+            await saveVersions('pacific', 3);
+            expect(await ChainCorpus.resolve('pacific', dir)).toBe(path.join(dir, 'pacific.v3.json'));
+        });
+
+        it('resolves name@version to that version', async () => {
+            await saveVersions('pacific', 3);
+            expect(await ChainCorpus.resolve('pacific@2', dir)).toBe(path.join(dir, 'pacific.v2.json'));
+        });
+
+        it('returns .json paths unchanged', async () => {
+            expect(await ChainCorpus.resolve('/data/corpus.json', dir)).toBe('/data/corpus.json');
+        });
+
+        it('lists the available versions when one is missing', async () => {
+            await saveVersions('pacific', 2);
+            await expect(ChainCorpus.resolve('pacific@5', dir)).rejects.toThrow('available versions: 1, 2');
+            await expect(ChainCorpus.resolve('pacific@latest', dir)).rejects.toThrow('not found');
+            await expect(ChainCorpus.resolve('atlantic', dir)).rejects.toThrow('available versions: none');
+        });
+    });
+
+    describe('open', () => {
+        it('loads the resolved version from <outputDir>/discovery', async () => {
+            await saveVersions('pacific', 2, path.join(dir, 'discovery'));
+
+            const corpus = await ChainCorpus.open('pacific@1', dir);
+            expect(corpus.version).toBe(1);
+            expect(corpus.get('heights')).toEqual([1]);
+            expect(corpus.file).toBe(path.join(dir, 'discovery', 'pacific.v1.json'));
+        });
+
+        it('rejects corpora written by a newer format', async () => {
+            const file = path.join(dir, 'future.json');
+            await fs.writeFile(file, JSON.stringify({ format: CORPUS_FORMAT + 1 }));
+            await expect(ChainCorpus.load(file)).rejects.toThrow('newer than supported');
+        });
+    });
+
+    it('ignores empty values and unknown keys when merging', () => {
+        const corpus = new ChainCorpus().merge({ heights: [1, null, undefined, 1], denoms: [''], other: ['x'] });
+        expect(corpus.counts()).toMatchObject({ heights: 1, denoms: 0 });
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from '@jest/globals';
+import { extractFromEvmBlock, extractFromTransferLogs, TRANSFER_TOPIC } from '../../src/discovery/evmTx.js';
+
+const address = digit => '0x' + digit.repeat(40);
+const topic = digit => '0x' + '0'.repeat(24) + digit.repeat(40);
+
+describe('extractFromEvmBlock', () => {
+    it('splits call targets into contracts and plain transfers into accounts', () => {
+        const found = extractFromEvmBlock({
+            transactions: [
+                { hash: '0xa', from: address('1'), to: address('2'), input: '0x' },
+                { hash: '0xb', from: address('1'), to: address('3'), input: '0x23b872dd' + '0'.repeat(192) },
+                { hash: '0xc', from: address('1'), to: null, input: '0x6080' }
+            ]
+        });
+
+        expect(found.evmTxHashes).toEqual(['0xa', '0xb', '0xc']);
+        expect(found.evmAccounts).toEqual([address('1'), address('2'), address('1'), address('1')]);
+        expect(found.evmContracts).toEqual([address('3')]);
+    });
+
+    it('does not treat a transferFrom call as an ERC20, since ERC721 shares the selector', () => {
+        const found = extractFromEvmBlock({
+            transactions: [{ hash: '0xb', from: address('1'), to: address('3'), input: '0x23b872dd' + '0'.repeat(192) }]
+        });
+        expect(found.erc20).toEqual([]);
+    });
+
+    it('records hashes from blocks fetched without full transactions', () => {
+        expect(extractFromEvmBlock({ transactions: ['0xa', '0xb'] }).evmTxHashes).toEqual(['0xa', '0xb']);
+    });
+});
+
+describe('extractFromTransferLogs', () => {
+    it('keeps three-topic Transfer logs as ERC20 tokens with their holders', () => {
+        const found = extractFromTransferLogs([
+            { address: address('A'), topics: [TRANSFER_TOPIC, topic('1'), topic('2')] }
+        ]);
+
+        expect(found.erc20).toEqual([address('a')]);
+        expect(found.evmContracts).toEqual([address('a')]);
+        expect(found.evmAccounts).toEqual([address('1'), address('2')]);
+    });
+
+    it('skips ERC721 transfers, which index the token id as a fourth topic', () => {
+        const found = extractFromTransferLogs([
+            { address: address('b'), topics: [TRANSFER_TOPIC, topic('1'), topic('2'), topic('3')] },
+            { address: address('c'), topics: ['0x' + 'f'.repeat(64), topic('1'), topic('2')] }
+        ]);
+        expect(found.erc20).toEqual([]);
+        expect(found.evmAccounts).toEqual([]);
+    });
+});
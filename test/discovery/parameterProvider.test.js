@@ -0,0 +1,65 @@
+import { describe, it, expect } from '@jest/globals';
+import { ParameterProvider } from '../../src/discovery/parameterProvider.js';
+import { toHex } from '../../src/methods/shared.js';
+
+const HEAD = 1000;
+
+// Blocks at or below `txHeight` carry one transaction; newer ones are empty
+function fakeChain(txHeight) {
+    const calls = [];
+    const block = height => ({
+        number: toHex(height),
+        hash: `0xblock${height}`,
+        transactions: height <= txHeight
+            ? [{ hash: `0xtx${height}`, from: '0x' + '1'.repeat(40), to: '0x' + '2'.repeat(40), input: '0x' }]
+            : []
+    });
+
+    return {
+        calls,
+        rpc: async (method, params) => {
+            calls.push([method, params[0]]);
+            const tag = params[0];
+            return block(tag === 'latest' ? HEAD : parseInt(tag, 16));
+        }
+    };
+}
+
+const provider = (chain, config = {}) => {
+    const instance = new ParameterProvider({ sampleBlocks: 3, blockDistribution: { latest: 1 }, ...config });
+    instance.discovery = chain;
+    return instance;
+};
+
+describe('ParameterProvider', () => {
+    it('collects the head block, so block hashes are never empty', async () => {
+        const instance = provider(fakeChain(HEAD));
+        await instance.start();
+        instance.stop();
+
+        expect(instance.latestHeight).toBe(HEAD);
+        expect(instance.blockHash()).toBe(`0xblock${HEAD}`);
+        expect(instance.txHash()).toBe(`0xtx${HEAD}`);
+    });
+
+    it('walks back from the head until it finds a transaction', async () => {
+        const chain = fakeChain(HEAD - 5);
+        const instance = provider(chain);
+        await instance.start();
+        instance.stop();
+
+        expect(instance.txHash()).toBe(`0xtx${HEAD - 5}`);
+        expect(instance.address()).toBeDefined();
+        expect(chain.calls.filter(([, tag]) => tag === toHex(HEAD - 6))).toHaveLength(0);
+    });
+
+    it('gives up after txSearchBlocks blocks and leaves the pool empty', async () => {
+        const chain = fakeChain(0);
+        const instance = provider(chain, { txSearchBlocks: 10 });
+        await instance.start();
+        instance.stop();
+
+        expect(instance.txHash()).toBeUndefined();
+        expect(chain.calls.filter(([, tag]) => tag !== 'latest' && parseInt(tag, 16) < HEAD - 10)).toHaveLength(0);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from '@jest/globals';
+import {
+    decodeMessage, tryDecodeMessage, asPrintableString, getField, getFields, getString, WIRE_TYPES
+} from '../../src/discovery/protobuf.js';
+
+const bytes = (...values) => Uint8Array.from(values);
+const text = value => Array.from(new TextEncoder().encode(value));
+
+describe('decodeMessage', () => {
+    it('reads varint, length-delimited and fixed fields', () => {
+        const fields = decodeMessage(bytes(
+            0x08, 0x96, 0x01,                    // field 1 varint 150
+            0x12, 0x03, ...text('abc'),          // field 2 string
+            0x1d, 0x01, 0x02, 0x03, 0x04,        // field 3 fixed32
+            0x21, 0, 0, 0, 0, 0, 0, 0, 1         // field 4 fixed64
+        ));
+
+        expect(fields.map(({ field, wireType }) => [field, wireType])).toEqual([
+            [1, WIRE_TYPES.VARINT],
+            [2, WIRE_TYPES.LENGTH_DELIMITED],
+            [3, WIRE_TYPES.FIXED32],
+            [4, WIRE_TYPES.FIXED64]
+        ]);
+        expect(getField(fields, 1)).toBe(150n);
+        expect(getString(fields, 2)).toBe('abc');
+        expect(Array.from(getField(fields, 3))).toEqual([1, 2, 3, 4]);
+        expect(getField(fields, 4)).toHaveLength(8);
+    });
+
+    it('keeps repeated fields in order', () => {
+        const fields = decodeMessage(bytes(0x0a, 0x01, ...text('a'), 0x0a, 0x01, ...text('b')));
+        expect(getFields(fields, 1).map(value => new TextDecoder().decode(value))).toEqual(['a', 'b']);
+    });
+
+    it('throws on truncated or malformed input', () => {
+        expect(() => decodeMessage(bytes(0x12, 0x05, 0x61))).toThrow('Truncated length-delimited field');
+        expect(() => decodeMessage(bytes(0x08, 0x80))).toThrow('Malformed varint');
+        expect(() => decodeMessage(bytes(0x00, 0x01))).toThrow('Invalid field number 0');
+        expect(() => decodeMessage(bytes(0x0b))).toThrow('Unsupported wire type 3');
+    });
+});
+
+describe('tryDecodeMessage', () => {
+    it('returns null for empty or invalid input instead of throwing', () => {
+        expect(tryDecodeMessage(bytes())).toBeNull();
+        expect(tryDecodeMessage(bytes(0x12, 0x05, 0x61))).toBeNull();
+        expect(tryDecodeMessage(bytes(0x08, 0x01))).toEqual([{ field: 1, wireType: 0, value: 1n }]);
+    });
+});
+
+describe('asPrintableString', () => {
+    it('decodes printable UTF-8 only', () => {
+        expect(asPrintableString(bytes(...text('usei')))).toBe('usei');
+        expect(asPrintableString(bytes(0x75, 0x0a))).toBeNull();
+        expect(asPrintableString(bytes(0xff, 0xfe))).toBeNull();
+        expect(asPrintableString(bytes())).toBeNull();
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import { methodRegistry, loadMethods } from '../../src/methods/index.js';
+import { buildParameterSets } from '../../src/modes/exhaustive/parameterSets.js';
+
+describe('catalogue methods', () => {
+    let sets;
+
+    beforeAll(async () => {
+        await loadMethods();
+        sets = buildParameterSets({ latestHeight: 100, account: 'sei1account', validator: null });
+    });
+
+    it('registers each method once, next to the ones with their own module', () => {
+        const names = methodRegistry.list().map(definition => definition.name);
+        expect(new Set(names).size).toBe(names.length);
+        expect(names).toEqual(expect.arrayContaining(['eth_getbalance', 'eth_chainid', 'staking_validator_delegations']));
+    });
+
+    it('fills REST placeholders from positional arguments, then extra query parameters', () => {
+        expect(methodRegistry.get('staking_delegation').placeholders).toEqual(['validator', 'delegator']);
+
+        const request = methodRegistry.createRequest('bank_balance_by_denom', 'sei1account', 'usei', { 'pagination.limit': 1 });
+        expect(request.path).toBe('/cosmos/bank/v1beta1/balances/sei1account/by_denom');
+        expect(request.params).toEqual({ denom: 'usei', 'pagination.limit': 1 });
+    });
+
+    it('builds REST variants from discovered values and skips valid ones without them', () => {
+        expect(sets.bank_balances).toEqual({
+            valid: [['sei1account']],
+            boundary: [['sei1account', { 'pagination.limit': 1, 'pagination.count_total': true }]],
+            malformed: [['sei1account', { 'pagination.limit': 'invalid' }], ['not-a-bech32-address']]
+        });
+        expect(sets.staking_validator).toEqual({ valid: [], boundary: [], malformed: [['not-a-valoper-address']] });
+    });
+
+    it('calls EVM methods with built arguments, as probes where marked', () => {
+        expect(sets.eth_chainid).toEqual({ valid: [[]] });
+        expect(sets.eth_getfilterchanges).toEqual({ probe: [['0x1']] });
+        expect(sets.eth_gettransactionbyhash).toEqual({});
+        expect(methodRegistry.createRequest('eth_chainid').params.method).toBe('eth_chainId');
+    });
+
+    it('skips load draws for catalogue methods that need discovered arguments', () => {
+        expect(methodRegistry.get('eth_chainid').sampleArgs()).toEqual([]);
+        expect(methodRegistry.get('eth_getcode').sampleArgs()).toBeNull();
+        expect(methodRegistry.get('bank_params').sampleArgs()).toEqual([]);
+        expect(methodRegistry.get('bank_balances').sampleArgs()).toBeNull();
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import { methodRegistry, loadMethods } from '../../src/methods/index.js';
+import { RequestQueueGenerator, generateRequestSequence } from '../../src/methods/requestQueue.js';
+import { createRandom } from '../../src/utils/random.js';
+
+// Pools with nothing in them, as on a chain without recent transactions
+const emptyPools = {
+    blockTag: () => 'latest',
+    height: () => null,
+    blockRange: () => ['latest', 'latest'],
+    txHash: () => undefined,
+    blockHash: () => undefined,
+    cosmosTxHash: () => undefined,
+    address: () => undefined,
+    contract: () => undefined
+};
+
+describe('generateRequestSequence', () => {
+    it('draws methods in proportion to their weights', () => {
+        const sequence = generateRequestSequence(10000, { a: 3, b: 1 }, createRandom('weights'));
+        const share = sequence.filter(method => method === 'a').length / sequence.length;
+        expect(share).toBeGreaterThan(0.72);
+        expect(share).toBeLessThan(0.78);
+    });
+});
+
+describe('RequestQueueGenerator', () => {
+    beforeAll(() => loadMethods());
+
+    it('rejects mixes naming unknown methods', () => {
+        expect(() => new RequestQueueGenerator({ weights: { eth_nope: 1 } })).toThrow('Unknown method in mix: eth_nope');
+    });
+
+    it('skips draws whose parameters could not be sampled', () => {
+        const generator = new RequestQueueGenerator({
+            weights: { eth_blocknumber: 1, eth_gettransactionreceipt: 1, eth_call: 1 },
+            parameters: emptyPools,
+            seed: 'skip'
+        });
+
+        const batch = generator.generateBatch(60);
+        expect(batch.every(request => request.type === 'eth_blocknumber')).toBe(true);
+        expect(batch.every(request => !JSON.stringify(request.params).includes('null'))).toBe(true);
+
+        const { generated, skipped } = generator.describe();
+        expect(generated).toBe(batch.length);
+        expect(skipped.eth_gettransactionreceipt + skipped.eth_call + generated).toBe(60);
+    });
+
+    it('skips tx_search rather than searching every block when no height was sampled', () => {
+        const generator = new RequestQueueGenerator({ weights: { tx_search: 1 }, parameters: emptyPools, seed: 'tx' });
+        expect(generator.generateBatch(5)).toEqual([]);
+        expect(generator.describe().skipped).toEqual({ tx_search: 5 });
+
+        const sampled = new RequestQueueGenerator({ weights: { tx_search: 1 }, parameters: { ...emptyPools, height: () => 100 }, seed: 'tx' });
+        expect(sampled.generateBatch(1)[0].params.params.query).toBe('tx.height=100');
+    });
+
+    it('fails instead of spinning when no method in the mix can be sampled', async () => {
+        const generator = new RequestQueueGenerator({
+            weights: { eth_gettransactionreceipt: 1 },
+            parameters: emptyPools,
+            batchDelayMs: 0
+        });
+
+        await expect(generator.generateQueue({ maxRequests: 500 }).next()).rejects.toThrow('No parameters to sample');
+    });
+
+    it('repeats the same stream for the same seed', () => {
+        const stream = () => new RequestQueueGenerator({ seed: 42, idFormat: 'uuid' }).generateBatch(50);
+        expect(stream()).toEqual(stream());
+        expect(methodRegistry.has('eth_getlogs')).toBe(true);
+    });
+});
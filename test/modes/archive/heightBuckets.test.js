@@ -0,0 +1,74 @@
+import { describe, it, expect } from '@jest/globals';
+import { buildDepthBuckets, buildUpgradeBuckets, sampleHeights } from '../../../src/modes/archive/heightBuckets.js';
+import { createRandom } from '../../../src/utils/random.js';
+
+describe('buildDepthBuckets', () => {
+    it('grows bands tenfold from the head and truncates the oldest at the earliest height', () => {
+        expect(buildDepthBuckets(5000)).toEqual([
+            { name: '0-100', from: 4901, to: 5000 },
+            { name: '100-1k', from: 4001, to: 4900 },
+            { name: '1k+', from: 1, to: 4000 }
+        ]);
+    });
+
+    it('covers every height from earliest to head exactly once', () => {
+        const head = 2345678;
+        const earliest = 120;
+        const buckets = buildDepthBuckets(head, earliest);
+
+        expect(buckets.map(bucket => bucket.name)).toEqual(['0-100', '100-1k', '1k-10k', '10k-100k', '100k-1M', '1M+']);
+        expect(buckets[0].to).toBe(head);
+        expect(buckets.at(-1).from).toBe(earliest);
+        buckets.slice(1).forEach((bucket, i) => expect(bucket.to).toBe(buckets[i].from - 1));
+    });
+
+    it('keeps a full band when it ends exactly at the earliest height', () => {
+        expect(buildDepthBuckets(5000, 4001)).toEqual([
+            { name: '0-100', from: 4901, to: 5000 },
+            { name: '100-1k', from: 4001, to: 4900 }
+        ]);
+    });
+
+    it('returns a single truncated band for a young chain', () => {
+        expect(buildDepthBuckets(50)).toEqual([{ name: '0+', from: 1, to: 50 }]);
+    });
+});
+
+describe('buildUpgradeBuckets', () => {
+    it('probes either side of upgrades within the available range', () => {
+        const upgrades = [
+            { name: 'v2', height: 4500 },
+            { name: 'genesis', height: 1 },
+            { name: 'future', height: 6000 },
+            { name: 'tip', height: 5000 }
+        ];
+
+        expect(buildUpgradeBuckets(upgrades, 5000)).toEqual([
+            { name: 'upgrade:v2', from: 4499, to: 4501, heights: [4499, 4500, 4501] },
+            { name: 'upgrade:tip', from: 4999, to: 5000, heights: [4999, 5000] }
+        ]);
+    });
+});
+
+describe('sampleHeights', () => {
+    it('draws distinct heights inside the bucket, newest first', () => {
+        const heights = sampleHeights({ from: 4001, to: 4900 }, 10, createRandom(1));
+
+        expect(new Set(heights).size).toBe(10);
+        expect(heights.every(height => height >= 4001 && height <= 4900)).toBe(true);
+        expect(heights).toEqual([...heights].sort((a, b) => b - a));
+        expect(sampleHeights({ from: 4001, to: 4900 }, 10, createRandom(1))).toEqual(heights);
+    });
+
+    it('always includes the earliest height in the oldest bucket', () => {
+        expect(sampleHeights({ from: 120, to: 100000 }, 5, createRandom(2), 120)).toContain(120);
+    });
+
+    it('returns the whole bucket when it is smaller than the sample size', () => {
+        expect(sampleHeights({ from: 1, to: 3 }, 10, createRandom(3))).toEqual([3, 2, 1]);
+    });
+
+    it('returns fixed heights unchanged', () => {
+        expect(sampleHeights({ from: 1, to: 3, heights: [2, 1] }, 10)).toEqual([2, 1]);
+    });
+});
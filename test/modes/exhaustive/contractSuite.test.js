@@ -0,0 +1,67 @@
+import http from 'http';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import { ContractSuite } from '../../../src/modes/exhaustive/contractSuite.js';
+
+// 5 pages of 2 codes each, newest first; every code has 3 contracts
+const CODE_PAGES = 5;
+
+describe('ContractSuite.discover', () => {
+    let server;
+    let base;
+    const requests = [];
+
+    beforeAll(done => {
+        server = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            requests.push(url.pathname);
+
+            const match = url.pathname.match(/^\/cosmwasm\/wasm\/v1\/code\/(\d+)\/contracts$/);
+            let body;
+            if (match) {
+                body = { contracts: [1, 2, 3].map(n => `sei1code${match[1]}contract${n}`), pagination: {} };
+            } else {
+                const page = Number(url.searchParams.get('pagination.key') || 0);
+                const first = CODE_PAGES * 2 - page * 2;
+                body = {
+                    code_infos: [{ code_id: String(first) }, { code_id: String(first - 1) }],
+                    pagination: { next_key: page + 1 < CODE_PAGES ? String(page + 1) : null }
+                };
+            }
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(body));
+        });
+        server.listen(0, '127.0.0.1', () => {
+            base = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    const suite = maxContracts => new ContractSuite({
+        endpointFor: () => base,
+        authHeaders: () => ({}),
+        logger: { info: () => {} }
+    }, { maxContracts, timeoutMs: 1000 });
+
+    it('stops paging codes once maxContracts have been found', async () => {
+        requests.length = 0;
+        const instance = suite(7);
+        const contracts = await instance.discover();
+
+        expect(contracts).toHaveLength(7);
+        expect(contracts.map(contract => contract.codeId)).toEqual(['10', '10', '10', '9', '9', '9', '8']);
+        expect(requests.filter(path => path === '/cosmwasm/wasm/v1/code')).toHaveLength(2);
+        expect(instance.stats).toMatchObject({ codes: 3, contracts: 7 });
+    });
+
+    it('walks every page when the chain has fewer contracts than the limit', async () => {
+        requests.length = 0;
+        const contracts = await suite(100).discover();
+
+        expect(contracts).toHaveLength(CODE_PAGES * 2 * 3);
+        expect(requests.filter(path => path === '/cosmwasm/wasm/v1/code')).toHaveLength(CODE_PAGES);
+    });
+});
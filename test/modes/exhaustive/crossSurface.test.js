@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import { CrossSurfaceValidator, evmLogsFromEvents } from '../../../src/modes/exhaustive/crossSurface.js';
+import { loadMethods } from '../../../src/methods/index.js';
+
+const HEIGHT = 100;
+const HASH = '0x' + 'ab'.repeat(32);
+const TIME = '2026-01-01T00:00:00Z';
+const TOKEN = '0x' + '1'.repeat(40);
+const TOPICS = ['0x' + 'd'.repeat(64), '0x' + '0'.repeat(24) + '2'.repeat(40)];
+
+// Length-delimited protobuf field; every payload here is shorter than 128 bytes
+const field = (number, bytes) => [(number << 3) | 2, bytes.length, ...bytes];
+const text = value => Array.from(Buffer.from(value));
+
+// Base64 TxRaw whose body holds a single MsgEVMTransaction
+const EVM_TX = Buffer.from(field(1, field(1, field(1, text('/seiprotocol.seichain.evm.MsgEVMTransaction'))))).toString('base64');
+
+const logEvent = log => ({ type: 'tx_log', attributes: [{ key: 'txLog', value: JSON.stringify(log) }] });
+
+// Serves one block with one EVM tx; `overrides` replace parts of the responses
+function fakeTester(overrides = {}) {
+    const receiptLogs = overrides.receiptLogs ?? [{ address: TOKEN, topics: TOPICS }];
+    const events = overrides.events ?? [logEvent({ address: TOKEN, topics: TOPICS })];
+    const cosmosBlock = overrides.cosmosBlock ?? {
+        block_id: { hash: Buffer.from(HASH.slice(2), 'hex').toString('base64') },
+        block: { header: { time: TIME }, data: { txs: [EVM_TX] } }
+    };
+
+    const results = {
+        eth_getBlockByNumber: {
+            hash: HASH,
+            timestamp: '0x' + (Date.parse(TIME) / 1000).toString(16),
+            transactions: [{ hash: '0xtx', from: '0x' + '3'.repeat(40), transactionIndex: '0x0' }]
+        },
+        eth_getTransactionReceipt: { blockNumber: '0x64', gasUsed: '0x5208', logs: receiptLogs },
+        block_results: { txs_results: [{ gas_used: '21000', events }] }
+    };
+
+    return {
+        logger: { error: () => {} },
+        sendRequest: async request => ({
+            traceId: 'trace',
+            data: request.method === 'GET'
+                ? cosmosBlock
+                : { result: results[request.params.method] }
+        })
+    };
+}
+
+const validate = async tester => {
+    const validator = new CrossSurfaceValidator(tester);
+    const checks = await validator.run({ heights: [HEIGHT] });
+    return { checks, defects: validator.defects };
+};
+
+describe('CrossSurfaceValidator', () => {
+    beforeAll(() => loadMethods());
+
+    it('passes when blocks and receipts agree, logs included', async () => {
+        const { checks, defects } = await validate(fakeTester());
+
+        expect(checks.block.map(result => result.status)).toEqual(['pass']);
+        expect(checks.receipts.map(result => result.status)).toEqual(['pass']);
+        expect(checks.receipts[0].fields.logCount).toEqual({ evm: 1, cosmos: 1 });
+        expect(defects).toEqual([]);
+    });
+
+    it('reports differing log counts, addresses and topics as defects', async () => {
+        const other = '0x' + '9'.repeat(40);
+        const { checks, defects } = await validate(fakeTester({
+            receiptLogs: [{ address: TOKEN, topics: TOPICS }, { address: TOKEN, topics: TOPICS }],
+            events: [logEvent({ address: other, topics: TOPICS.slice(0, 1) })]
+        }));
+
+        expect(checks.receipts[0].status).toBe('fail');
+        expect(defects).toHaveLength(1);
+        expect(Object.keys(defects[0].fields)).toEqual(['logCount', 'logs[0].address', 'logs[0].topics']);
+        expect(defects[0].fields['logs[0].address']).toEqual({ evm: TOKEN, cosmos: other });
+    });
+
+    it('fails the height instead of throwing when the Cosmos block is missing', async () => {
+        const { checks } = await validate(fakeTester({ cosmosBlock: { code: 3, message: 'height 100 is not available' } }));
+
+        expect(checks.block).toHaveLength(1);
+        expect(checks.block[0]).toMatchObject({ status: 'fail', outcome: 'failed' });
+        expect(checks.block[0].error).toBe('Cosmos block 100 not found: height 100 is not available');
+        expect(checks.receipts).toEqual([]);
+    });
+});
+
+describe('evmLogsFromEvents', () => {
+    it('reads plain and base64-encoded tx_log attributes and skips other events', () => {
+        const log = { address: TOKEN, topics: TOPICS };
+        const encoded = {
+            type: 'tx_log',
+            attributes: [{ key: Buffer.from('txLog').toString('base64'), value: Buffer.from(JSON.stringify(log)).toString('base64') }]
+        };
+
+        expect(evmLogsFromEvents([{ type: 'message', attributes: [] }, logEvent(log), encoded])).toEqual([log, log]);
+        expect(evmLogsFromEvents(undefined)).toEqual([]);
+    });
+});
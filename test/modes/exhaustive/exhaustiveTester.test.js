@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadMethods } from '../../../src/methods/index.js';
+import { ZERO_ADDRESS } from '../../../src/methods/shared.js';
+import { ExhaustiveTester } from '../../../src/modes/exhaustive/exhaustiveTester.js';
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exhaustive-'));
+const tester = new ExhaustiveTester({ endpoint: 'http://127.0.0.1:1', logLevel: 'error', outputDir });
+tester.logger.silent = true;
+
+const ok = result => ({ status: 200, data: { jsonrpc: '2.0', id: 1, result } });
+const rpcError = message => ({ status: 200, data: { jsonrpc: '2.0', id: 1, error: { code: -32602, message } } });
+
+afterAll(() => {
+    tester.logger.close();
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+describe('ExhaustiveTester variants', () => {
+    beforeAll(() => loadMethods());
+
+    it('gives test case RPC calls valid, boundary and malformed variants', () => {
+        const variants = tester.buildRpcVariants({ method: 'eth_gasPrice' });
+
+        expect(variants.map(variant => variant.variant)).toEqual(['valid', 'boundary', 'malformed']);
+        expect(variants[0].request.params.params).toEqual([]);
+        // Without registry boundary parameters the call leaves `params` out
+        expect(variants[1].request.params).not.toHaveProperty('params');
+        expect(variants[1].request.params).toMatchObject({ jsonrpc: '2.0', method: 'eth_gasPrice' });
+        expect(variants[2].request.params.params).toBe('malformed');
+    });
+
+    it('takes boundary arguments from the registry when the method has them', () => {
+        const variants = tester.buildRpcVariants(
+            { method: 'eth_getBalance' },
+            { boundary: [[ZERO_ADDRESS, 'earliest']] }
+        );
+
+        const boundary = variants.filter(variant => variant.variant === 'boundary');
+        expect(boundary).toHaveLength(1);
+        expect(boundary[0].request).toMatchObject({ type: 'eth_getBalance', params: { method: 'eth_getBalance', params: [ZERO_ADDRESS, 'earliest'] } });
+    });
+
+    it('covers every test case with a boundary variant', () => {
+        tester.chainState.latestHeight = 100;
+        const cases = tester.collectTestCases().filter(testCase => testCase.source === 'testCases');
+
+        expect(cases.length).toBeGreaterThan(0);
+        for (const testCase of cases) {
+            expect(testCase.variants.map(variant => variant.variant)).toContain('boundary');
+        }
+    });
+
+    it('builds template variants from parameter sets plus a structurally malformed body', () => {
+        const definition = { name: 'eth_getbalance', method: 'POST' };
+        const variants = tester.buildTemplateVariants(definition, {
+            valid: [[ZERO_ADDRESS, 'latest']],
+            boundary: [[ZERO_ADDRESS, 'earliest']],
+            malformed: [['0xnot-an-address', 'latest']]
+        });
+
+        expect(variants.map(variant => variant.variant)).toEqual(['valid', 'boundary', 'malformed', 'malformed']);
+        expect(variants[0].request.schema).toBeDefined();
+        expect(variants[2].request.schema).toBeUndefined();
+        expect(variants[3].request.params.params).toBe('malformed');
+    });
+
+    it('skips the valid call when no parameters are available', () => {
+        const variants = tester.buildTemplateVariants({ name: 'eth_getbalance', method: 'POST' }, {});
+        expect(variants[0]).toEqual({ variant: 'valid', skip: 'no valid parameters available', request: null });
+    });
+});
+
+describe('ExhaustiveTester coverage report', () => {
+    it('counts passing endpoints and every variant outcome', async () => {
+        const exhaustive = new ExhaustiveTester({ endpoint: 'http://127.0.0.1:1', logLevel: 'error', outputDir });
+        exhaustive.logger.silent = true;
+        exhaustive.sendRequest = async request => {
+            if (request.params.params === 'malformed') return rpcError('invalid params');
+            // This node accepts the bare call but answers the gas price with an error
+            return request.params.method === 'eth_gasPrice' && request.params.params ? rpcError('unavailable') : ok('0x10');
+        };
+
+        await exhaustive.runTestCase({ key: 'basic.evmQueries.getBlockNumber', source: 'testCases', variants: exhaustive.buildRpcVariants({ method: 'eth_blockNumber' }) });
+        await exhaustive.runTestCase({ key: 'basic.evmQueries.getGasPrice', source: 'testCases', variants: exhaustive.buildRpcVariants({ method: 'eth_gasPrice' }) });
+        await exhaustive.runTestCase({
+            key: 'templates.eth_getbalance',
+            source: 'templates',
+            variants: exhaustive.buildTemplateVariants({ name: 'eth_getbalance', method: 'POST' }, {})
+        });
+        exhaustive.logger.close();
+
+        const { summary, endpoints } = exhaustive.buildCoverageReport();
+        expect(summary).toEqual({
+            endpoints: 3,
+            passing: 2,
+            executed: 7,
+            passed: 6,
+            failed: 1,
+            skipped: 1,
+            coverage: '66.67'
+        });
+        expect(endpoints['basic.evmQueries.getBlockNumber']).toMatchObject({ source: 'testCases', passing: true, executed: 3, passed: 3 });
+        expect(endpoints['basic.evmQueries.getGasPrice'].results.map(result => [result.variant, result.status])).toEqual([
+            ['valid', 'fail'],
+            ['boundary', 'pass'],
+            ['malformed', 'pass']
+        ]);
+        // Skipped variants neither pass nor fail a case
+        expect(endpoints['templates.eth_getbalance']).toMatchObject({ executed: 1, passed: 1, skipped: 1, passing: true });
+    });
+});
+
+describe('ExhaustiveTester catalogue summaries', () => {
+    beforeAll(() => loadMethods());
+
+    const result = (variant, status, outcome) => ({ variant, status, ...(outcome && { outcome }) });
+
+    it('leaves REST endpoints without a valid result unverified', () => {
+        const exhaustive = new ExhaustiveTester({ endpoint: 'http://127.0.0.1:1', logLevel: 'error', outputDir });
+        exhaustive.logger.close();
+        exhaustive.coverage.set('templates.bank_balances', {
+            source: 'templates',
+            results: [result('valid', 'pass', 'ok'), result('malformed', 'pass', 'rejected')]
+        });
+        exhaustive.coverage.set('templates.bank_params', {
+            source: 'templates',
+            results: [result('malformed', 'pass', 'rejected')]
+        });
+        exhaustive.coverage.set('templates.staking_validators', {
+            source: 'templates',
+            results: [result('valid', 'fail', 'unserved')]
+        });
+
+        const summary = exhaustive.summarizeRestCatalogue();
+        expect(summary).toMatchObject({ total: 3, verified: 1, unserved: ['staking_validators'] });
+        expect(summary.modules.bank).toEqual({ total: 2, verified: 1, unserved: 0 });
+    });
+
+    it('counts EVM methods without a call as untested', () => {
+        const exhaustive = new ExhaustiveTester({ endpoint: 'http://127.0.0.1:1', logLevel: 'error', outputDir });
+        exhaustive.logger.close();
+        exhaustive.coverage.set('templates.eth_blocknumber', { source: 'templates', results: [result('valid', 'pass', 'ok')] });
+        exhaustive.coverage.set('templates.eth_getbalance', { source: 'templates', results: [result('malformed', 'pass', 'rejected')] });
+        exhaustive.coverage.set('templates.debug_traceblockbynumber', { source: 'templates', results: [result('valid', 'fail', 'unserved')] });
+
+        expect(exhaustive.summarizeEvmCatalogue()).toMatchObject({
+            total: 3,
+            enabled: 1,
+            disabled: ['debug_traceblockbynumber'],
+            untested: ['eth_getbalance']
+        });
+    });
+});
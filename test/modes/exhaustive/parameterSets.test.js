@@ -0,0 +1,39 @@
+import { describe, it, expect } from '@jest/globals';
+import { hasMissingValue, hasUnfilledPlaceholder } from '../../../src/methods/shared.js';
+import { buildEvmValues } from '../../../src/modes/exhaustive/parameterSets.js';
+
+describe('hasMissingValue', () => {
+    it('finds null and undefined at any depth', () => {
+        expect(hasMissingValue([undefined])).toBe(true);
+        expect(hasMissingValue(['0x1', { to: null, data: '0x' }])).toBe(true);
+        expect(hasMissingValue([{ filter: { address: undefined } }])).toBe(true);
+        expect(hasMissingValue([[1, [null]]])).toBe(true);
+    });
+
+    it('accepts strings that merely contain "null"', () => {
+        expect(hasMissingValue(['nullifier', { data: '0xnull', memo: 'undefined' }])).toBe(false);
+        expect(hasMissingValue([0, false, '', []])).toBe(false);
+    });
+
+    it('flags every EVM value discovery left empty', () => {
+        const values = buildEvmValues({ latestHeight: 100 });
+        expect(hasMissingValue([values.latest, values.address])).toBe(false);
+        expect(hasMissingValue([values.txHash])).toBe(true);
+    });
+});
+
+describe('hasUnfilledPlaceholder', () => {
+    const values = { address: 'sei1nullable', height: 100, validator: null };
+
+    it('checks only the placeholders a template uses', () => {
+        expect(hasUnfilledPlaceholder(['/bank/balances/{address}'], values)).toBe(false);
+        expect(hasUnfilledPlaceholder(['/staking/validators/{validator}'], values)).toBe(true);
+        expect(hasUnfilledPlaceholder(['/gov/proposals/{proposalId}'], values)).toBe(true);
+        expect(hasUnfilledPlaceholder(['/blocks/latest'], values)).toBe(false);
+    });
+
+    it('checks query parameter templates too', () => {
+        expect(hasUnfilledPlaceholder(['/txs', '{height}', 'fixed'], values)).toBe(false);
+        expect(hasUnfilledPlaceholder(['/txs', '{validator}'], values)).toBe(true);
+    });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LoadTester } from '../../../src/modes/load/loadTester.js';
+import { buildThresholds, evaluateThresholds } from '../../../src/analyzers/thresholds.js';
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'load-'));
+const testers = [];
+
+function createTester(config = {}) {
+    const tester = new LoadTester({ endpoint: 'http://127.0.0.1:1', logLevel: 'error', outputDir, ...config });
+    tester.logger.silent = true;
+    testers.push(tester);
+    return tester;
+}
+
+const rpcRequest = (type, surface = 'evm') => ({
+    type,
+    method: 'POST',
+    surface,
+    params: { jsonrpc: '2.0', id: type, method: type, params: [] }
+});
+
+const rpcError = { code: -32000, message: 'execution reverted' };
+
+afterAll(() => {
+    testers.forEach(tester => tester.logger.close());
+    fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+describe('LoadTester JSON-RPC errors', () => {
+    it('records an error body under HTTP 200 as a failed request', async () => {
+        const tester = createTester();
+        tester.sendRequest = async request => ({
+            status: 200,
+            data: request.type === 'eth_call' ? { jsonrpc: '2.0', id: 1, error: rpcError } : { jsonrpc: '2.0', id: 1, result: '0x1' },
+            traceId: 'trace'
+        });
+
+        for (let i = 0; i < 10; i++) {
+            await tester.processRequest(rpcRequest(i < 3 ? 'eth_call' : 'eth_blocknumber'), { workerId: 'w', startTime: Date.now() });
+        }
+
+        const stats = tester.metricCollector.getScopeStats('eth_call');
+        expect(stats).toMatchObject({ requests: 3, errors: 3 });
+
+        const verdict = evaluateThresholds(buildThresholds(['error_rate < 5%']), tester.metricCollector);
+        expect(verdict.results[0]).toMatchObject({ actual: 30, passed: false });
+    });
+
+    it('records batch items carrying an error body as failed', async () => {
+        const tester = createTester({ batchSize: 2 });
+        tester.sendBatch = async requests => ({
+            response: { status: 200, data: [], traceId: 'trace' },
+            items: requests.map((request, index) => ({
+                request,
+                response: {
+                    status: 200,
+                    data: index === 0 ? { jsonrpc: '2.0', id: index, error: rpcError } : { jsonrpc: '2.0', id: index, result: '0x1' }
+                }
+            }))
+        });
+
+        await tester.processBatch([
+            { request: rpcRequest('eth_call'), waitMs: 0 },
+            { request: rpcRequest('eth_blocknumber'), waitMs: 0 }
+        ], 'w');
+
+        expect(tester.metricCollector.getScopeStats('eth_call')).toMatchObject({ requests: 1, errors: 1 });
+        expect(tester.metricCollector.getScopeStats('eth_blocknumber')).toMatchObject({ requests: 1, errors: 0 });
+        const verdict = evaluateThresholds(buildThresholds(['error_rate < 1%']), tester.metricCollector);
+        expect(verdict.passed).toBe(false);
+    });
+});
+
+describe('LoadTester open model', () => {
+    async function* requests(count, delayMs = 0) {
+        for (let i = 0; i < count; i++) {
+            if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+            yield rpcRequest('eth_blocknumber');
+        }
+    }
+
+    function openTester(config = {}) {
+        const tester = createTester({ model: 'open', maxRequestsPerSecond: 200, ...config });
+        tester.sent = [];
+        tester.dispatch = async entries => {
+            tester.sent.push(...entries);
+        };
+        return tester;
+    }
+
+    it('rejects a missing or zero arrival rate', () => {
+        expect(() => createTester({ model: 'open', maxRequestsPerSecond: 0 })).toThrow('positive arrival rate');
+        expect(() => createTester({ model: 'open', maxRequestsPerSecond: null })).toThrow('positive arrival rate');
+        expect(() => createTester({ model: 'closed', maxRequestsPerSecond: 0 })).not.toThrow();
+    });
+
+    it('sends arrivals at the target rate', async () => {
+        const tester = openTester();
+        const startedAt = Date.now();
+        await tester.startArrivals(requests(20));
+
+        // 20 arrivals 5ms apart: the last is scheduled 95ms after the first
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(90);
+        expect(tester.sent).toHaveLength(20);
+        expect(tester.metricCollector.summarizeArrivals()).toMatchObject({ scheduled: 20, sent: 20, dropped: 0 });
+    });
+
+    it('records lag when requests are produced behind schedule', async () => {
+        const tester = openTester({ maxRequestsPerSecond: 1000 });
+        await tester.startArrivals(requests(5, 30));
+
+        const arrivals = tester.metricCollector.summarizeArrivals();
+        expect(arrivals.late).toBeGreaterThan(0);
+        expect(arrivals.maxLagMs).toBeGreaterThan(10);
+    });
+
+    it('drops arrivals beyond the in-flight limit', async () => {
+        const tester = openTester({ maxRequestsPerSecond: 1000, maxInFlight: 2 });
+        let release;
+        const held = new Promise(resolve => {
+            release = resolve;
+        });
+        tester.dispatch = () => held;
+
+        await tester.startArrivals(requests(5));
+        release();
+
+        expect(tester.metricCollector.summarizeArrivals()).toMatchObject({ scheduled: 5, sent: 2, dropped: 3 });
+    });
+
+    it('holds arrivals through a zero-rate stage', async () => {
+        const tester = openTester();
+        tester.setTargetRate(0);
+        const arrivals = tester.startArrivals(requests(3));
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        expect(tester.sent).toHaveLength(0);
+
+        tester.setTargetRate(100);
+        await arrivals;
+        expect(tester.sent).toHaveLength(3);
+        expect(tester.metricCollector.summarizeArrivals()).toMatchObject({ scheduled: 3, dropped: 0 });
+    });
+});
+
+describe('LoadTester dispatch', () => {
+    it('batches JSON-RPC requests per surface and sends REST and lone requests singly', async () => {
+        const tester = createTester({ batchSize: 10 });
+        const sent = [];
+        tester.processRequest = async request => {
+            sent.push(['single', request.type]);
+        };
+        tester.processBatch = async entries => {
+            sent.push(['batch', entries.map(entry => entry.request.type)]);
+        };
+
+        const rest = { type: 'bank_params', method: 'GET', surface: 'rest', path: '/cosmos/bank/v1beta1/params' };
+        await tester.dispatch([
+            rpcRequest('eth_blocknumber'),
+            rpcRequest('block', 'tendermint'),
+            rest,
+            rpcRequest('eth_chainid'),
+            { ...rpcRequest('eth_gasprice'), surface: undefined }
+        ].map(request => ({ request, waitMs: 0 })), 'w');
+
+        expect(sent).toEqual([
+            ['batch', ['eth_blocknumber', 'eth_chainid', 'eth_gasprice']],
+            ['single', 'block'],
+            ['single', 'bank_params']
+        ]);
+    });
+
+    it('sends a single request without a batch', async () => {
+        const tester = createTester({ batchSize: 10 });
+        const sent = [];
+        tester.processRequest = async request => {
+            sent.push(request.type);
+        };
+        tester.processBatch = async () => {
+            throw new Error('unexpected batch');
+        };
+
+        await tester.dispatch([{ request: rpcRequest('eth_blocknumber'), waitMs: 0 }], 'w');
+        expect(sent).toEqual(['eth_blocknumber']);
+    });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from '@jest/globals';
+import { LoadProfile, loadProfile } from '../../../src/modes/load/profiles.js';
+
+describe('LoadProfile', () => {
+    const profile = new LoadProfile({
+        name: 'test',
+        stages: [
+            { name: 'warm', duration: '1s', rps: 10 },
+            { name: 'climb', duration: 2000, rps: { from: 10, to: 30 }, concurrency: 4 }
+        ]
+    });
+
+    it('lays stages end to end', () => {
+        expect(profile.totalDurationMs).toBe(3000);
+        expect(profile.stages.map(stage => stage.start)).toEqual([0, 1000]);
+    });
+
+    it('interpolates ramped targets within a stage', () => {
+        expect(profile.at(500)).toEqual({ phase: 'warm', stage: 0, rps: 10, concurrency: null });
+        expect(profile.at(2000)).toEqual({ phase: 'climb', stage: 1, rps: 20, concurrency: 4 });
+        expect(profile.at(3000)).toBeNull();
+    });
+
+    it('reports the end of the running stage', () => {
+        expect(profile.nextBoundary(0)).toBe(1000);
+        expect(profile.nextBoundary(1000)).toBe(3000);
+        expect(profile.nextBoundary(3000)).toBeNull();
+    });
+
+    it('rejects a profile without stages', () => {
+        expect(() => new LoadProfile({ stages: [] })).toThrow('at least one stage');
+    });
+});
+
+describe('loadProfile', () => {
+    it('scales presets to the configured rate and duration', () => {
+        const step = loadProfile('step', { maxRequestsPerSecond: 50, durationMs: 4000 });
+        expect(step.totalDurationMs).toBe(4000);
+        expect(step.stages.map(stage => stage.rps)).toEqual([10, 20, 30, 40, 50]);
+        expect(step.stages.map(stage => stage.duration)).toEqual([800, 800, 800, 800, 800]);
+    });
+
+    it('rejects unknown presets', () => {
+        expect(() => loadProfile('sawtooth')).toThrow('Unknown load profile: sawtooth');
+    });
+});
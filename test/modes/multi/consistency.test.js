@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll } from '@jest/globals';
+import { methodRegistry, loadMethods } from '../../../src/methods/index.js';
+import { compareResults } from '../../../src/modes/multi/consistency.js';
+
+const ADDRESS = '0x' + '1'.repeat(40);
+
+const result = (name, data, traceId = name) => ({ target: { name }, response: { data, traceId } });
+
+describe('compareResults', () => {
+    beforeAll(() => loadMethods());
+
+    const pinned = () => methodRegistry.createRequest('eth_getbalance', ADDRESS, '0x10');
+
+    it('matches equal results for a request pinned to a block', () => {
+        const outcome = compareResults(pinned(), [
+            result('a', { result: '0x5' }),
+            result('b', { result: '0x5' })
+        ]);
+        expect(outcome).toEqual({
+            compared: true,
+            matched: true,
+            missing: 0,
+            values: [{ target: 'a', value: '0x5', traceId: 'a' }, { target: 'b', value: '0x5', traceId: 'b' }]
+        });
+    });
+
+    it('reports differing results as a mismatch', () => {
+        const outcome = compareResults(pinned(), [
+            result('a', { result: '0x5' }),
+            result('b', { result: '0x6' })
+        ]);
+        expect(outcome).toMatchObject({ compared: true, matched: false, missing: 0 });
+    });
+
+    it('counts errors and null results as missing rather than mismatched', () => {
+        const outcome = compareResults(pinned(), [
+            result('a', { result: '0x5' }),
+            result('b', { error: { code: -32000, message: 'pruned' } }),
+            { target: { name: 'c' }, error: new Error('timeout') }
+        ]);
+        expect(outcome).toMatchObject({ compared: false, missing: 2 });
+        expect(outcome.values.map(value => value.target)).toEqual(['a']);
+    });
+
+    it('skips requests that follow the head or have no check', () => {
+        const latest = methodRegistry.createRequest('eth_getbalance', ADDRESS, 'latest');
+        expect(compareResults(latest, [result('a', { result: '0x5' }), result('b', { result: '0x6' })])).toBeNull();
+
+        const head = methodRegistry.createRequest('eth_blocknumber');
+        expect(compareResults(head, [result('a', { result: '0x5' }), result('b', { result: '0x6' })])).toBeNull();
+    });
+
+    it('compares Tendermint requests only when they name a height', () => {
+        const block = height => methodRegistry.createRequest('block', height);
+        const hashes = [result('a', { result: { block_id: { hash: 'AB' } } }), result('b', { result: { block_id: { hash: 'AB' } } })];
+
+        expect(compareResults(block(100), hashes)).toMatchObject({ compared: true, matched: true });
+        expect(compareResults(block(), hashes)).toBeNull();
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { methodRegistry, loadMethods } from '../../../src/methods/index.js';
+import { MultiEndpointTester } from '../../../src/modes/multi/multiEndpointTester.js';
+
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'multi-'));
+const testers = [];
+const ENDPOINTS = [
+    { name: 'ours', url: 'http://127.0.0.1:8545' },
+    { name: 'theirs', url: 'http://127.0.0.2:8545' }
+];
+
+function createTester(config = {}) {
+    const tester = new MultiEndpointTester({
+        endpoint: ENDPOINTS[0].url,
+        endpoints: ENDPOINTS,
+        authToken: 'secret',
+        logLevel: 'error',
+        outputDir,
+        ...config
+    });
+    tester.logger.silent = true;
+    testers.push(tester);
+    return tester;
+}
+
+describe('MultiEndpointTester', () => {
+    beforeAll(() => loadMethods());
+
+    afterAll(() => {
+        testers.forEach(tester => tester.logger.close());
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    it('needs at least two endpoints', () => {
+        expect(() => createTester({ endpoints: ENDPOINTS.slice(0, 1) })).toThrow('needs at least two');
+    });
+
+    it('only sends EVM methods, since each endpoint is one URL', () => {
+        expect(methodRegistry.defaultMix()).toHaveProperty('abci_query');
+
+        const weights = createTester().queueGenerator.weights;
+        expect(Object.keys(weights).length).toBeGreaterThan(0);
+        expect(Object.keys(weights).every(method => methodRegistry.get(method).surface === 'evm')).toBe(true);
+        expect(weights).not.toHaveProperty('eth_subscribe');
+
+        const mixed = createTester({ mix: { eth_getbalance: 1, abci_query: 1 } }).queueGenerator.weights;
+        expect(mixed).toEqual({ eth_getbalance: 1 });
+        expect(() => createTester({ mix: { abci_query: 1 } })).toThrow('The mix has no evm methods');
+    });
+
+    it('sends each request to every endpoint and compares pinned results', async () => {
+        const tester = createTester();
+        const sent = [];
+        tester.sendRequest = async (request, base) => {
+            sent.push(base);
+            return { status: 200, data: { jsonrpc: '2.0', id: 1, result: base === ENDPOINTS[0].url ? '0x5' : '0x6' }, traceId: base };
+        };
+
+        await tester.fanOut(methodRegistry.createRequest('eth_getbalance', '0x' + '1'.repeat(40), '0x10'));
+        await tester.fanOut(methodRegistry.createRequest('eth_getbalance', '0x' + '1'.repeat(40), 'latest'));
+
+        expect(sent).toEqual([ENDPOINTS[0].url, ENDPOINTS[1].url, ENDPOINTS[0].url, ENDPOINTS[1].url]);
+        expect(tester.targets.map(target => target.collector.getScopeStats('eth_getbalance').requests)).toEqual([2, 2]);
+        expect(tester.consistency).toMatchObject({ compared: 1, matched: 0, mismatched: 1, missing: 0 });
+        expect(tester.consistency.mismatches[0].values.map(value => value.value)).toEqual(['0x5', '0x6']);
+    });
+
+    it('records failures per endpoint', async () => {
+        const tester = createTester();
+        tester.sendRequest = async (request, base) => {
+            if (base === ENDPOINTS[1].url) {
+                throw Object.assign(new Error('Request failed with status code 429'), { response: { status: 429 }, traceId: 't' });
+            }
+            return { status: 200, data: { jsonrpc: '2.0', id: 1, result: '0x5' }, traceId: 't' };
+        };
+
+        await tester.fanOut(methodRegistry.createRequest('eth_getbalance', '0x' + '1'.repeat(40), '0x10'));
+
+        const [ours, theirs] = tester.targets.map(target => tester.summarizeTarget(target));
+        expect(ours).toMatchObject({ requests: 1, errors: 0 });
+        expect(theirs).toMatchObject({ requests: 1, errors: 1, rateLimited: 1 });
+        expect(tester.consistency).toMatchObject({ compared: 0, missing: 1 });
+    });
+
+    it('sends the auth token only to the --endpoint origin', () => {
+        const tester = createTester();
+        expect(tester.authHeaders(`${ENDPOINTS[0].url}/path`)).toEqual({ Authorization: 'Bearer secret' });
+        expect(tester.authHeaders(ENDPOINTS[1].url)).toEqual({});
+    });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { loadMethods } from '../../src/methods/index.js';
+import { TrafficImporter } from '../../src/tools/trafficImporter.js';
+
+const ACCOUNT = 'sei1' + 'q'.repeat(38);
+
+const call = (method, params = [], id = 1) => ({ jsonrpc: '2.0', method, params, id });
+
+// An nginx combined line with the request body logged as the last field
+const nginxLine = (request, body) =>
+    `10.0.0.1 - - [10/Oct/2026:13:55:36 +0000] "${request} HTTP/1.1" 200 512 "-" "curl/8.0"${body === undefined ? '' : ` "${body}"`}`;
+
+describe('TrafficImporter', () => {
+    let dir;
+
+    beforeAll(async () => {
+        await loadMethods();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traffic-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('log formats', () => {
+        it('reads nginx bodies logged with \\x22 escapes', () => {
+            const importer = new TrafficImporter();
+            const body = JSON.stringify(call('eth_getBlockByNumber', ['0x64', false])).replace(/"/g, '\\x22');
+            importer.addLine(nginxLine('POST /', body));
+
+            const profile = importer.buildProfile();
+            expect(profile.methods).toEqual({ eth_getblockbynumber: 100 });
+            expect(profile.source).toMatchObject({ lines: 1, calls: 1, unparsed: 0, from: '2026-10-10T13:55:36.000Z' });
+        });
+
+        it('reads escape=json bodies and batches', () => {
+            const importer = new TrafficImporter();
+            const body = JSON.stringify([call('eth_blockNumber'), call('eth_chainId', [], 2)]).replace(/"/g, '\\"');
+            importer.addLine(nginxLine('POST /', body));
+
+            expect(importer.buildProfile().counts).toEqual({ eth_blocknumber: 1, eth_chainid: 1 });
+        });
+
+        it('counts a POST logged without its body as unclassified, and junk as unparsed', () => {
+            const importer = new TrafficImporter();
+            importer.addLine(nginxLine('POST /'));
+            importer.addLine('not a log line');
+            importer.addLine('   ');
+
+            expect(importer.buildProfile().source).toMatchObject({ lines: 2, calls: 0, unparsed: 1, unclassified: 1 });
+        });
+
+        it('falls back through the field names of JSON access logs', () => {
+            const importer = new TrafficImporter();
+            importer.addEntry({ verb: 'post', uri: '/', '@timestamp': '2026-10-10T00:00:00Z', requestBody: JSON.stringify(call('eth_gasPrice')) });
+            importer.addEntry({ method: 'POST', path: '/', timestamp: 1791590410, body: call('eth_blockNumber') });
+            importer.addEntry({ request: `GET /cosmos/bank/v1beta1/balances/${ACCOUNT} HTTP/1.1`, time_local: '10/Oct/2026:00:00:10 +0000' });
+            importer.addLine(JSON.stringify({ request_method: 'GET', request_uri: '/block?height=100', time: '2026-10-10T00:00:20Z' }));
+            // A bare JSON-RPC call, as in a request dump
+            importer.addEntry(call('eth_chainId'));
+
+            const profile = importer.buildProfile();
+            expect(profile.counts).toEqual({ eth_gasprice: 1, eth_blocknumber: 1, bank_balances: 1, block: 1, eth_chainid: 1 });
+            expect(profile.source).toMatchObject({ from: '2026-10-10T00:00:00.000Z', to: '2026-10-10T00:00:20.000Z' });
+        });
+
+        it('reads pretty-printed .json arrays and gzipped logs', async () => {
+            const array = path.join(dir, 'requests.json');
+            fs.writeFileSync(array, JSON.stringify([call('eth_blockNumber'), call('eth_gasPrice'), call('eth_gasPrice')], null, 2));
+            const gzipped = path.join(dir, 'access.log.gz');
+            fs.writeFileSync(gzipped, zlib.gzipSync([
+                nginxLine('POST /', JSON.stringify(call('eth_chainId')).replace(/"/g, '\\x22')),
+                nginxLine('GET /block?height=5')
+            ].join('\n')));
+
+            const importer = new TrafficImporter();
+            await importer.importFile(array);
+            await importer.importFile(gzipped);
+
+            const profile = importer.buildProfile();
+            expect(profile.source).toMatchObject({ files: [array, gzipped], lines: 5, calls: 5 });
+            expect(profile.counts).toEqual({ eth_gasprice: 2, eth_blocknumber: 1, eth_chainid: 1, block: 1 });
+            expect(profile.methods).toEqual({ eth_gasprice: 40, eth_blocknumber: 20, eth_chainid: 20, block: 20 });
+        });
+    });
+
+    describe('REST paths', () => {
+        it('matches catalogue paths and aggregates unknown ones by shape', () => {
+            const importer = new TrafficImporter();
+            importer.addLine(nginxLine(`GET /cosmos/bank/v1beta1/balances/${ACCOUNT}`));
+            importer.addLine(nginxLine(`GET /cosmos/bank/v1beta1/balances/${ACCOUNT}/by_denom?denom=usei`));
+            importer.addLine(nginxLine('GET /cosmos/staking/v1beta1/validators?pagination.limit=10'));
+            importer.addLine(nginxLine('GET /custom/orders/12345'));
+            importer.addLine(nginxLine('GET /custom/orders/67890'));
+
+            const profile = importer.buildProfile();
+            expect(profile.counts).toEqual({ bank_balances: 1, bank_balance_by_denom: 1, staking_validators: 1 });
+            expect(profile.unsupported).toEqual({ 'GET /custom/orders/{n}': 2 });
+            expect(Object.values(profile.methods).reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(100, 1);
+        });
+    });
+
+    describe('block depths', () => {
+        it('buckets heights by their depth below the highest height seen', () => {
+            const importer = new TrafficImporter({ recentBlocks: 10 });
+            importer.addEntry(call('eth_getBlockByNumber', ['0x64', false]));
+            importer.addEntry(call('eth_getBlockByNumber', ['0x60', false]));
+            importer.addEntry(call('eth_getBalance', ['0x' + '1'.repeat(40), '0x1']));
+            importer.addEntry(call('eth_call', [{ to: '0x' + '2'.repeat(40), data: '0x' }, 'latest']));
+            // fee history's first param is a block count, not a height
+            importer.addEntry(call('eth_feeHistory', ['0x5', '0x5a', []]));
+            importer.addEntry(call('eth_blockNumber'));
+
+            const { parameters } = importer.buildProfile();
+            expect(parameters.recentBlocks).toBe(10);
+            expect(parameters.blockDistribution).toEqual({ latest: 40, recent: 40, archive: 20 });
+            expect(parameters.blockDepth.max).toBe(99);
+        });
+
+        it('reads Tendermint heights, counting calls without one as latest', () => {
+            const importer = new TrafficImporter({ recentBlocks: 10 });
+            importer.addLine(nginxLine('GET /block?height=200'));
+            importer.addLine(nginxLine('GET /block_results'));
+            importer.addEntry(call('block', { height: '150' }));
+
+            expect(importer.buildProfile().parameters.blockDistribution).toEqual({ latest: 66.67, recent: 0, archive: 33.33 });
+        });
+
+        it('leaves the distribution out when no call addressed a block', () => {
+            const importer = new TrafficImporter();
+            importer.addEntry(call('eth_chainId'));
+
+            const { parameters } = importer.buildProfile();
+            expect(parameters.blockDistribution).toBeNull();
+            expect(parameters.logRanges).toBeNull();
+        });
+    });
+
+    describe('log ranges', () => {
+        it('sizes filter ranges into buckets', () => {
+            const importer = new TrafficImporter();
+            importer.addEntry(call('eth_blockNumber'));
+            importer.addEntry(call('eth_getBlockByNumber', ['0x4e20', false]));
+            importer.addEntry(call('eth_getLogs', [{ fromBlock: '0x4e16', toBlock: '0x4e20' }]));
+            importer.addEntry(call('eth_getLogs', [{ blockHash: '0x' + 'a'.repeat(64) }]));
+            importer.addEntry(call('eth_getLogs', [{ fromBlock: '0x4dbd' }]));
+            importer.addEntry(call('eth_getLogs', [{ fromBlock: 'earliest', toBlock: 'latest' }]));
+            importer.addEntry(call('eth_newFilter', [{ fromBlock: 'latest' }]));
+
+            const { parameters } = importer.buildProfile();
+            // 11 blocks, one block hash, 100 blocks to the head, 20001 from genesis, one latest block
+            expect(parameters.logRanges).toEqual({ 1: 40, 100: 40, 10000: 20 });
+            expect(parameters.logRangeSize.max).toBe(20001);
+        });
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from '@jest/globals';
+import { createIdGenerator, createTraceId, nextId, ID_FORMATS } from '../../src/utils/ids.js';
+import { createRandom } from '../../src/utils/random.js';
+
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('createIdGenerator', () => {
+    it('counts up from 1 by default', () => {
+        const next = createIdGenerator();
+        expect([next(), next(), next()]).toEqual([1, 2, 3]);
+    });
+
+    it('keeps separate counters per generator', () => {
+        const first = createIdGenerator('monotonic');
+        const second = createIdGenerator('monotonic');
+        first();
+        expect(second()).toBe(1);
+        expect(typeof nextId()).toBe('number');
+    });
+
+    it('yields unique version 4 UUIDs', () => {
+        const next = createIdGenerator('uuid');
+        const ids = Array.from({ length: 1000 }, next);
+        expect(ids.every(id => UUID_V4.test(id))).toBe(true);
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('repeats UUIDs for the same seeded source', () => {
+        const stream = () => {
+            const next = createIdGenerator('uuid', createRandom('ids'));
+            return Array.from({ length: 50 }, next);
+        };
+        const ids = stream();
+        expect(ids).toEqual(stream());
+        expect(ids.every(id => UUID_V4.test(id))).toBe(true);
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('rejects unknown formats', () => {
+        expect(ID_FORMATS).toEqual(['monotonic', 'uuid']);
+        expect(() => createIdGenerator('snowflake')).toThrow('Unknown id format "snowflake"');
+    });
+});
+
+describe('createTraceId', () => {
+    it('returns a fresh UUID for every request', () => {
+        const ids = Array.from({ length: 1000 }, createTraceId);
+        expect(ids.every(id => UUID_V4.test(id))).toBe(true);
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from '@jest/globals';
+import { createRandom, deriveRandom } from '../../src/utils/random.js';
+
+const draw = (random, count = 5) => Array.from({ length: count }, () => random());
+
+describe('createRandom', () => {
+    it('repeats the same sequence for the same seed', () => {
+        expect(draw(createRandom(42))).toEqual(draw(createRandom(42)));
+        expect(draw(createRandom('42'))).toEqual(draw(createRandom(42)));
+        expect(draw(createRandom(42))).not.toEqual(draw(createRandom(43)));
+    });
+
+    it('yields values in [0, 1)', () => {
+        expect(draw(createRandom(7), 1000).every(value => value >= 0 && value < 1)).toBe(true);
+    });
+
+    it('falls back to Math.random without a seed', () => {
+        expect(createRandom(null)).toBe(Math.random);
+        expect(createRandom(undefined)).toBe(Math.random);
+    });
+});
+
+describe('deriveRandom', () => {
+    it('gives each label a reproducible stream separate from the seed\'s own', () => {
+        const derived = draw(deriveRandom(42, 'subscriptions'));
+        expect(draw(deriveRandom(42, 'subscriptions'))).toEqual(derived);
+        expect(derived).not.toEqual(draw(createRandom(42)));
+        expect(derived).not.toEqual(draw(deriveRandom(42, 'other')));
+    });
+
+    it('is Math.random for unseeded runs', () => {
+        expect(deriveRandom(undefined, 'subscriptions')).toBe(Math.random);
+    });
+});